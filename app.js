@@ -16,6 +16,9 @@ const socketIo = require('socket.io');
 const config = require('./config/app.config');
 const { connectDB, disconnectDB, checkHealth: checkDBHealth } = require('./config/database');
 const { validateEnv } = require('./utils/validateEnv');
+const { verifyTransport } = require('./utils/mailTransport');
+const { startAccountPurger, stopAccountPurger } = require('./utils/accountDeletion');
+const { startExportCleaner, stopExportCleaner } = require('./utils/dataExport');
 
 // Performance and security middleware
 const compression = require('compression');
@@ -36,7 +39,10 @@ const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const audioRoutes = require('./routes/audio');
 const friendRoutes = require('./routes/friends');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
 const privateMessageRoutes = require('./routes/privateMessages');
+const devRoutes = require('./routes/dev');
 
 // Validate environment variables
 validateEnv();
@@ -51,6 +57,15 @@ const io = socketIo(server, config.socketIO);
 // Connect to MongoDB
 connectDB();
 
+// Check the email transport without blocking startup
+verifyTransport();
+
+// Purge accounts whose deletion grace period is over
+startAccountPurger();
+
+// Remove data export archives whose download link expired
+startExportCleaner();
+
 // ============================================================================
 // MIDDLEWARE CONFIGURATION
 // ============================================================================
@@ -179,7 +194,14 @@ app.use('/auth', authLimiter, authRoutes);           // Authentication & User ma
 app.use('/api', chatRoutes);                         // Chat/messaging
 app.use('/', audioRoutes);                           // Audio uploads
 app.use('/friends', friendRoutes);                   // Friend requests
+app.use('/users', userRoutes);                       // Public profiles
 app.use('/private-messages', privateMessageRoutes);  // Private messaging
+app.use('/admin', adminRoutes);                      // User administration (moderators & admins)
+
+// Development-only routes (email outbox viewer)
+if (config.server.env !== 'production') {
+  app.use('/dev', devRoutes);
+}
 
 // ============================================================================
 // ERROR HANDLING
@@ -274,6 +296,8 @@ process.on('SIGTERM', async () => {
   console.log('');
   console.log('SIGTERM received. Performing graceful shutdown...');
   
+  stopAccountPurger();
+  stopExportCleaner();
   server.close(async () => {
     console.log('HTTP server closed');
     
@@ -298,6 +322,8 @@ process.on('SIGINT', async () => {
   console.log('');
   console.log('SIGINT received. Performing graceful shutdown...');
   
+  stopAccountPurger();
+  stopExportCleaner();
   server.close(async () => {
     console.log('HTTP server closed');
     
@@ -17,6 +17,17 @@ module.exports = {
     env: process.env.NODE_ENV || 'development'
   },
 
+  // Branding used in transactional emails
+  app: {
+    name: process.env.APP_NAME || 'ElProject'
+  },
+
+  // Localization Configuration
+  i18n: {
+    locales: ['en', 'ar'],
+    defaultLocale: 'en'
+  },
+
   // CORS Configuration
   cors: {
     origin: allowedOrigins,
@@ -2,6 +2,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
+const crypto = require('crypto');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '..', 'uploads', 'avatars');
@@ -39,27 +40,130 @@ const upload = multer({
 	}
 });
 
-// Post-upload processor: compress and write to disk as WebP
+// Square renditions generated for every avatar, smallest first (the largest is the default)
+const AVATAR_SIZES = [48, 128, 512];
+
+// Avatar generated for users without one: "initials" (falls back to an identicon
+// for names without letters or digits) or "identicon"
+const DEFAULT_AVATAR_STYLE = process.env.DEFAULT_AVATAR_STYLE === 'identicon' ? 'identicon' : 'initials';
+
+// Avatars uploaded before renditions existed are a single file with an extension
+const isSingleFileAvatar = (avatar) => /\.[a-z]+$/i.test(avatar);
+
+// Helper function to get the file of one rendition of an avatar
+const getAvatarFilename = (avatar, size = AVATAR_SIZES[AVATAR_SIZES.length - 1]) => {
+  if (isSingleFileAvatar(avatar)) return avatar;
+  return `${avatar}-${size}.webp`;
+};
+
+// Helper function to list every file of an avatar
+const getAvatarFiles = (avatar) => {
+  if (isSingleFileAvatar(avatar)) return [avatar];
+  return AVATAR_SIZES.map(size => getAvatarFilename(avatar, size));
+};
+
+// Animated uploads (GIF, WebP) stay animated as WebP within these limits
+const ANIMATION_LIMITS = {
+  maxFrames: 100,
+  maxBytes: 2 * 1024 * 1024 // 2MB for the largest size once encoded
+};
+
+const sendAvatarError = (res, message, code, field = 'avatar') => {
+	return res.status(400).json({
+		success: false,
+		error: 'Validation Error',
+		message,
+		field,
+		code
+	});
+};
+
+// Parse the optional crop rectangle sent with the upload: JSON { x, y, width, height }
+// in pixels of the image as displayed (after EXIF rotation); fractions are rounded
+const parseCrop = (value, imageWidth, imageHeight) => {
+	if (value === undefined || value === '') return { crop: null };
+
+	let rect;
+	try {
+		rect = typeof value === 'string' ? JSON.parse(value) : value;
+	} catch (error) {
+		rect = null;
+	}
+	const numbers = [rect?.x, rect?.y, rect?.width, rect?.height];
+	if (!numbers.every(Number.isFinite)) {
+		return { error: 'crop must be JSON with numeric x, y, width and height' };
+	}
+
+	const [left, top, width, height] = numbers.map(Math.round);
+	if (left < 0 || top < 0 || width < 1 || height < 1 || left + width > imageWidth || top + height > imageHeight) {
+		return { error: `crop must lie within the image (${imageWidth}x${imageHeight})` };
+	}
+	return { crop: { left, top, width, height } };
+};
+
+// Post-upload processor: crop, then compress every size in one pass and write them to disk as WebP
 const processAvatar = async (req, res, next) => {
 	try {
 		if (!req.file) return next();
 
+		let metadata;
+		try {
+			metadata = await sharp(req.file.buffer, { animated: true }).metadata();
+		} catch (error) {
+			return sendAvatarError(res, 'The file is not a readable image', 'INVALID_IMAGE');
+		}
+
+		const frames = metadata.pages || 1;
+		const animated = frames > 1;
+		if (frames > ANIMATION_LIMITS.maxFrames) {
+			return sendAvatarError(
+				res,
+				`Animated avatars can have at most ${ANIMATION_LIMITS.maxFrames} frames`,
+				'AVATAR_TOO_MANY_FRAMES'
+			);
+		}
+
+		// Frames of an animation are stacked vertically; the crop applies to each of them
+		const imageWidth = metadata.autoOrient?.width ?? metadata.width;
+		const imageHeight = animated ? metadata.pageHeight : (metadata.autoOrient?.height ?? metadata.height);
+		const { crop, error } = parseCrop(req.body?.crop, imageWidth, imageHeight);
+		if (error) {
+			return sendAvatarError(res, error, 'INVALID_CROP', 'crop');
+		}
+
+		// Orient by EXIF and crop once, then fill each square size from the same image (webp quality 80)
+		const image = sharp(req.file.buffer, { animated }).autoOrient();
+		if (crop) image.extract(crop);
+		const renditions = await Promise.all(AVATAR_SIZES.map(async (size) => ({
+			size,
+			buffer: await image
+				.clone()
+				.resize({ width: size, height: size, fit: 'cover' })
+				.webp({ quality: 80 })
+				.toBuffer()
+		})));
+
+		const largest = renditions[renditions.length - 1];
+		if (animated && largest.buffer.length > ANIMATION_LIMITS.maxBytes) {
+			return sendAvatarError(
+				res,
+				`Animated avatar is too large once resized (max ${ANIMATION_LIMITS.maxBytes / (1024 * 1024)}MB), try a shorter animation`,
+				'AVATAR_ANIMATION_TOO_LARGE'
+			);
+		}
+
+		// Name the files after the content so each new avatar gets new URLs (safe to cache forever)
 		const userId = req.userId || 'unknown';
-		const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-		const outExt = '.webp';
-		const filename = `avatar-${userId}-${uniqueSuffix}${outExt}`;
-		const outPath = path.join(uploadsDir, filename);
-
-		// Compress: rotate by EXIF, resize to max 512px, webp quality 80
-		await sharp(req.file.buffer)
-			.rotate()
-			.resize({ width: 512, height: 512, fit: 'inside', withoutEnlargement: true })
-			.webp({ quality: 80 })
-			.toFile(outPath);
-
-		// Keep compatibility with existing controller usage
-		req.file.filename = filename;
-		req.file.path = outPath;
+		const hash = crypto.createHash('sha256').update(largest.buffer).digest('hex').slice(0, 16);
+		const avatar = `avatar-${userId}-${hash}`;
+
+		await Promise.all(renditions.map(({ size, buffer }) => (
+			fs.promises.writeFile(path.join(uploadsDir, getAvatarFilename(avatar, size)), buffer)
+		)));
+
+		// Keep compatibility with existing controller usage: filename is what User.avatar stores
+		req.file.filename = avatar;
+		req.file.path = path.join(uploadsDir, getAvatarFilename(avatar));
 
 		next();
 	} catch (error) {
@@ -70,32 +174,30 @@ const processAvatar = async (req, res, next) => {
 // Middleware for single avatar file upload (upload + compression step)
 const uploadAvatar = [upload.single('avatar'), processAvatar];
 
-// Helper function to get avatar file URL
-const getAvatarUrl = (filename) => {
-  if (!filename) return null;
-  return `/uploads/avatars/${filename}`;
-};
-
-// Helper function to delete avatar file
-const deleteAvatarFile = (filename) => {
-  if (!filename) return false;
-  const filePath = path.join(uploadsDir, filename);
-  if (fs.existsSync(filePath)) {
+// Helper function to delete every file of an avatar
+const deleteAvatarFiles = (avatar) => {
+  if (!avatar) return false;
+  let deleted = false;
+  for (const filename of getAvatarFiles(avatar)) {
+    const filePath = path.join(uploadsDir, path.basename(filename));
+    if (!fs.existsSync(filePath)) continue;
     try {
       fs.unlinkSync(filePath);
-      return true;
+      deleted = true;
     } catch (error) {
       console.error('Error deleting avatar file:', error);
-      return false;
     }
   }
-  return false;
+  return deleted;
 };
 
 module.exports = {
+  AVATAR_SIZES,
+  ANIMATION_LIMITS,
+  DEFAULT_AVATAR_STYLE,
   uploadAvatar,
-  getAvatarUrl,
-  deleteAvatarFile,
+  getAvatarFilename,
+  getAvatarFiles,
+  deleteAvatarFiles,
   uploadsDir
 };
-
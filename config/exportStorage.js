@@ -0,0 +1,35 @@
+const path = require('path');
+const fs = require('fs');
+
+// Ensure exports directory exists (archives are never served statically)
+const exportsDir = path.join(__dirname, '..', 'uploads', 'exports');
+if (!fs.existsSync(exportsDir)) {
+  fs.mkdirSync(exportsDir, { recursive: true });
+}
+
+// Helper function to get the absolute path of an export archive
+const getExportPath = (filename) => {
+  return path.join(exportsDir, path.basename(filename));
+};
+
+// Helper function to delete export archive
+const deleteExportFile = (filename) => {
+  if (!filename) return false;
+  const filePath = getExportPath(filename);
+  if (fs.existsSync(filePath)) {
+    try {
+      fs.unlinkSync(filePath);
+      return true;
+    } catch (error) {
+      console.error('Error deleting export file:', error);
+      return false;
+    }
+  }
+  return false;
+};
+
+module.exports = {
+  exportsDir,
+  getExportPath,
+  deleteExportFile
+};
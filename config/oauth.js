@@ -0,0 +1,105 @@
+/**
+ * OAuth / OpenID Connect Provider Configuration
+ * Providers are enabled with OAUTH_PROVIDERS=google,github,... and configured
+ * with OAUTH_<NAME>_* variables. Known providers ship presets, so only the
+ * client id and secret are required for them; any other name is treated as a
+ * generic OIDC provider discovered from OAUTH_<NAME>_ISSUER.
+ */
+
+// Map a GitHub /user response (plus /user/emails) to OIDC-style claims
+const mapGithubProfile = (profile, emails = []) => {
+  const primary = emails.find(entry => entry.primary && entry.verified);
+  return {
+    sub: String(profile.id),
+    name: profile.name || profile.login,
+    email: primary ? primary.email : null,
+    email_verified: !!primary
+  };
+};
+
+const PRESETS = {
+  google: {
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile'
+  },
+  apple: {
+    displayName: 'Apple',
+    issuer: 'https://appleid.apple.com',
+    scopes: 'openid email name',
+    // Apple only returns the user's name/email to a form POST callback
+    responseMode: 'form_post'
+  },
+  github: {
+    displayName: 'GitHub',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email',
+    mapProfile: mapGithubProfile
+  }
+};
+
+/**
+ * Read one provider's settings from the environment
+ * @param {string} name - Provider name (lowercase)
+ * @returns {Object|null} Provider configuration, null if incomplete
+ */
+const loadProvider = (name) => {
+  const prefix = `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key) => process.env[prefix + key];
+  const preset = PRESETS[name] || {};
+  const redirectBase = (process.env.OAUTH_REDIRECT_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+  const provider = {
+    name,
+    displayName: env('DISPLAY_NAME') || preset.displayName || name,
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    issuer: env('ISSUER') || preset.issuer || null,
+    authorizationUrl: env('AUTHORIZATION_URL') || preset.authorizationUrl || null,
+    tokenUrl: env('TOKEN_URL') || preset.tokenUrl || null,
+    userinfoUrl: env('USERINFO_URL') || preset.userinfoUrl || null,
+    emailsUrl: preset.emailsUrl || null,
+    scopes: env('SCOPES') || preset.scopes || 'openid email profile',
+    responseMode: preset.responseMode || null,
+    redirectUri: env('REDIRECT_URI') || `${redirectBase}/auth/oauth/${name}/callback`,
+    mapProfile: preset.mapProfile || null
+  };
+
+  // Either an issuer to discover endpoints from, or explicit endpoints
+  const hasEndpoints = provider.issuer || (provider.authorizationUrl && provider.tokenUrl);
+  if (!provider.clientId || !hasEndpoints) {
+    return null;
+  }
+  return provider;
+};
+
+/**
+ * Get every enabled and fully configured provider
+ * @returns {Object[]} Provider configurations
+ */
+const getProviders = () => {
+  return (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(loadProvider)
+    .filter(Boolean);
+};
+
+/**
+ * Get one enabled provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider configuration
+ */
+const getProvider = (name) => {
+  if (typeof name !== 'string') return null;
+  return getProviders().find(provider => provider.name === name.toLowerCase()) || null;
+};
+
+module.exports = {
+  getProviders,
+  getProvider
+};
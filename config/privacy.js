@@ -0,0 +1,35 @@
+/**
+ * Profile Privacy
+ * Who may see each part of a profile. The name, display name, username and
+ * avatar are always shown; every other field shown to other users has a
+ * visibility setting its owner can change with PUT /auth/privacy.
+ */
+
+const VISIBILITY_LEVELS = ['everyone', 'friends', 'only_me'];
+
+// Fields with a visibility setting, and the setting of new accounts
+const DEFAULT_VISIBILITY = {
+  email: 'friends',
+  phone: 'only_me',
+  bio: 'everyone',
+  location: 'friends',
+  statusText: 'everyone',
+  pronouns: 'everyone',
+  timezone: 'friends'
+};
+
+const PRIVATE_FIELDS = Object.keys(DEFAULT_VISIBILITY);
+
+// Shown to anyone who can see the account
+const PUBLIC_FIELDS = ['fullname', 'displayName', 'username', 'avatar'];
+
+// Everything needed to show a user to someone else (use when populating user references)
+const PROFILE_SELECT = [...PUBLIC_FIELDS, ...PRIVATE_FIELDS, 'privacy'].join(' ');
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  DEFAULT_VISIBILITY,
+  PRIVATE_FIELDS,
+  PUBLIC_FIELDS,
+  PROFILE_SELECT
+};
@@ -0,0 +1,38 @@
+/**
+ * Roles & Permissions
+ * Every user has exactly one role; routes check permissions rather than role
+ * names so a permission can move between roles without touching the routers.
+ */
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const DEFAULT_ROLE = 'user';
+
+// Permissions granted to each role ("*" grants everything).
+// In use: messages:moderate, users:read, users:manage, audit:read
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'messages:moderate',
+    'users:read'
+  ],
+  admin: ['*']
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name (e.g. "messages:moderate")
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  roleHasPermission
+};
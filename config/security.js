@@ -3,6 +3,8 @@
  * Central place for all security-related settings
  */
 
+const path = require('path');
+
 module.exports = {
   // JWT Configuration
   jwt: {
@@ -75,14 +77,26 @@ module.exports = {
     }
   },
 
-  // Password Requirements
+  // Password Requirements (enforced by utils/passwordPolicy on signup, change and reset)
   password: {
-    minLength: 6,
+    minLength: 8,
     maxLength: 128,
     requireUppercase: true,
     requireLowercase: true,
     requireNumbers: true,
-    requireSpecialChars: false // Optional for better UX
+    requireSpecialChars: false, // Optional for better UX
+    // Lowest accepted strength score (0 = very weak ... 4 = very strong)
+    minScore: 2,
+    // Refuse passwords that contain the user's name or email
+    rejectPersonalInfo: true,
+    // Common/breached passwords, one per line
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, 'common-passwords.txt'),
+    // Recent passwords (current one included) that cannot be set again
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5,
+    // Days after which a password must be replaced at the next login (0 = never)
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0,
+    // Lifetime of the token returned when signing in with an expired password
+    expiredTokenExpiresIn: '15m'
   },
 
   // File Upload Security
@@ -155,9 +169,72 @@ module.exports = {
     // Rate limit email sending
     maxEmailsPerHour: 10,
     // Email verification code expiry
-    verificationCodeExpiry: 15 * 60 * 1000, // 15 minutes
-    // Maximum code attempts
-    maxCodeAttempts: 5
+    verificationCodeExpiry: 10 * 60 * 1000, // 10 minutes
+    // Maximum code attempts (the code is burned afterwards)
+    maxCodeAttempts: 5,
+    // Minimum time between two codes for the same email and type
+    resendCooldown: 60 * 1000 // 1 minute
+  },
+
+  // Sign-in Alerts
+  loginAlerts: {
+    // Devices remembered per account (least recently used are forgotten first)
+    maxKnownDevices: 20,
+    // IP addresses remembered per device
+    maxIpsPerDevice: 10,
+    // Client page that receives ?token= from "this wasn't me" links and posts it to /auth/report-login
+    reportUrl: process.env.SECURITY_REPORT_URL || 'http://localhost:3001/report-login',
+    reportLinkExpiresIn: '7d'
+  },
+
+  // Email Change (the new address is only used once verified)
+  emailChange: {
+    // Client page that receives ?token= from "undo" links and posts it to /auth/email/change/undo
+    undoUrl: process.env.EMAIL_CHANGE_UNDO_URL || 'http://localhost:3001/undo-email-change',
+    undoLinkExpiresIn: '7d'
+  },
+
+  // Account Deletion (DELETE /auth/account schedules it, the purger carries it out)
+  accountDeletion: {
+    // Days the account can still be restored
+    gracePeriodDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30,
+    // Keep the other participant's copy of private messages, sender shown as "Deleted user"
+    keepConversations: process.env.ACCOUNT_DELETION_KEEP_CONVERSATIONS !== 'false',
+    // How often the purger looks for accounts past their grace period
+    purgeInterval: 60 * 60 * 1000, // 1 hour
+    // Lifetime of the token returned when signing in to an account pending deletion
+    restoreTokenExpiresIn: '15m'
+  },
+
+  // Personal Data Export (POST /auth/export)
+  dataExport: {
+    // Hours the download link (and the archive) stays available
+    expiryHours: parseInt(process.env.DATA_EXPORT_EXPIRY_HOURS) || 48,
+    // Minimum time between two export requests of the same user
+    cooldown: 24 * 60 * 60 * 1000, // 24 hours
+    // Public URL of this API, used to build download links sent by email
+    baseUrl: (process.env.API_BASE_URL || 'http://localhost:3000').replace(/\/$/, ''),
+    // Pending or processing exports untouched for this long were interrupted (crash,
+    // restart) and are marked as failed; running builds touch theirs regularly
+    staleAfter: 30 * 60 * 1000, // 30 minutes
+    // How often expired archives are removed
+    cleanupInterval: 60 * 60 * 1000 // 1 hour
+  },
+
+  // Avatar Links (files are served without a bearer token, so URLs are signed)
+  avatars: {
+    // Key signing avatar URLs
+    urlSecret: process.env.AVATAR_URL_SECRET || process.env.JWT_SECRET || 'avatar-url-secret',
+    // Links stay valid for at least this long; links issued in the same period are identical, so they can be cached
+    urlTtlDays: parseInt(process.env.AVATAR_URL_TTL_DAYS) || 7
+  },
+
+  // Audit Log Retention (entries expire through a TTL index)
+  auditLog: {
+    // Security events of users (logins, password changes, ...)
+    retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365,
+    // Actions taken by admins, kept longer for accountability
+    adminRetentionDays: parseInt(process.env.AUDIT_LOG_ADMIN_RETENTION_DAYS) || 730
   }
 };
 
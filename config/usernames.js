@@ -0,0 +1,40 @@
+/**
+ * Usernames
+ * Rules for @handles. Handles are stored lowercase, so they are unique
+ * regardless of case; see utils/usernamePolicy.js for the checks.
+ */
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 30;
+
+// Starts with a letter, then letters, numbers or single underscores
+const PATTERN = new RegExp(`^[a-z](?:[a-z0-9]|_(?!_)){${MIN_LENGTH - 1},${MAX_LENGTH - 1}}$`);
+
+// Days before a username can be changed again (0 = any time)
+const CHANGE_COOLDOWN_DAYS = Number(process.env.USERNAME_CHANGE_COOLDOWN_DAYS ?? 30);
+
+// Handles nobody can take: staff and system names, routes, and words with a meaning in mentions
+const RESERVED = [
+  'admin', 'administrator', 'root', 'system', 'sysadmin', 'superuser',
+  'moderator', 'mod', 'mods', 'staff', 'support', 'help', 'helpdesk',
+  'security', 'abuse', 'official', 'team', 'owner', 'founder',
+  'elproject', 'bot', 'robot', 'noreply', 'no_reply', 'postmaster', 'webmaster',
+  'everyone', 'here', 'all', 'channel', 'friends',
+  'me', 'you', 'user', 'users', 'username', 'anonymous', 'guest', 'deleted', 'deleted_user',
+  'null', 'undefined', 'true', 'false', 'nan',
+  'api', 'auth', 'login', 'logout', 'signup', 'register', 'settings', 'profile',
+  'account', 'accounts', 'search', 'explore', 'messages', 'chat', 'dev', 'health',
+  'www', 'mail', 'email', 'status', 'about', 'privacy', 'terms'
+];
+
+// Refused anywhere in a handle, so nobody can pass for staff ("the_admin", "elproject_help")
+const RESERVED_FRAGMENTS = ['admin', 'moderator', 'elproject'];
+
+module.exports = {
+  MIN_LENGTH,
+  MAX_LENGTH,
+  PATTERN,
+  CHANGE_COOLDOWN_DAYS,
+  RESERVED,
+  RESERVED_FRAGMENTS
+};
@@ -0,0 +1,83 @@
+/**
+ * Activity Controller
+ * Security history (logins, password changes, 2FA changes, ...) of the current user
+ * @module controllers/activityController
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Pagination limits for the activity list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Events a user may filter their own history by
+const USER_ACTIONS = AuditLog.AUDIT_ACTIONS.filter(action => action.startsWith('auth.'));
+
+/**
+ * Format an audit log entry for the account owner
+ * @param {Object} entry - AuditLog document
+ * @returns {Object} Formatted entry
+ */
+const formatActivityResponse = (entry) => {
+  return {
+    id: entry._id.toString(),
+    action: entry.action,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    metadata: entry.metadata,
+    createdAt: entry.createdAt
+  };
+};
+
+/**
+ * List security events of the current user, newest first
+ * @route GET /auth/activity
+ * @access Private
+ * @query action, page, limit
+ */
+const getActivity = async (req, res) => {
+  try {
+    const { action } = req.query;
+    if (action !== undefined && !USER_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `Action must be one of: ${USER_ACTIONS.join(', ')}`,
+        field: 'action'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.findForUser(req.userId, { action, skip, limit }),
+      AuditLog.countForUser(req.userId, { action })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        activity: entries.map(formatActivityResponse),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch account activity'
+    });
+  }
+};
+
+module.exports = {
+  getActivity
+};
@@ -0,0 +1,617 @@
+/**
+ * Admin Controller
+ * User management for moderators and admins; every action is written to the audit log
+ * @module controllers/adminController
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const PrivateMessage = require('../models/PrivateMessage');
+const FriendRequest = require('../models/FriendRequest');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const VerificationCode = require('../models/VerificationCode');
+const { ROLES } = require('../config/roles');
+const { auditLog: auditLogRetention } = require('../config/security');
+const { formatUserResponse } = require('../utils/authUtils');
+const { revokeOtherSessions } = require('../utils/sessionService');
+const { sendVerificationCode } = require('../utils/emailService');
+const { notifyInBackground } = require('../utils/notifications');
+const { deleteUserData } = require('../utils/accountCleanup');
+const { suspendAccount, reactivateAccount } = require('../utils/accountStatus');
+const { disconnectSessions } = require('../socket/handlers');
+
+// Pagination limits for list endpoints
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields the user list can be sorted by (prefix with "-" for descending)
+const SORTABLE_FIELDS = ['createdAt', 'lastLogin', 'fullname', 'email'];
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Read page/limit query parameters
+ * @param {Object} query - Express query object
+ * @returns {{page: number, limit: number, skip: number}}
+ */
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Escaped input
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Format user data for admin responses (adds account state hidden from other users)
+ * @param {Object} user - User document
+ * @returns {Object} Formatted user data
+ */
+const formatAdminUser = (user) => {
+  return {
+    ...formatUserResponse(user),
+    twoFactorEnabled: user.hasTwoFactorEnabled(),
+    passwordResetRequired: user.passwordResetRequired || false,
+    suspended: user.isSuspended(),
+    suspension: user.isSuspended()
+      ? {
+        reason: user.suspension.reason,
+        suspendedAt: user.suspension.suspendedAt,
+        expiresAt: user.suspension.expiresAt
+      }
+      : null,
+    deletionScheduledFor: user.deletion?.scheduledFor || null,
+    createdAt: user.createdAt,
+    lastLogin: user.lastLogin
+  };
+};
+
+/**
+ * Acting admin, in the shape AuditLog.record expects
+ * @param {Object} req - Express request
+ * @returns {Object} { _id, email }
+ */
+const getActor = (req) => ({ _id: req.userId, email: req.user.email });
+
+/**
+ * Load the user named in :id, answering 400/404 when it cannot be used
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options] - { allowSelf: boolean }
+ * @returns {Promise<Object|null>} User document, null when a response was sent
+ */
+const loadTargetUser = async (req, res, { allowSelf = true } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Invalid user id'
+    });
+    return null;
+  }
+
+  // Admins must not lock themselves out (suspend, demote, delete)
+  if (!allowSelf && req.params.id === req.userId) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: 'User Not Found',
+      message: 'User not found'
+    });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Revoke every session of a user and disconnect their sockets
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const endAllSessions = async (req, user) => {
+  const revokedIds = await revokeOtherSessions(user._id, null, 'revoked_by_admin');
+  disconnectSessions(req.app.get('io'), revokedIds);
+  return revokedIds.length;
+};
+
+// ============================================================================
+// USER QUERIES
+// ============================================================================
+
+/**
+ * Search and paginate users
+ * @route GET /admin/users
+ * @access Private (users:read)
+ * @query q, role, status (active|suspended|pending_deletion), emailVerified, page, limit, sort
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { q, role, status, emailVerified, sort } = req.query;
+    const conditions = [];
+
+    if (typeof q === 'string' && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      conditions.push({ $or: [{ fullname: pattern }, { email: pattern }, { phone: pattern }] });
+    }
+    if (typeof role === 'string' && ROLES.includes(role)) {
+      conditions.push({ role });
+    }
+    // Timed suspensions that ran out count as active
+    if (status === 'active') {
+      conditions.push(User.activeFilter());
+    } else if (status === 'suspended') {
+      conditions.push({ $nor: User.activeFilter().$or });
+    } else if (status === 'pending_deletion') {
+      conditions.push({ 'deletion.scheduledFor': { $ne: null } });
+    }
+    if (emailVerified === 'true' || emailVerified === 'false') {
+      conditions.push({ emailVerified: emailVerified === 'true' });
+    }
+    const filter = conditions.length ? { $and: conditions } : {};
+
+    const sortField = typeof sort === 'string' ? sort.replace(/^-/, '') : '';
+    const sortSpec = SORTABLE_FIELDS.includes(sortField)
+      ? { [sortField]: sort.startsWith('-') ? -1 : 1, _id: 1 }
+      : { createdAt: -1, _id: 1 };
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [users, total] = await Promise.all([
+      User.find(filter).sort(sortSpec).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatAdminUser),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+/**
+ * Get one user's details with activity counts
+ * @route GET /admin/users/:id
+ * @access Private (users:read)
+ */
+const getUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const [messages, privateMessages, friends, activeSessions] = await Promise.all([
+      Message.countDocuments({ sender: user._id }),
+      PrivateMessage.countDocuments({ sender: user._id }),
+      FriendRequest.countDocuments({
+        status: 'accepted',
+        $or: [{ sender: user._id }, { receiver: user._id }]
+      }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    await AuditLog.record({ actor: getActor(req), target: user, action: 'admin.user.view', req });
+
+    res.json({
+      success: true,
+      data: {
+        user: formatAdminUser(user),
+        stats: {
+          messages,
+          privateMessages,
+          friends,
+          activeSessions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user details:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch user'
+    });
+  }
+};
+
+// ============================================================================
+// USER ACTIONS
+// ============================================================================
+
+/**
+ * Suspend a user: block login, end every session and drop live sockets
+ * @route POST /admin/users/:id/suspend
+ * @access Private (users:manage)
+ * @body reason (optional), expiresAt (optional ISO date, omitted = until lifted)
+ */
+const suspendUser = async (req, res) => {
+  try {
+    const { reason, expiresAt } = req.body || {};
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Reason must be text of at most 500 characters',
+        field: 'reason'
+      });
+    }
+
+    let until = null;
+    if (expiresAt) {
+      until = new Date(expiresAt);
+      if (isNaN(until.getTime()) || until <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: 'expiresAt must be a date in the future',
+          field: 'expiresAt'
+        });
+      }
+    }
+
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    const revokedSessions = await suspendAccount(user, {
+      reason: reason ? reason.trim() : null,
+      expiresAt: until,
+      suspendedBy: req.userId,
+      io: req.app.get('io')
+    });
+
+    await AuditLog.record({
+      actor: getActor(req),
+      target: user,
+      action: 'admin.user.suspend',
+      req,
+      metadata: { reason: user.suspension.reason, expiresAt: until, revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended',
+      data: { user: formatAdminUser(user) }
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to suspend user'
+    });
+  }
+};
+
+/**
+ * Lift a suspension
+ * @route POST /admin/users/:id/unsuspend
+ * @access Private (users:manage)
+ */
+const unsuspendUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    await reactivateAccount(user);
+
+    await AuditLog.record({ actor: getActor(req), target: user, action: 'admin.user.unsuspend', req });
+
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      data: { user: formatAdminUser(user) }
+    });
+  } catch (error) {
+    console.error('Error unsuspending user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to reactivate user'
+    });
+  }
+};
+
+/**
+ * Change a user's role
+ * @route PUT /admin/users/:id/role
+ * @access Private (users:manage)
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+        field: 'role'
+      });
+    }
+
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record({
+      actor: getActor(req),
+      target: user,
+      action: 'admin.user.role_change',
+      req,
+      metadata: { from: previousRole, to: role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { user: formatAdminUser(user) }
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update role'
+    });
+  }
+};
+
+/**
+ * Require a password reset: block password login, end sessions and email a reset code
+ * @route POST /admin/users/:id/password-reset
+ * @access Private (users:manage)
+ */
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    user.passwordResetRequired = true;
+    await user.save();
+    const revokedSessions = await endAllSessions(req, user);
+
+    // A code sent during the resend cooldown is still valid, so the user can use that one
+    let codeSent = true;
+    try {
+      await sendVerificationCode(user.email, VerificationCode.generateCode(), 'password_reset', user.locale);
+    } catch (error) {
+      if (error.code !== 'RESEND_COOLDOWN') throw error;
+      codeSent = false;
+    }
+
+    await AuditLog.record({
+      actor: getActor(req),
+      target: user,
+      action: 'admin.user.password_reset_forced',
+      req,
+      metadata: { revokedSessions, codeSent }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset required',
+      data: { user: formatAdminUser(user), codeSent }
+    });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to force password reset'
+    });
+  }
+};
+
+/**
+ * Sign a user out of every device
+ * @route DELETE /admin/users/:id/sessions
+ * @access Private (users:manage)
+ */
+const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await endAllSessions(req, user);
+
+    await AuditLog.record({
+      actor: getActor(req),
+      target: user,
+      action: 'admin.user.sessions_revoked',
+      req,
+      metadata: { revokedSessions: revoked }
+    });
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to revoke sessions'
+    });
+  }
+};
+
+/**
+ * Delete a user and all of their data
+ * @route DELETE /admin/users/:id
+ * @access Private (users:manage)
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    const sessionIds = await deleteUserData(user);
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    await AuditLog.record({
+      actor: getActor(req),
+      target: user,
+      action: 'admin.user.delete',
+      req,
+      metadata: { fullname: user.fullname }
+    });
+
+    notifyInBackground('sendAccountDeletedNotice', {
+      email: user.email,
+      fullname: user.fullname,
+      locale: user.locale
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to delete user'
+    });
+  }
+};
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * List audit log entries, newest first
+ * @route GET /admin/audit-log
+ * @access Private (audit:read)
+ * @query actor, target, action (exact, or a prefix like "auth.*"), ip, from, to, page, limit
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const filter = {};
+    for (const field of ['actor', 'target']) {
+      const value = req.query[field];
+      if (value !== undefined) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Validation Error',
+            message: `Invalid ${field} id`,
+            field
+          });
+        }
+        filter[field] = value;
+      }
+    }
+    const { action, ip } = req.query;
+    if (typeof action === 'string' && action) {
+      filter.action = action.endsWith('.*')
+        ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+        : action;
+    }
+    if (typeof ip === 'string' && ip) {
+      filter.ip = ip;
+    }
+    for (const [field, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      const value = req.query[field];
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: `Invalid ${field} date`,
+          field
+        });
+      }
+      filter.createdAt = { ...filter.createdAt, [operator]: date };
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({
+          id: entry._id.toString(),
+          action: entry.action,
+          actor: entry.actor ? { id: entry.actor.toString(), email: entry.actorEmail } : null,
+          target: entry.target ? { id: entry.target.toString(), email: entry.targetEmail } : null,
+          ip: entry.ip,
+          userAgent: entry.userAgent,
+          metadata: entry.metadata,
+          createdAt: entry.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        retention: {
+          days: auditLogRetention.retentionDays,
+          adminDays: auditLogRetention.adminRetentionDays
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch audit log'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  suspendUser,
+  unsuspendUser,
+  updateRole,
+  forcePasswordReset,
+  revokeUserSessions,
+  deleteUser,
+  getAuditLog
+};
@@ -5,8 +5,55 @@
  */
 
 const User = require('../models/User');
-const { generateJWTToken, formatErrorResponse, formatSuccessResponse } = require('../utils/authUtils');
-const { sendVerificationCode, verifyCode } = require('../utils/emailService');
+const {
+  formatErrorResponse,
+  formatSuccessResponse,
+  formatUserResponse,
+  generatePurposeToken,
+  verifyPurposeToken
+} = require('../utils/authUtils');
+const { sendVerificationCode, sendMagicLink, verifyCode } = require('../utils/emailService');
+const { sendVerificationSms, verifySmsCode } = require('../utils/smsService');
+const { notifyInBackground } = require('../utils/notifications');
+const { completeLogin, startSession } = require('../utils/loginFlow');
+const { scheduleAccountDeletion, cancelAccountDeletion } = require('../utils/accountDeletion');
+const { ensureActiveAccount, sendSuspendedResponse } = require('../utils/accountStatus');
+const { logSecurityEvent } = require('../utils/auditLog');
+const { rememberDevice, verifyReportToken, alertPasswordChanged } = require('../utils/securityAlerts');
+const {
+  checkNewEmail,
+  startEmailChange,
+  cancelEmailChange,
+  completeEmailChange,
+  verifyUndoToken
+} = require('../utils/emailChange');
+const { evaluatePassword, sendPasswordPolicyError, sendPasswordReusedError } = require('../utils/passwordPolicy');
+const { resolveLocale } = require('../templates/email');
+const { i18n } = require('../config/app.config');
+const { VISIBILITY_LEVELS, PRIVATE_FIELDS } = require('../config/privacy');
+const { getPrivacySettings } = require('../utils/profileVisibility');
+const { getAvatarUrls, verifyAvatarUrl } = require('../utils/avatarUrls');
+const { parseDefaultAvatarFilename, renderDefaultAvatar } = require('../utils/defaultAvatars');
+const { deleteAvatarFiles } = require('../config/avatarStorage');
+const {
+  normalizeUsername,
+  checkUsernameFormat,
+  checkUsernameChange,
+  getUsernameCooldownEnd,
+  setUsername,
+  sendUsernameError
+} = require('../utils/usernamePolicy');
+const { email: emailSecurity, password: passwordSecurity } = require('../config/security');
+const { issueSession, rotateSession, revokeSession, revokeOtherSessions } = require('../utils/sessionService');
+const { disconnectSessions, disconnectUser } = require('../socket/handlers');
+const {
+  accountKey,
+  identifierKey,
+  checkLock,
+  registerFailure,
+  resetFailures,
+  sendLockedResponse
+} = require('../utils/bruteForce');
 const VerificationCode = require('../models/VerificationCode');
 
 // ============================================================================
@@ -16,18 +63,23 @@ const VerificationCode = require('../models/VerificationCode');
 const ERROR_MESSAGES = {
   USER_NOT_FOUND: 'User not found',
   INVALID_CREDENTIALS: 'Invalid email or password',
-  ACCOUNT_DISABLED: 'Your account has been disabled. Please contact support.',
   VALIDATION_ERROR: 'Validation Error',
   INTERNAL_ERROR: 'Internal Server Error',
   EMAIL_EXISTS: 'An account with this email already exists',
   PHONE_EXISTS: 'An account with this phone already exists',
   PASSWORDS_DONT_MATCH: 'Passwords do not match',
-  INVALID_EMAIL_OR_PHONE: 'Please enter a valid email address or phone number'
+  INVALID_EMAIL_OR_PHONE: 'Please enter a valid email address or phone number',
+  USERNAME_TAKEN: 'This username is already taken'
 };
 
+// Optional profile fields set through PUT /auth/profile (an empty value clears them)
+const PROFILE_FIELDS = ['displayName', 'bio', 'location', 'statusText', 'pronouns', 'timezone'];
+
+// Page that receives ?token= from magic link emails and posts it to /auth/magic-link/verify
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL || 'http://localhost:3001/magic-link';
+
 const VALIDATION = {
   MIN_NAME_LENGTH: 2,
-  MIN_PASSWORD_LENGTH: 6,
   MIN_PHONE_LENGTH: 7,
   MAX_PHONE_LENGTH: 15
 };
@@ -64,38 +116,6 @@ const detectEmailOrPhone = (input) => {
   return { type: null, value: null };
 };
 
-/**
- * Format user data for API response
- * @param {Object} user - User document from database
- * @returns {Object} Formatted user data
- */
-const formatUserResponse = (user) => {
-  return {
-    id: user._id.toString(),
-    fullname: user.fullname,
-    email: user.email,
-    phone: user.phone || null,
-    avatar: user.avatar ? `/auth/uploads/avatars/${user.avatar}` : null,
-    emailVerified: user.emailVerified || false,
-    isActive: user.isActive
-  };
-};
-
-/**
- * Validate password strength
- * @param {string} password - Password to validate
- * @returns {{valid: boolean, message: string}} Validation result
- */
-const validatePassword = (password) => {
-  if (!password || password.length < VALIDATION.MIN_PASSWORD_LENGTH) {
-    return {
-      valid: false,
-      message: `Password must be at least ${VALIDATION.MIN_PASSWORD_LENGTH} characters long`
-    };
-  }
-  return { valid: true, message: '' };
-};
-
 /**
  * Validate phone number format
  * @param {string} phone - Phone number to validate
@@ -112,6 +132,46 @@ const validatePhoneNumber = (phone) => {
   return { valid: true, message: '' };
 };
 
+/**
+ * Send response for a code requested again before the resend cooldown elapsed
+ * @param {Object} res - Express response
+ * @param {Error} error - Cooldown error thrown by sendVerificationCode
+ * @returns {Object} Express response
+ */
+const sendCooldownResponse = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: error.name,
+    code: error.code,
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+};
+
+/**
+ * Send response for a login with a password past its maximum age, with a token
+ * to set a new one through /auth/change-expired-password
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @returns {Object} Express response
+ */
+const sendPasswordExpiredResponse = (res, user) => {
+  const changeToken = generatePurposeToken('password_expired', {
+    userId: user._id.toString(),
+    // Ties the token to this password so it only works once
+    passwordChangedAt: user.passwordChangedAt ? user.passwordChangedAt.getTime() : null
+  }, passwordSecurity.expiredTokenExpiresIn);
+
+  return res.status(403).json({
+    success: false,
+    error: 'Password Expired',
+    code: 'PASSWORD_EXPIRED',
+    message: `Your password is older than ${passwordSecurity.maxAgeDays} days. Choose a new password to sign in.`,
+    changeToken
+  });
+};
+
 // ============================================================================
 // AUTHENTICATION CONTROLLERS
 // ============================================================================
@@ -165,15 +225,10 @@ const signup = async (req, res) => {
       });
     }
 
-    // Validate password
-    const passwordValidation = validatePassword(password);
-    if (!passwordValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: ERROR_MESSAGES.VALIDATION_ERROR,
-        message: passwordValidation.message,
-        field: 'password'
-      });
+    // Validate password against the password policy
+    const passwordCheck = evaluatePassword(password, { fullname, email });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck);
     }
 
     // Validate password confirmation
@@ -212,31 +267,40 @@ const signup = async (req, res) => {
       fullname: fullname.trim(),
       email: normalizedEmail,
       password: password,
-      phone: phone.trim()
+      phone: phone.trim(),
+      // Explicit choice wins over the browser language
+      locale: resolveLocale(req.body.locale || req.get('accept-language'))
     });
 
+    // The signup device is known from the start, so it never triggers a new sign-in alert
+    rememberDevice(newUser, req);
     const savedUser = await newUser.save();
     
     // Send verification code (non-blocking)
     try {
       const code = VerificationCode.generateCode();
-      await sendVerificationCode(savedUser.email, code, 'email_verification');
+      await sendVerificationCode(savedUser.email, code, 'email_verification', savedUser.locale);
     } catch (emailError) {
       console.error('Error sending verification code during signup:', emailError);
     }
+
+    try {
+      await sendVerificationSms(savedUser, VerificationCode.generateCode(), 'phone_verification');
+    } catch (smsError) {
+      console.error('Error sending phone verification code during signup:', smsError.message);
+    }
     
-    // Generate JWT token
-    const token = generateJWTToken(savedUser._id.toString(), {
-      email: savedUser.email,
-      fullname: savedUser.fullname
-    });
+    // Start session (access + refresh token pair)
+    const { token, refreshToken } = await issueSession(savedUser, req);
+    await logSecurityEvent(req, 'auth.signup', { user: savedUser });
     
     res.status(201).json({
       success: true,
-      message: 'User registered successfully. Verification code sent to your email.',
+      message: 'User registered successfully. Verification codes sent to your email and phone.',
       data: {
         user: formatUserResponse(savedUser),
-        token
+        token,
+        refreshToken
       }
     });
     
@@ -301,9 +365,8 @@ const login = async (req, res) => {
       });
     }
 
-    // Validate password
-    const passwordValidation = validatePassword(password);
-    if (!passwordValidation.valid) {
+    // Validate password (the policy only applies to new passwords, older ones still sign in)
+    if (!password || typeof password !== 'string') {
       return res.status(400).json({
         success: false,
         error: ERROR_MESSAGES.VALIDATION_ERROR,
@@ -312,12 +375,26 @@ const login = async (req, res) => {
       });
     }
     
+    // Reject early while this identifier is locked (works for unknown accounts too)
+    const attemptKeys = [identifierKey('login', value)];
+    const identifierLock = await checkLock(attemptKeys);
+    if (identifierLock.locked) {
+      return sendLockedResponse(res, identifierLock);
+    }
+    
     // Find user
     const user = type === 'email' 
       ? await User.findByEmail(value)
       : await User.findOne({ phone: value });
     
     if (!user) {
+      await logSecurityEvent(req, 'auth.login_failed', {
+        metadata: { method: 'password', identifier: value, reason: 'unknown_account' }
+      });
+      const lock = await registerFailure(attemptKeys);
+      if (lock.locked) {
+        return sendLockedResponse(res, lock);
+      }
       return res.status(401).json({
         success: false,
         error: 'Authentication Error',
@@ -325,18 +402,24 @@ const login = async (req, res) => {
       });
     }
     
-    // Check account status
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        error: 'Account Disabled',
-        message: ERROR_MESSAGES.ACCOUNT_DISABLED
-      });
+    // Per-account lock applies whichever identifier (email or phone) is used
+    attemptKeys.push(accountKey('login', user._id));
+    const accountLock = await checkLock(attemptKeys);
+    if (accountLock.locked) {
+      return sendLockedResponse(res, accountLock);
     }
     
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await logSecurityEvent(req, 'auth.login_failed', {
+        user,
+        metadata: { method: 'password', reason: 'invalid_password' }
+      });
+      const lock = await registerFailure(attemptKeys, { user });
+      if (lock.locked) {
+        return sendLockedResponse(res, lock);
+      }
       return res.status(401).json({
         success: false,
         error: 'Authentication Error',
@@ -344,42 +427,104 @@ const login = async (req, res) => {
       });
     }
     
-    // Update last login timestamp
-    await user.updateLastLogin();
+    // Account status is only revealed to someone who knows the password
+    if (!(await ensureActiveAccount(user))) {
+      await resetFailures(attemptKeys);
+      return sendSuspendedResponse(res, user);
+    }
     
-    // Generate JWT token
-    const token = generateJWTToken(user._id.toString(), {
-      email: user.email,
-      fullname: user.fullname
-    });
+    if (user.passwordResetRequired) {
+      await resetFailures(attemptKeys);
+      return res.status(403).json({
+        success: false,
+        error: 'Password Reset Required',
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'You must reset your password before signing in. Use "Forgot password" to receive a reset code.'
+      });
+    }
+    
+    // Passwords past their maximum age must be replaced before a session is started
+    if (user.isPasswordExpired()) {
+      await resetFailures(attemptKeys);
+      return sendPasswordExpiredResponse(res, user);
+    }
+    
+    return completeLogin(req, res, user, attemptKeys);
     
+  } catch (error) {
+    console.error('Error in login:', error);
+    res.status(500).json({
+      success: false,
+      error: ERROR_MESSAGES.INTERNAL_ERROR,
+      message: 'Login failed'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /auth/refresh
+ * @access Public
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        error: ERROR_MESSAGES.VALIDATION_ERROR,
+        message: 'Refresh token is required',
+        field: 'refreshToken'
+      });
+    }
+
+    const { token, refreshToken: nextRefreshToken } = await rotateSession(presentedToken, req.ip);
+
     res.json({
       success: true,
-      message: 'Login successful',
+      message: 'Token refreshed successfully',
       data: {
-        user: formatUserResponse(user),
-        token
+        token,
+        refreshToken: nextRefreshToken
       }
     });
-    
   } catch (error) {
-    console.error('Error in login:', error);
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        error: error.name,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Error in refreshToken:', error);
     res.status(500).json({
       success: false,
       error: ERROR_MESSAGES.INTERNAL_ERROR,
-      message: 'Login failed'
+      message: 'Failed to refresh token'
     });
   }
 };
 
 /**
- * Logout user (client-side token removal)
+ * Logout user and revoke the current session
  * @route POST /auth/logout
  * @access Private
  */
-const logout = (req, res) => {
+const logout = async (req, res) => {
   try {
-    // With JWT, logout is handled client-side by removing the token
+    // Revoking the session invalidates both its refresh token and access tokens
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
+      disconnectSessions(req.app.get('io'), [req.sessionId]);
+    }
+    await logSecurityEvent(req, 'auth.logout', {
+      user: { _id: req.userId, email: req.user.email },
+      metadata: { sessionId: req.sessionId }
+    });
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -438,7 +583,7 @@ const getCurrentUser = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
   try {
-    const { fullname, email, phone } = req.body;
+    const { fullname, email, phone, locale, username } = req.body;
     const userId = req.userId;
     
     // Find user
@@ -451,26 +596,36 @@ const updateProfile = async (req, res) => {
       });
     }
     
-    // Check if email is being changed: directly update and send verification code
-    if (email && email !== user.email) {
-      const normalized = email.toLowerCase().trim();
-      const existingUser = await User.findOne({ email: normalized });
-      if (existingUser) {
+    // Locale change (applies to the verification email below as well)
+    if (locale !== undefined) {
+      if (!i18n.locales.includes(locale)) {
         return res.status(400).json({
           success: false,
-          error: 'Email Already Exists',
-          message: 'An account with this email already exists'
+          error: ERROR_MESSAGES.VALIDATION_ERROR,
+          message: `Locale must be one of: ${i18n.locales.join(', ')}`,
+          field: 'locale'
+        });
+      }
+      user.locale = locale;
+    }
+    
+    // A new email only replaces the current one once verified (see /auth/email/change)
+    const newEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+    const emailChangeRequested = !!newEmail && newEmail !== user.email;
+    if (emailChangeRequested) {
+      const emailError = await checkNewEmail(user, newEmail);
+      if (emailError) {
+        return res.status(400).json({
+          success: false,
+          error: ERROR_MESSAGES.VALIDATION_ERROR,
+          message: emailError,
+          field: 'email'
         });
       }
-      // Directly update email and set emailVerified to false
-      user.email = normalized;
-      user.emailVerified = false;
-      // Send verification code to new email
-      const code = VerificationCode.generateCode();
-      await sendVerificationCode(normalized, code, 'email_verification');
     }
     
     // Phone uniqueness and update
+    let phoneChanged = false;
     if (phone && phone !== user.phone) {
       const phoneTaken = await User.findOne({ phone: phone.trim() });
       if (phoneTaken) {
@@ -481,33 +636,66 @@ const updateProfile = async (req, res) => {
         });
       }
       user.phone = phone.trim();
+      user.phoneVerified = false;
+      phoneChanged = true;
+      // Codes sent to the previous number must not verify the new one
+      await VerificationCode.invalidate(user.email, 'phone_verification');
+    }
+
+    // Username, same rules as PUT /auth/username; an empty value removes it
+    if (username !== undefined) {
+      const handle = normalizeUsername(username);
+      if (handle !== (user.username || '')) {
+        const problem = await checkUsernameChange(user, handle);
+        if (problem) {
+          return sendUsernameError(res, problem);
+        }
+        setUsername(user, handle);
+      }
     }
 
     // Update user data
     if (fullname) user.fullname = fullname.trim();
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      const value = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      user[field] = value === '' ? null : value;
+    }
     
-    await user.save();
-    
-    const emailChanged = email && email.toLowerCase().trim() !== user.email;
+    const changedFields = ['fullname', 'phone', 'locale', 'username', ...PROFILE_FIELDS]
+      .filter(field => user.isModified(field));
+    if (emailChangeRequested) {
+      // Sends the code first: nothing is saved while the resend cooldown applies
+      await startEmailChange(user, newEmail);
+      await logSecurityEvent(req, 'auth.email_change_requested', { user, metadata: { newEmail } });
+    } else {
+      await user.save();
+    }
+    if (changedFields.length) {
+      await logSecurityEvent(req, 'auth.profile_updated', { user, metadata: { changedFields } });
+    }
+
+    if (phoneChanged) {
+      try {
+        await sendVerificationSms(user, VerificationCode.generateCode(), 'phone_verification');
+      } catch (smsError) {
+        console.error('Error sending phone verification code:', smsError.message);
+      }
+    }
     
     res.json({
       success: true,
-      message: emailChanged
-        ? 'Profile updated. Verification code sent to your new email.'
+      message: emailChangeRequested
+        ? 'Profile updated. Verification code sent to your new email; your current email stays in use until it is verified.'
         : 'Profile updated successfully',
-      data: {
-        user: {
-          id: user._id.toString(),
-          fullname: user.fullname,
-          email: user.email,
-          phone: user.phone || null,
-          avatar: user.avatar ? `/auth/uploads/avatars/${user.avatar}` : null,
-          emailVerified: !!user.emailVerified
-        }
-      }
+      data: { user: formatUserResponse(user) }
     });
     
   } catch (error) {
+    if (error.code === 'RESEND_COOLDOWN') {
+      return sendCooldownResponse(res, error);
+    }
+
     console.error('Error in updateProfile:', error);
     
     // Handle Mongoose validation errors
@@ -521,7 +709,10 @@ const updateProfile = async (req, res) => {
       });
     }
     
-    // Handle duplicate key error (unique email)
+    // Handle duplicate key error (unique username or email)
+    if (error.code === 11000 && error.keyPattern?.username) {
+      return sendUsernameError(res, { status: 400, code: 'USERNAME_TAKEN', message: ERROR_MESSAGES.USERNAME_TAKEN });
+    }
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
@@ -538,6 +729,163 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Choose who can see each private profile field (everyone, friends or only_me)
+ * @route PUT /auth/privacy
+ * @access Private
+ */
+const updatePrivacy = async (req, res) => {
+  try {
+    const settings = req.body || {};
+    const fields = Object.keys(settings);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: ERROR_MESSAGES.VALIDATION_ERROR,
+        message: `Provide a visibility for at least one of: ${PRIVATE_FIELDS.join(', ')}`
+      });
+    }
+    for (const field of fields) {
+      if (!PRIVATE_FIELDS.includes(field)) {
+        return res.status(400).json({
+          success: false,
+          error: ERROR_MESSAGES.VALIDATION_ERROR,
+          message: `Unknown privacy setting: ${field}`,
+          field
+        });
+      }
+      if (!VISIBILITY_LEVELS.includes(settings[field])) {
+        return res.status(400).json({
+          success: false,
+          error: ERROR_MESSAGES.VALIDATION_ERROR,
+          message: `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`,
+          field
+        });
+      }
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User Not Found',
+        message: ERROR_MESSAGES.USER_NOT_FOUND
+      });
+    }
+
+    for (const field of fields) {
+      user.privacy[field] = settings[field];
+    }
+    const changedFields = fields.filter(field => user.isModified(`privacy.${field}`));
+    await user.save();
+
+    if (changedFields.length) {
+      await logSecurityEvent(req, 'auth.privacy_updated', {
+        user,
+        metadata: { changes: Object.fromEntries(changedFields.map(field => [field, settings[field]])) }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated',
+      data: { privacy: getPrivacySettings(user) }
+    });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update privacy settings'
+    });
+  }
+};
+
+/**
+ * Pick, change or remove (empty value) the @username
+ * @route PUT /auth/username
+ * @access Private
+ */
+const changeUsername = async (req, res) => {
+  try {
+    const { username } = req.body;
+    if (username === undefined || username === null) {
+      return sendUsernameError(res, { status: 400, code: 'USERNAME_REQUIRED', message: 'Username is required' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User Not Found',
+        message: ERROR_MESSAGES.USER_NOT_FOUND
+      });
+    }
+
+    const previous = user.username || null;
+    const handle = normalizeUsername(username);
+    if (handle !== (previous || '')) {
+      const problem = await checkUsernameChange(user, handle);
+      if (problem) {
+        return sendUsernameError(res, problem);
+      }
+      setUsername(user, handle);
+      await user.save();
+      await logSecurityEvent(req, 'auth.username_changed', { user, metadata: { from: previous, to: handle || null } });
+    }
+
+    const nextChangeAt = getUsernameCooldownEnd(user);
+    res.json({
+      success: true,
+      message: handle ? `Your username is now @${handle}` : 'Username removed',
+      data: { username: user.username || null, nextChangeAt }
+    });
+  } catch (error) {
+    // Taken by someone else between the check and the save
+    if (error.code === 11000 && error.keyPattern?.username) {
+      return sendUsernameError(res, { status: 400, code: 'USERNAME_TAKEN', message: ERROR_MESSAGES.USERNAME_TAKEN });
+    }
+    console.error('Error changing username:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to change username'
+    });
+  }
+};
+
+/**
+ * Check whether a username can be taken, with the reason when it can't
+ * @route GET /auth/username/available
+ * @access Private
+ */
+const checkUsernameAvailability = async (req, res) => {
+  try {
+    const handle = normalizeUsername(req.query.username);
+    const problem = checkUsernameFormat(handle) ||
+      (await User.exists({ username: handle, _id: { $ne: req.userId } })
+        ? { code: 'USERNAME_TAKEN', message: ERROR_MESSAGES.USERNAME_TAKEN }
+        : null);
+
+    res.json({
+      success: true,
+      data: {
+        username: handle,
+        available: !problem,
+        ...(problem && { code: problem.code, message: problem.message })
+      }
+    });
+  } catch (error) {
+    console.error('Error checking username:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to check username'
+    });
+  }
+};
+
 /**
  * Change user password
  * @route PUT /auth/change-password
@@ -549,7 +897,7 @@ const changePassword = async (req, res) => {
     const userId = req.userId; // Get from middleware
     
     // Validate input
-    if (!currentPassword || !newPassword) {
+    if (!newPassword) {
       return res.status(400).json({
         success: false,
         error: 'Validation Error',
@@ -557,15 +905,6 @@ const changePassword = async (req, res) => {
       });
     }
     
-    // Validate password length
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-    
     // Find user
     const user = await User.findById(userId);
     if (!user) {
@@ -576,8 +915,17 @@ const changePassword = async (req, res) => {
       });
     }
     
+    // Accounts created through a social login may set a first password without one
+    if (user.hasPassword() && !currentPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Current password and new password are required'
+      });
+    }
+    
     // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    const isCurrentPasswordValid = !user.hasPassword() || await user.comparePassword(currentPassword);
     if (!isCurrentPasswordValid) {
       return res.status(400).json({
         success: false,
@@ -586,19 +934,23 @@ const changePassword = async (req, res) => {
       });
     }
     
-    // Check if new password is different from current password
-    const isSamePassword = await user.comparePassword(newPassword);
-    if (isSamePassword) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        message: 'New password must be different from current password'
-      });
+    // Validate new password against the password policy
+    const passwordCheck = evaluatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck, 'newPassword');
+    }
+    
+    // Check that the new password is not the current or a recent one
+    if (await user.isPasswordReused(newPassword)) {
+      return sendPasswordReusedError(res);
     }
     
     // Update password (will be hashed by pre-save middleware)
     user.password = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
+    await logSecurityEvent(req, 'auth.password_changed', { user });
+    alertPasswordChanged(req, user, 'change');
     
     res.json({
       success: true,
@@ -655,31 +1007,28 @@ const uploadAvatar = async (req, res) => {
       });
     }
     
-    // Delete old avatar if exists
-    if (user.avatar) {
-      const { deleteAvatarFile } = require('../config/avatarStorage');
-      deleteAvatarFile(user.avatar);
-    }
-    
-    // Update user with new avatar filename
+    // Update user with new avatar, then delete every size of the old one
+    // (re-uploading the same image gives the same files, which must be kept)
+    const previousAvatar = user.avatar;
     user.avatar = req.file.filename;
     await user.save();
+    if (previousAvatar && previousAvatar !== user.avatar) {
+      deleteAvatarFiles(previousAvatar);
+    }
+    await logSecurityEvent(req, 'auth.avatar_changed', { user });
     
     res.status(200).json({
       success: true,
       message: 'Avatar uploaded successfully',
-      data: {
-        avatar: `/auth/uploads/avatars/${req.file.filename}`
-      }
+      data: getAvatarUrls(user)
     });
     
   } catch (error) {
     console.error('Error uploading avatar:', error);
     
-    // Delete uploaded file if user update fails
+    // Delete uploaded files if user update fails
     if (req.file) {
-      const { deleteAvatarFile } = require('../config/avatarStorage');
-      deleteAvatarFile(req.file.filename);
+      deleteAvatarFiles(req.file.filename);
     }
     
     if (error.message && error.message.includes('Only image files')) {
@@ -707,62 +1056,245 @@ const uploadAvatar = async (req, res) => {
 };
 
 // ============================================================================
-// PASSWORD RESET CONTROLLERS
+// PASSWORDLESS LOGIN CONTROLLERS
 // ============================================================================
 
 /**
- * Request password reset (send verification code)
- * @route POST /auth/forgot-password
+ * Email a single-use sign-in link (with a six-digit code as fallback)
+ * @route POST /auth/magic-link
  * @access Public
  */
-const forgotPassword = async (req, res) => {
+const requestMagicLink = async (req, res) => {
   try {
     const { emailOrPhone } = req.body;
 
     if (!emailOrPhone || emailOrPhone.trim() === '') {
       return res.status(400).json({
         success: false,
-        error: 'Validation Error',
-        message: 'Email or phone is required'
+        error: ERROR_MESSAGES.VALIDATION_ERROR,
+        message: 'Email or phone is required',
+        field: 'emailOrPhone'
       });
     }
 
-    // Detect if input is email or phone
     const { type, value } = detectEmailOrPhone(emailOrPhone);
-    
     if (!type) {
       return res.status(400).json({
         success: false,
-        error: 'Validation Error',
-        message: 'Please enter a valid email address or phone number'
+        error: ERROR_MESSAGES.VALIDATION_ERROR,
+        message: ERROR_MESSAGES.INVALID_EMAIL_OR_PHONE,
+        field: 'emailOrPhone'
       });
     }
 
-    // Find user by email or phone
-    let user;
-    if (type === 'email') {
-      user = await User.findByEmail(value);
-    } else {
-      user = await User.findOne({ phone: value });
+    const user = type === 'email'
+      ? await User.findByEmail(value)
+      : await User.findOne({ phone: value });
+
+    // Same answer whether or not the account exists, so this can't be used to probe for users
+    if (user && await ensureActiveAccount(user)) {
+      const code = VerificationCode.generateCode();
+      const linkToken = generatePurposeToken('magic_link', {
+        email: user.email,
+        code
+      }, Math.floor(emailSecurity.verificationCodeExpiry / 1000));
+      const link = `${MAGIC_LINK_URL}?token=${encodeURIComponent(linkToken)}`;
+
+      // A cooldown only applies to existing accounts, so it is swallowed too;
+      // the link sent before it is still valid
+      try {
+        await sendMagicLink(user.email, code, link, user.locale);
+      } catch (error) {
+        if (error.code !== 'RESEND_COOLDOWN') throw error;
+      }
     }
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
+
+    res.json({
+      success: true,
+      message: 'If an account exists, a sign-in link has been sent to its email'
+    });
+  } catch (error) {
+    console.error('Error sending magic link:', error);
+    res.status(500).json({
+      success: false,
+      error: ERROR_MESSAGES.INTERNAL_ERROR,
+      message: 'Failed to send sign-in link'
+    });
+  }
+};
+
+/**
+ * Log in with a magic link token, or with the emailed code
+ * @route POST /auth/magic-link/verify
+ * @access Public
+ */
+const verifyMagicLink = async (req, res) => {
+  try {
+    const { token, emailOrPhone } = req.body;
+    let { code } = req.body;
+    let email;
+
+    if (token) {
+      const payload = verifyPurposeToken(token, 'magic_link');
+      if (!payload) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Link',
+          message: 'Sign-in link is invalid or expired'
+        });
+      }
+      email = payload.email;
+      code = payload.code;
+    } else {
+      if (!emailOrPhone || !code) {
+        return res.status(400).json({
+          success: false,
+          error: ERROR_MESSAGES.VALIDATION_ERROR,
+          message: 'A sign-in token, or email or phone and code, are required'
+        });
+      }
+
+      const { type, value } = detectEmailOrPhone(emailOrPhone);
+      if (!type) {
+        return res.status(400).json({
+          success: false,
+          error: ERROR_MESSAGES.VALIDATION_ERROR,
+          message: ERROR_MESSAGES.INVALID_EMAIL_OR_PHONE,
+          field: 'emailOrPhone'
+        });
+      }
+
+      const owner = type === 'email'
+        ? await User.findByEmail(value)
+        : await User.findOne({ phone: value });
+      email = owner?.email;
+    }
+
+    const user = email ? await User.findByEmail(email) : null;
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Code',
+        message: 'Sign-in link or code is invalid or expired'
+      });
+    }
+
+    const attemptKeys = [accountKey('code:magic_link', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    // Deleting the code on success is what makes the link single-use
+    const isValidCode = await verifyCode(user.email, code, 'magic_link');
+    if (!isValidCode) {
+      const failureLock = await registerFailure(attemptKeys, { policy: 'code', user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Code',
+        message: 'Sign-in link or code is invalid or expired'
+      });
+    }
+
+    if (!(await ensureActiveAccount(user))) {
+      return sendSuspendedResponse(res, user);
+    }
+
+    // Redeeming the link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    return completeLogin(req, res, user, attemptKeys, { method: 'magic_link' });
+  } catch (error) {
+    console.error('Error verifying magic link:', error);
+    res.status(500).json({
+      success: false,
+      error: ERROR_MESSAGES.INTERNAL_ERROR,
+      message: 'Login failed'
+    });
+  }
+};
+
+// ============================================================================
+// PASSWORD RESET CONTROLLERS
+// ============================================================================
+
+/**
+ * Request password reset (send verification code)
+ * @route POST /auth/forgot-password
+ * @access Public
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { emailOrPhone } = req.body;
+
+    if (!emailOrPhone || emailOrPhone.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Email or phone is required'
+      });
+    }
+
+    // Detect if input is email or phone
+    const { type, value } = detectEmailOrPhone(emailOrPhone);
+    
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Please enter a valid email address or phone number'
+      });
+    }
+
+    // Find user by email or phone
+    let user;
+    if (type === 'email') {
+      user = await User.findByEmail(value);
+    } else {
+      user = await User.findOne({ phone: value });
+    }
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
         error: 'Not Found',
         message: 'No account found with this email or phone'
       });
     }
 
     const code = VerificationCode.generateCode();
+
+    // Phone identifiers get the code by SMS, but only once the number is verified
+    if (type === 'phone' && user.phoneVerified) {
+      await sendVerificationSms(user, code, 'password_reset');
+      await logSecurityEvent(req, 'auth.password_reset_requested', { user, actor: null, metadata: { channel: 'sms' } });
+      return res.json({
+        success: true,
+        message: 'Password reset code sent to your phone',
+        data: { channel: 'sms' }
+      });
+    }
+
     // Send code to user's email
-    await sendVerificationCode(user.email, code, 'password_reset');
+    await sendVerificationCode(user.email, code, 'password_reset', user.locale);
+    await logSecurityEvent(req, 'auth.password_reset_requested', { user, actor: null, metadata: { channel: 'email' } });
 
     res.json({
       success: true,
-      message: 'Password reset code sent to your email'
+      message: 'Password reset code sent to your email',
+      data: { channel: 'email' }
     });
   } catch (error) {
+    if (error.code === 'RESEND_COOLDOWN') {
+      return sendCooldownResponse(res, error);
+    }
+
     console.error('Error in forgot password:', error);
     res.status(500).json({
       success: false,
@@ -816,8 +1348,18 @@ const verifyResetCode = async (req, res) => {
       });
     }
     
+    const attemptKeys = [accountKey('code:password_reset', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+    
     const isValidCode = await verifyCode(user.email, code, 'password_reset', false);
     if (!isValidCode) {
+      const failureLock = await registerFailure(attemptKeys, { policy: 'code', user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
       return res.status(400).json({
         success: false,
         error: 'Invalid Code',
@@ -825,6 +1367,8 @@ const verifyResetCode = async (req, res) => {
       });
     }
 
+    await resetFailures(attemptKeys);
+
     res.json({
       success: true,
       message: 'Code verified successfully'
@@ -868,15 +1412,6 @@ const resetPassword = async (req, res) => {
       });
     }
 
-    // Validate password length
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-
     // Validate password and confirmation match
     if (newPassword !== password_conf) {
       return res.status(400).json({
@@ -902,9 +1437,41 @@ const resetPassword = async (req, res) => {
       });
     }
 
+    const attemptKeys = [accountKey('code:password_reset', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
     // Verify the reset code using user's email
     const isValidCode = await verifyCode(user.email, code, 'password_reset', false);
     if (!isValidCode) {
+      const failureLock = await registerFailure(attemptKeys, { policy: 'code', user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Code',
+        message: 'Reset code is invalid or expired'
+      });
+    }
+
+    await resetFailures(attemptKeys);
+
+    // Validate new password against the password policy and history only once the
+    // code is known to be valid (they check the name, email and recent passwords);
+    // the code stays usable
+    const passwordCheck = evaluatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck, 'newPassword');
+    }
+    if (await user.isPasswordReused(newPassword)) {
+      return sendPasswordReusedError(res);
+    }
+
+    // Use up the code now; only one of several parallel resets with it gets past this
+    if (!(await verifyCode(user.email, code, 'password_reset'))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid Code',
@@ -914,15 +1481,10 @@ const resetPassword = async (req, res) => {
 
     // Update the password in MongoDB
     user.password = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
-    
-    // Delete the verification code after successful password reset
-    const VerificationCode = require('../models/VerificationCode');
-    await VerificationCode.deleteOne({
-      email: user.email.toLowerCase(),
-      code,
-      type: 'password_reset'
-    });
+    await logSecurityEvent(req, 'auth.password_reset', { user });
+    alertPasswordChanged(req, user, 'reset');
 
     res.json({
       success: true,
@@ -938,12 +1500,165 @@ const resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * Replace a password past its maximum age and complete the login
+ * @route POST /auth/change-expired-password
+ * @access Public (token from the PASSWORD_EXPIRED login response)
+ */
+const changeExpiredPassword = async (req, res) => {
+  try {
+    const { changeToken, newPassword, password_conf } = req.body;
+
+    if (!changeToken || typeof changeToken !== 'string' || !newPassword || !password_conf) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Change token, new password, and password confirmation are required'
+      });
+    }
+
+    if (newPassword !== password_conf) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Password and password confirmation do not match',
+        field: 'password_conf'
+      });
+    }
+
+    // A token stops working once the password has been changed
+    const pending = verifyPurposeToken(changeToken, 'password_expired');
+    const user = pending && await User.findById(pending.userId);
+    const changedAt = user?.passwordChangedAt ? user.passwordChangedAt.getTime() : null;
+    if (!user || changedAt !== pending.passwordChangedAt) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication Error',
+        message: 'Password change link expired. Please sign in again.'
+      });
+    }
+    if (!(await ensureActiveAccount(user))) {
+      return sendSuspendedResponse(res, user);
+    }
+
+    const passwordCheck = evaluatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck, 'newPassword');
+    }
+    if (await user.isPasswordReused(newPassword)) {
+      return sendPasswordReusedError(res);
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await logSecurityEvent(req, 'auth.password_changed', { user, metadata: { reason: 'expired' } });
+    alertPasswordChanged(req, user, 'expired');
+
+    return completeLogin(req, res, user, [], { method: 'password', passwordRotated: true });
+  } catch (error) {
+    console.error('Error changing expired password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to change password'
+    });
+  }
+};
+
+/**
+ * "This wasn't me": sign out every session and require a password reset
+ * @route POST /auth/report-login
+ * @access Public (requires the token from a security alert email)
+ */
+const reportLogin = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Token is required',
+        field: 'token'
+      });
+    }
+
+    const user = await verifyReportToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Link',
+        code: 'INVALID_REPORT_LINK',
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    const revokedIds = await revokeOtherSessions(user._id, null, 'reported_by_user');
+    disconnectUser(req.app.get('io'), user._id.toString());
+
+    // A code sent during the resend cooldown is still valid, so the user can use that one
+    let codeSent = true;
+    try {
+      await sendVerificationCode(user.email, VerificationCode.generateCode(), 'password_reset', user.locale);
+    } catch (error) {
+      if (error.code !== 'RESEND_COOLDOWN') throw error;
+      codeSent = false;
+    }
+
+    await logSecurityEvent(req, 'auth.compromise_reported', {
+      user,
+      metadata: { revokedSessions: revokedIds.length, codeSent }
+    });
+
+    res.json({
+      success: true,
+      message: 'All sessions have been signed out. Reset your password to sign in again.',
+      data: { codeSent }
+    });
+  } catch (error) {
+    console.error('Error reporting login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to secure account'
+    });
+  }
+};
+
+/**
+ * Check a password against the password policy without setting it (live
+ * feedback for signup, change and reset forms)
+ * @route POST /auth/password-strength
+ * @access Public
+ */
+const checkPasswordStrength = async (req, res) => {
+  try {
+    const { password, fullname, email } = req.body;
+    const { valid, score, strength, errors } = evaluatePassword(password, { fullname, email });
+
+    res.json({
+      success: true,
+      data: { valid, score, strength, errors }
+    });
+  } catch (error) {
+    console.error('Error checking password strength:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to check password'
+    });
+  }
+};
+
 // ============================================================================
 // ACCOUNT MANAGEMENT CONTROLLERS
 // ============================================================================
 
 /**
- * Delete user account and all associated data
+ * Schedule the account for deletion after the grace period and sign out everywhere
  * @route DELETE /auth/account
  * @access Private
  */
@@ -961,66 +1676,14 @@ const deleteAccount = async (req, res) => {
       });
     }
 
-    // Import all necessary models
-    const Message = require('../models/Message');
-    const PrivateMessage = require('../models/PrivateMessage');
-    const Conversation = require('../models/Conversation');
-    const FriendRequest = require('../models/FriendRequest');
-    const VerificationCode = require('../models/VerificationCode');
-    const { deleteAvatarFile } = require('../config/avatarStorage');
-    const { deleteAudioFile } = require('../config/audioStorage');
-
-    // Delete all messages sent by user
-    const userMessages = await Message.find({ sender: userId });
-    for (const message of userMessages) {
-      // Delete audio files if message has audio
-      if (message.messageType === 'audio' && message.audioFile?.filename) {
-        deleteAudioFile(message.audioFile.filename);
-      }
-    }
-    await Message.deleteMany({ sender: userId });
-
-      // Delete all private messages where user is a participant (sent or received)
-    const userConversations = await Conversation.find({ participants: userId }).select('_id');
-    const conversationIds = userConversations.map(c => c._id);
-    if (conversationIds.length) {
-      const allPrivateMessages = await PrivateMessage.find({ conversation: { $in: conversationIds } });
-      for (const pm of allPrivateMessages) {
-        // Delete audio files if message has audio
-        if (pm.messageType === 'audio' && pm.audioFile?.filename) {
-          deleteAudioFile(pm.audioFile.filename);
-        }
-      }
-      await PrivateMessage.deleteMany({ conversation: { $in: conversationIds } });
-    }
-
-    // Delete conversations where user is a participant
-    await Conversation.deleteMany({ participants: userId });
-
-    // Delete friend requests where user is sender or receiver
-    await FriendRequest.deleteMany({
-      $or: [
-        { sender: userId },
-        { receiver: userId }
-      ]
-    });
-
-    // Delete avatar file if exists
-    if (user.avatar) {
-      deleteAvatarFile(user.avatar);
-    }
-
-    // Delete verification codes for user's email
-    await VerificationCode.deleteMany({
-      email: user.email.toLowerCase()
-    });
-
-    // Finally, delete the user account
-    await User.findByIdAndDelete(userId);
+    const scheduledFor = await scheduleAccountDeletion(user, { io: req.app.get('io') });
+    await logSecurityEvent(req, 'auth.account_deletion_scheduled', { user, metadata: { scheduledFor } });
+    notifyInBackground('sendAccountDeletionScheduledNotice', user, scheduledFor);
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Sign in before the scheduled date to restore it.',
+      data: { scheduledFor }
     });
     
   } catch (error) {
@@ -1033,6 +1696,53 @@ const deleteAccount = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a scheduled deletion and sign in
+ * @route POST /auth/account/restore
+ * @access Public (requires restoreToken from a login answered with ACCOUNT_PENDING_DELETION)
+ */
+const restoreAccount = async (req, res) => {
+  try {
+    const { restoreToken } = req.body;
+
+    if (!restoreToken || typeof restoreToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Restore token is required',
+        field: 'restoreToken'
+      });
+    }
+
+    const pending = verifyPurposeToken(restoreToken, 'account_restore');
+    const user = pending && await User.findById(pending.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication Error',
+        message: 'Restore link expired. Please sign in again.'
+      });
+    }
+    if (!(await ensureActiveAccount(user))) {
+      return sendSuspendedResponse(res, user);
+    }
+
+    if (user.isPendingDeletion()) {
+      await cancelAccountDeletion(user);
+      await logSecurityEvent(req, 'auth.account_restored', { user });
+    }
+
+    return startSession(req, res, user, { ...pending.login, restored: true });
+  } catch (error) {
+    console.error('Error restoring account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to restore account'
+    });
+  }
+};
+
 // ============================================================================
 // EMAIL VERIFICATION CONTROLLERS
 // ============================================================================
@@ -1049,9 +1759,12 @@ const sendEmailVerification = async (req, res) => {
       return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
     }
     const code = VerificationCode.generateCode();
-    await sendVerificationCode(user.email, code, 'email_verification');
+    await sendVerificationCode(user.email, code, 'email_verification', user.locale);
     res.json({ success: true, message: `Verification code sent to ${user.email}` });
   } catch (error) {
+    if (error.code === 'RESEND_COOLDOWN') {
+      return sendCooldownResponse(res, error);
+    }
     console.error('Error sending email verification:', error);
     res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to send verification code' });
   }
@@ -1072,13 +1785,24 @@ const verifyEmail = async (req, res) => {
     if (!user.email) {
       return res.status(400).json({ success: false, error: 'Validation Error', message: 'No email to verify' });
     }
+    const attemptKeys = [accountKey('code:email_verification', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
     const isValidCode = await verifyCode(user.email, code, 'email_verification', true);
     if (!isValidCode) {
+      const failureLock = await registerFailure(attemptKeys, { policy: 'code', user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
       return res.status(400).json({ success: false, error: 'Invalid Code', message: 'Verification code is invalid or expired' });
     }
+    await resetFailures(attemptKeys);
     // Set emailVerified to true (code is already deleted by verifyCode)
     user.emailVerified = true;
     await user.save();
+    await logSecurityEvent(req, 'auth.email_verified', { user, metadata: { email: user.email } });
     res.json({ success: true, message: 'Email verified successfully', data: { email: user.email } });
   } catch (error) {
     console.error('Error verifying email:', error);
@@ -1086,16 +1810,351 @@ const verifyEmail = async (req, res) => {
   }
 };
 
+// ============================================================================
+// EMAIL CHANGE CONTROLLERS
+// ============================================================================
+
+/**
+ * Request an email change: a code is sent to the new address, the current
+ * email stays in use until the code is verified
+ * @route POST /auth/email/change
+ * @access Private
+ */
+const requestEmailChange = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    const newEmail = typeof req.body.newEmail === 'string' ? req.body.newEmail.toLowerCase().trim() : '';
+    const emailError = await checkNewEmail(user, newEmail);
+    if (emailError) {
+      return res.status(400).json({
+        success: false,
+        error: ERROR_MESSAGES.VALIDATION_ERROR,
+        message: emailError,
+        field: 'newEmail'
+      });
+    }
+
+    await startEmailChange(user, newEmail);
+    await logSecurityEvent(req, 'auth.email_change_requested', { user, metadata: { newEmail } });
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${newEmail}. Your current email stays in use until it is verified.`,
+      data: { pendingEmail: newEmail }
+    });
+  } catch (error) {
+    if (error.code === 'RESEND_COOLDOWN') {
+      return sendCooldownResponse(res, error);
+    }
+    console.error('Error requesting email change:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to request email change' });
+  }
+};
+
+/**
+ * Verify the code sent to the new address and switch the account to it
+ * @route POST /auth/email/change/verify
+ * @access Private
+ */
+const verifyEmailChange = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+    if (!user.pendingEmail?.address) {
+      return res.status(400).json({ success: false, error: 'Validation Error', message: 'No email change in progress' });
+    }
+
+    const attemptKeys = [accountKey('code:email_change', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+    const isValidCode = await verifyCode(user.pendingEmail.address, code, 'email_change', true);
+    if (!isValidCode) {
+      const failureLock = await registerFailure(attemptKeys, { policy: 'code', user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
+      return res.status(400).json({ success: false, error: 'Invalid Code', message: 'Verification code is invalid or expired' });
+    }
+    await resetFailures(attemptKeys);
+
+    // The address may have been taken since the change was requested
+    if (await User.exists({ email: user.pendingEmail.address, _id: { $ne: user._id } })) {
+      await cancelEmailChange(user);
+      return res.status(409).json({
+        success: false,
+        error: 'Email Already Exists',
+        message: ERROR_MESSAGES.EMAIL_EXISTS
+      });
+    }
+
+    const previousEmail = await completeEmailChange(user);
+    await logSecurityEvent(req, 'auth.email_changed', { user, metadata: { previousEmail, email: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Email changed successfully',
+      data: { user: formatUserResponse(user) }
+    });
+  } catch (error) {
+    console.error('Error verifying email change:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to change email' });
+  }
+};
+
+/**
+ * Cancel a pending email change
+ * @route DELETE /auth/email/change
+ * @access Private
+ */
+const cancelEmailChangeRequest = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    await cancelEmailChange(user);
+    res.json({ success: true, message: 'Email change cancelled' });
+  } catch (error) {
+    console.error('Error cancelling email change:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to cancel email change' });
+  }
+};
+
+/**
+ * Undo an email change from the link sent to the previous address: restore it,
+ * sign out every session and require a password reset
+ * @route POST /auth/email/change/undo
+ * @access Public (token from the email)
+ */
+const undoEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Token is required',
+        field: 'token'
+      });
+    }
+
+    const undo = await verifyUndoToken(token);
+    if (!undo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Link',
+        code: 'INVALID_UNDO_LINK',
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    const { user, previousEmail } = undo;
+    if (await User.exists({ email: previousEmail, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email Already Exists',
+        message: 'Your previous email is now used by another account. Please contact support.'
+      });
+    }
+
+    const changedEmail = user.email;
+    user.email = previousEmail;
+    user.emailVerified = true;
+    user.pendingEmail = { address: null, requestedAt: null };
+    user.passwordResetRequired = true;
+    await user.save();
+
+    const revokedIds = await revokeOtherSessions(user._id, null, 'email_change_undone');
+    disconnectUser(req.app.get('io'), user._id.toString());
+
+    // A code sent during the resend cooldown is still valid, so the user can use that one
+    let codeSent = true;
+    try {
+      await sendVerificationCode(user.email, VerificationCode.generateCode(), 'password_reset', user.locale);
+    } catch (error) {
+      if (error.code !== 'RESEND_COOLDOWN') throw error;
+      codeSent = false;
+    }
+
+    await logSecurityEvent(req, 'auth.email_change_undone', {
+      user,
+      metadata: { changedEmail, email: user.email, revokedSessions: revokedIds.length, codeSent }
+    });
+
+    res.json({
+      success: true,
+      message: 'Your email has been restored and all sessions signed out. Reset your password to sign in again.',
+      data: { email: user.email, codeSent }
+    });
+  } catch (error) {
+    console.error('Error undoing email change:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to undo email change'
+    });
+  }
+};
+
+// ============================================================================
+// PHONE VERIFICATION CONTROLLERS
+// ============================================================================
+
+/**
+ * Send phone verification code by SMS
+ * @route POST /auth/send-phone-verification
+ * @access Private
+ */
+const sendPhoneVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User Not Found',
+        message: 'User not found'
+      });
+    }
+
+    if (!user.phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'No phone number to verify'
+      });
+    }
+
+    if (user.phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already Verified',
+        message: 'Phone number is already verified'
+      });
+    }
+
+    // Send the code by SMS (stored against the account email, see smsService)
+    const code = VerificationCode.generateCode();
+    await sendVerificationSms(user, code, 'phone_verification');
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${user.phone}`
+    });
+  } catch (error) {
+    if (error.code === 'RESEND_COOLDOWN') {
+      return sendCooldownResponse(res, error);
+    }
+
+    console.error('Error sending phone verification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to send verification code'
+    });
+  }
+};
+
+/**
+ * Verify phone number with the code sent by SMS
+ * @route POST /auth/verify-phone
+ * @access Private
+ */
+const verifyPhone = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Code is required',
+        field: 'code'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User Not Found',
+        message: 'User not found'
+      });
+    }
+
+    if (!user.phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'No phone number to verify'
+      });
+    }
+
+    // Wrong codes count towards the account's code lock
+    const attemptKeys = [accountKey('code:phone_verification', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    // Verify the code (deleted once used)
+    const isValidCode = await verifySmsCode(user, code, 'phone_verification');
+    if (!isValidCode) {
+      const failureLock = await registerFailure(attemptKeys, { policy: 'code', user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Code',
+        message: 'Verification code is invalid or expired'
+      });
+    }
+
+    await resetFailures(attemptKeys);
+
+    // Mark the phone as verified
+    user.phoneVerified = true;
+    await user.save();
+    await logSecurityEvent(req, 'auth.phone_verified', { user, metadata: { phone: user.phone } });
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: { phone: user.phone }
+    });
+  } catch (error) {
+    console.error('Error verifying phone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to verify phone number'
+    });
+  }
+};
+
 // ============================================================================
 // FILE SERVING CONTROLLERS
 // ============================================================================
 
 /**
- * Securely serve avatar files
+ * Securely serve avatar files with the signed link from getAvatarUrls
+ * (file names are content-hashed, so a file never changes once served).
+ * Generated avatars of users without one are drawn on request.
  * @route GET /auth/uploads/avatars/:filename
- * @access Private
+ * @access Public (signed link: expires, sig)
  */
-const serveAvatar = (req, res) => {
+const serveAvatar = async (req, res) => {
   try {
     const { filename } = req.params;
     const path = require('path');
@@ -1119,6 +2178,32 @@ const serveAvatar = (req, res) => {
       });
     }
 
+    const validFor = verifyAvatarUrl(filename, req.query.expires, req.query.sig);
+    if (!validFor) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Avatar link is invalid or has expired',
+        code: 'INVALID_AVATAR_LINK'
+      });
+    }
+
+    // Cacheable by anyone holding the link, for as long as the link is valid
+    const cacheHeaders = {
+      'Cache-Control': `public, max-age=${validFor}, immutable`,
+      ETag: `"${path.basename(filename, path.extname(filename))}"`
+    };
+
+    const generated = parseDefaultAvatarFilename(filename);
+    if (generated) {
+      res.set(cacheHeaders);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      const image = await renderDefaultAvatar(generated);
+      return res.type('webp').send(image);
+    }
+
     const AVATAR_DIR = path.resolve(__dirname, '..', 'uploads', 'avatars');
     const finalPath = path.resolve(AVATAR_DIR, filename);
 
@@ -1139,9 +2224,13 @@ const serveAvatar = (req, res) => {
       });
     }
 
-    res.set('Cache-Control', 'private, max-age=86400'); // 1 day, private since it's behind auth
+    res.set(cacheHeaders);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
     res.type(path.extname(finalPath));
-    res.sendFile(finalPath, (err) => {
+    res.sendFile(finalPath, { etag: false, cacheControl: false }, (err) => {
       if (err) {
         console.error('Error serving avatar file:', err);
         if (!res.headersSent) {
@@ -1165,64 +2254,35 @@ const serveAvatar = (req, res) => {
   }
 };
 
-// ============================================================================
-// USER MANAGEMENT CONTROLLERS
-// ============================================================================
-
-/**
- * Get all users except the current user
- * @route GET /auth/users
- * @access Private
- */
-const getUsers = async (req, res) => {
-  try {
-    // Fetch all users except the currently authenticated user
-    const users = await User.find(
-      { _id: { $ne: req.userId } }, 
-      'fullname email phone avatar isActive createdAt lastLogin emailVerified'
-    ).sort({ createdAt: -1 });
-    
-    res.json({
-      success: true,
-      data: {
-        users: users.map(user => ({
-          id: user._id.toString(),
-          fullname: user.fullname,
-          email: user.email,
-          phone: user.phone || null,
-          avatar: user.avatar ? `/auth/uploads/avatars/${user.avatar}` : null,
-          isActive: user.isActive,
-          emailVerified: user.emailVerified || false,
-          createdAt: user.createdAt,
-          lastLogin: user.lastLogin
-        })),
-        total: users.length
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal Server Error',
-      message: 'Failed to fetch users'
-    });
-  }
-};
-
 module.exports = {
   signup,
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  refreshToken,
   logout,
   getCurrentUser,
   updateProfile,
+  updatePrivacy,
+  changeUsername,
+  checkUsernameAvailability,
   changePassword,
   uploadAvatar,
   serveAvatar,
   sendEmailVerification,
   verifyEmail,
+  requestEmailChange,
+  verifyEmailChange,
+  cancelEmailChangeRequest,
+  undoEmailChange,
+  sendPhoneVerification,
+  verifyPhone,
   deleteAccount,
   forgotPassword,
   verifyResetCode,
   resetPassword,
-  getUsers
+  changeExpiredPassword,
+  reportLogin,
+  checkPasswordStrength,
+  restoreAccount
 };
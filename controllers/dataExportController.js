@@ -0,0 +1,203 @@
+/**
+ * Data Export Controller
+ * Lets users download an archive of their personal data (profile, friends,
+ * messages, attachments); archives are built in the background
+ * @module controllers/dataExportController
+ */
+
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const { logSecurityEvent } = require('../utils/auditLog');
+const {
+  requestDataExport,
+  createDownloadLink,
+  verifyDownloadToken
+} = require('../utils/dataExport');
+const { getExportPath } = require('../config/exportStorage');
+const { dataExport } = require('../config/security');
+
+/**
+ * Format an export for its owner; ready exports carry their download link
+ * @param {Object} exportDoc - DataExport document
+ * @returns {Object} Formatted export
+ */
+const formatExportResponse = (exportDoc) => {
+  return {
+    id: exportDoc._id.toString(),
+    status: exportDoc.status,
+    size: exportDoc.size,
+    createdAt: exportDoc.createdAt,
+    readyAt: exportDoc.readyAt,
+    expiresAt: exportDoc.expiresAt,
+    downloadUrl: exportDoc.isDownloadable() ? createDownloadLink(exportDoc) : null
+  };
+};
+
+/**
+ * Send the 404 response for an unknown export
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+const sendExportNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: 'Data export not found'
+  });
+};
+
+// ============================================================================
+// DATA EXPORT CONTROLLERS
+// ============================================================================
+
+/**
+ * Request an archive of the current user's data
+ * @route POST /auth/export
+ * @access Private
+ */
+const requestExport = async (req, res) => {
+  try {
+    const inProgress = await DataExport.findInProgressForUser(req.userId);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'EXPORT_IN_PROGRESS',
+        message: 'Your previous data export is still being prepared',
+        data: { export: formatExportResponse(inProgress) }
+      });
+    }
+
+    // Failed exports don't count towards the cooldown
+    const latest = await DataExport.findOne({ user: req.userId, status: 'ready' }).sort({ createdAt: -1 });
+    const nextAllowedAt = latest ? latest.createdAt.getTime() + dataExport.cooldown : 0;
+    if (nextAllowedAt > Date.now()) {
+      const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too Many Requests',
+        code: 'EXPORT_COOLDOWN',
+        message: 'You can request a new data export once a day',
+        retryAfter
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    const exportDoc = await requestDataExport(user, { io: req.app.get('io') });
+    await logSecurityEvent(req, 'auth.data_export_requested', { user, metadata: { exportId: exportDoc._id.toString() } });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will email you a download link when it is ready.',
+      data: { export: formatExportResponse(exportDoc) }
+    });
+  } catch (error) {
+    console.error('Error requesting data export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to request data export'
+    });
+  }
+};
+
+/**
+ * List the current user's recent data exports, newest first
+ * @route GET /auth/export
+ * @access Private
+ */
+const getExports = async (req, res) => {
+  try {
+    const exports = await DataExport.findForUser(req.userId);
+
+    res.json({
+      success: true,
+      data: { exports: exports.map(formatExportResponse) }
+    });
+  } catch (error) {
+    console.error('Error fetching data exports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch data exports'
+    });
+  }
+};
+
+/**
+ * Get the status of one of the current user's data exports
+ * @route GET /auth/export/:id
+ * @access Private
+ */
+const getExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendExportNotFound(res);
+    }
+
+    const exportDoc = await DataExport.findOne({ _id: req.params.id, user: req.userId });
+    if (!exportDoc) {
+      return sendExportNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: { export: formatExportResponse(exportDoc) }
+    });
+  } catch (error) {
+    console.error('Error fetching data export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch data export'
+    });
+  }
+};
+
+/**
+ * Download an export archive with the signed link from the email
+ * @route GET /auth/export/:id/download
+ * @access Public (token in the link)
+ * @query token
+ */
+const downloadExport = async (req, res) => {
+  try {
+    const { token } = req.query;
+    const exportDoc = typeof token === 'string' ? await verifyDownloadToken(token, req.params.id) : null;
+    if (!exportDoc) {
+      return res.status(410).json({
+        success: false,
+        error: 'Gone',
+        code: 'EXPORT_LINK_EXPIRED',
+        message: 'This download link is invalid or has expired. Please request a new export.'
+      });
+    }
+
+    const user = await User.findById(exportDoc.user);
+    await logSecurityEvent(req, 'auth.data_export_downloaded', { user, metadata: { exportId: exportDoc._id.toString() } });
+
+    const date = exportDoc.readyAt.toISOString().slice(0, 10);
+    res.download(getExportPath(exportDoc.filename), `data-export-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending data export:', error);
+        sendExportNotFound(res);
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading data export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to download data export'
+    });
+  }
+};
+
+module.exports = {
+  requestExport,
+  getExports,
+  getExport,
+  downloadExport
+};
@@ -0,0 +1,185 @@
+/**
+ * Development Controller
+ * Local-only helpers, mounted outside production
+ * @module controllers/devController
+ */
+
+const { getOutbox, clearOutbox, getTransportName, isLocalTransport } = require('../utils/mailTransport');
+const { getSmsOutbox, clearSmsOutbox, getProviderName, isLocalProvider } = require('../utils/smsTransport');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render the outbox as a simple HTML page
+ * @param {Object[]} messages - Outbox entries, newest first
+ * @returns {string} HTML document
+ */
+const renderOutboxPage = (messages) => {
+  const rows = messages.map(message => `
+      <tr>
+        <td>${escapeHtml(new Date(message.createdAt).toLocaleString())}</td>
+        <td>${escapeHtml(message.to)}</td>
+        <td><a href="/dev/outbox/${escapeHtml(message.id)}">${escapeHtml(message.subject)}</a></td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Outbox (${messages.length})</title>
+    <style>
+      body { font-family: Arial, sans-serif; margin: 24px; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { border-bottom: 1px solid #E5E7EB; padding: 8px; text-align: left; }
+    </style>
+  </head>
+  <body>
+    <h2>Outbox (${messages.length})</h2>
+    <p>Transport: ${escapeHtml(getTransportName())}</p>
+    <table>
+      <tr><th>Sent</th><th>To</th><th>Subject</th></tr>${rows || '\n      <tr><td colspan="3">No messages yet</td></tr>'}
+    </table>
+  </body>
+</html>`;
+};
+
+/**
+ * Check whether the client asked for JSON
+ * @param {Object} req - Express request
+ * @returns {boolean} True for ?format=json or a JSON Accept header
+ */
+const wantsJson = (req) => req.query.format === 'json' || req.accepts(['html', 'json']) === 'json';
+
+// ============================================================================
+// OUTBOX CONTROLLERS
+// ============================================================================
+
+/**
+ * List captured emails
+ * @route GET /dev/outbox
+ * @access Development only
+ */
+const getOutboxMessages = (req, res) => {
+  try {
+    const messages = getOutbox();
+
+    if (wantsJson(req)) {
+      return res.json({
+        success: true,
+        data: {
+          transport: getTransportName(),
+          captured: isLocalTransport(),
+          count: messages.length,
+          messages
+        }
+      });
+    }
+
+    res.type('html').send(renderOutboxPage(messages));
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to read outbox' });
+  }
+};
+
+/**
+ * Show a single captured email
+ * @route GET /dev/outbox/:id
+ * @access Development only
+ */
+const getOutboxMessage = (req, res) => {
+  try {
+    const message = getOutbox().find(entry => entry.id === req.params.id);
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Not Found', message: 'Message not found' });
+    }
+
+    if (wantsJson(req)) {
+      return res.json({ success: true, data: message });
+    }
+
+    res.type('html').send(message.html || `<pre>${escapeHtml(message.text)}</pre>`);
+  } catch (error) {
+    console.error('Error reading outbox message:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to read message' });
+  }
+};
+
+/**
+ * Remove all captured emails
+ * @route DELETE /dev/outbox
+ * @access Development only
+ */
+const clearOutboxMessages = (req, res) => {
+  try {
+    clearOutbox();
+    res.json({ success: true, message: 'Outbox cleared' });
+  } catch (error) {
+    console.error('Error clearing outbox:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to clear outbox' });
+  }
+};
+
+// ============================================================================
+// SMS OUTBOX CONTROLLERS
+// ============================================================================
+
+/**
+ * List captured text messages
+ * @route GET /dev/sms
+ * @access Development only
+ */
+const getSmsMessages = (req, res) => {
+  try {
+    const messages = getSmsOutbox();
+    res.json({
+      success: true,
+      data: {
+        provider: getProviderName(),
+        captured: isLocalProvider(),
+        count: messages.length,
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Error reading SMS outbox:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to read SMS outbox' });
+  }
+};
+
+/**
+ * Remove all captured text messages
+ * @route DELETE /dev/sms
+ * @access Development only
+ */
+const clearSmsMessages = (req, res) => {
+  try {
+    clearSmsOutbox();
+    res.json({ success: true, message: 'SMS outbox cleared' });
+  } catch (error) {
+    console.error('Error clearing SMS outbox:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to clear SMS outbox' });
+  }
+};
+
+module.exports = {
+  getOutboxMessages,
+  getOutboxMessage,
+  clearOutboxMessages,
+  getSmsMessages,
+  clearSmsMessages
+};
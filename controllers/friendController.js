@@ -1,19 +1,47 @@
 const FriendRequest = require('../models/FriendRequest');
 const User = require('../models/User');
+const Block = require('../models/Block');
+const { notifyInBackground } = require('../utils/notifications');
+const { presentUser, createPresenter } = require('../utils/profileVisibility');
+const { PROFILE_SELECT } = require('../config/privacy');
+
+// Friend request with its populated users shown as the viewer may see them
+const formatFriendRequest = (friendRequest, present) => {
+  const data = friendRequest.toObject();
+  for (const side of ['sender', 'receiver']) {
+    if (friendRequest.populated(side)) {
+      data[side] = friendRequest[side] ? present(friendRequest[side]) : null;
+    }
+  }
+  return data;
+};
 
-// Send friend request
+// Send friend request (to `receiverId` or `username`)
 const sendFriendRequest = async (req, res) => {
   try {
     const senderId = req.userId;
-    const { receiverId } = req.body;
+    const { username } = req.body;
 
-    if (!receiverId) {
+    if (!req.body.receiverId && (typeof username !== 'string' || !username.trim())) {
       return res.status(400).json({
         success: false,
         error: 'Validation Error',
-        message: 'Receiver ID is required'
+        message: 'Receiver ID or username is required'
+      });
+    }
+
+    // Check if receiver exists (suspended accounts and accounts being deleted are treated as missing)
+    const receiver = req.body.receiverId
+      ? await User.findById(req.body.receiverId)
+      : await User.findByUsername(username);
+    if (!receiver || receiver.isSuspended() || receiver.isPendingDeletion()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'User not found'
       });
     }
+    const receiverId = receiver._id.toString();
 
     if (senderId === receiverId) {
       return res.status(400).json({
@@ -23,9 +51,8 @@ const sendFriendRequest = async (req, res) => {
       });
     }
 
-    // Check if receiver exists
-    const receiver = await User.findById(receiverId);
-    if (!receiver) {
+    // Blocked users (either way) look like they don't exist
+    if (await Block.existsBetween(senderId, receiverId)) {
       return res.status(404).json({
         success: false,
         error: 'Not Found',
@@ -69,12 +96,15 @@ const sendFriendRequest = async (req, res) => {
     await friendRequest.save();
 
     // Populate sender for response
-    await friendRequest.populate('sender', 'fullname email');
+    await friendRequest.populate('sender', PROFILE_SELECT);
+
+    // Let the receiver know by email
+    notifyInBackground('sendFriendRequestNotice', receiver, friendRequest.sender);
 
     res.status(201).json({
       success: true,
       message: 'Friend request sent successfully',
-      data: { friendRequest }
+      data: { friendRequest: formatFriendRequest(friendRequest, user => presentUser(user, 'self')) }
     });
 
   } catch (error) {
@@ -101,11 +131,12 @@ const getPendingRequests = async (req, res) => {
   try {
     const userId = req.userId;
 
-    const pendingRequests = await FriendRequest.findPendingForUser(userId);
+    const requests = await FriendRequest.findPendingForUser(userId);
+    const present = await createPresenter(userId);
 
     res.json({
       success: true,
-      data: { pendingRequests }
+      data: { pendingRequests: requests.map(request => formatFriendRequest(request, present)) }
     });
 
   } catch (error) {
@@ -123,14 +154,15 @@ const getSentRequests = async (req, res) => {
   try {
     const userId = req.userId;
 
-    const sentRequests = await FriendRequest.find({
+    const requests = await FriendRequest.find({
       sender: userId,
       status: 'pending'
-    }).populate('receiver', 'fullname email').sort({ createdAt: -1 });
+    }).populate('receiver', PROFILE_SELECT).sort({ createdAt: -1 });
+    const present = await createPresenter(userId);
 
     res.json({
       success: true,
-      data: { sentRequests }
+      data: { sentRequests: requests.map(request => formatFriendRequest(request, present)) }
     });
 
   } catch (error) {
@@ -183,16 +215,24 @@ const acceptFriendRequest = async (req, res) => {
       });
     }
 
+    if (!(await User.isAvailable(friendRequest.sender))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
     friendRequest.status = 'accepted';
     friendRequest.updatedAt = new Date();
     await friendRequest.save();
 
-    await friendRequest.populate('sender', 'fullname email');
+    await friendRequest.populate('sender', PROFILE_SELECT);
 
     res.json({
       success: true,
       message: 'Friend request accepted',
-      data: { friendRequest }
+      data: { friendRequest: formatFriendRequest(friendRequest, user => presentUser(user, 'friend')) }
     });
 
   } catch (error) {
@@ -316,21 +356,12 @@ const getFriends = async (req, res) => {
     
     const friends = friendsData.map(request => {
       // Return the other user in the friendship
-      if (request.sender._id.toString() === userId) {
-        return {
-          userId: request.receiver._id,
-          fullname: request.receiver.fullname,
-          email: request.receiver.email,
-          addedAt: request.updatedAt
-        };
-      } else {
-        return {
-          userId: request.sender._id,
-          fullname: request.sender.fullname,
-          email: request.sender.email,
-          addedAt: request.updatedAt
-        };
-      }
+      const friend = request.sender._id.toString() === userId ? request.receiver : request.sender;
+      return {
+        userId: friend._id,
+        ...presentUser(friend, 'friend'),
+        addedAt: request.updatedAt
+      };
     });
 
     res.json({
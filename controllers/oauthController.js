@@ -0,0 +1,396 @@
+/**
+ * OAuth / OpenID Connect Controller
+ * Social login, and linking/unlinking external identities to accounts
+ * @module controllers/oauthController
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { getProviders, getProvider } = require('../config/oauth');
+const { generatePkce, buildAuthorizationUrl, getIdentity } = require('../utils/oidc');
+const { formatUserResponse } = require('../utils/authUtils');
+const { completeLogin } = require('../utils/loginFlow');
+const { ensureActiveAccount, sendSuspendedResponse } = require('../utils/accountStatus');
+const { logSecurityEvent } = require('../utils/auditLog');
+const { resolveLocale } = require('../templates/email');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Send the standard "unknown provider" response
+ * @param {Object} res - Express response
+ * @param {string} name - Requested provider name
+ * @returns {Object} Express response
+ */
+const sendUnknownProvider = (res, name) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: `Sign-in provider "${name}" is not available`
+  });
+};
+
+/**
+ * Record a pending authorization request and build its provider URL
+ * @param {Object} provider - Provider configuration
+ * @param {string|null} linkUserId - User linking the provider, null for login
+ * @returns {Promise<string>} Authorization URL
+ */
+const startAuthorization = async (provider, linkUserId = null) => {
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const { codeVerifier, codeChallenge } = generatePkce();
+
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    linkUser: linkUserId
+  });
+
+  return buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+};
+
+/**
+ * Build a display name that satisfies the User schema
+ * @param {Object} identity - Identity returned by the provider
+ * @param {Object} provider - Provider configuration
+ * @returns {string} Full name
+ */
+const nameFromIdentity = (identity, provider) => {
+  const name = (identity.name || identity.email.split('@')[0]).trim().slice(0, 100);
+  return name.length >= 2 ? name : `${provider.displayName} user`;
+};
+
+/**
+ * Find or create the account for a provider identity
+ * @param {Object} provider - Provider configuration
+ * @param {Object} identity - { subject, email, emailVerified, name }
+ * @param {Object} req - Express request (for locale detection)
+ * @returns {Promise<{user?: Object, error?: {status: number, body: Object}}>}
+ */
+const resolveLoginUser = async (provider, identity, req) => {
+  const linked = await User.findByLinkedAccount(provider.name, identity.subject);
+  if (linked) {
+    return { user: linked };
+  }
+
+  // Linking by e-mail is only safe when both sides have proven ownership of it
+  if (!identity.email || !identity.emailVerified) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: 'Email Required',
+          code: 'OAUTH_EMAIL_UNVERIFIED',
+          message: `${provider.displayName} did not share a verified email address`
+        }
+      }
+    };
+  }
+
+  const existing = await User.findByEmail(identity.email);
+  if (existing) {
+    if (!existing.emailVerified) {
+      return {
+        error: {
+          status: 409,
+          body: {
+            success: false,
+            error: 'Account Exists',
+            code: 'OAUTH_LINK_REQUIRED',
+            message: `An account with this email already exists. Sign in with your password and link ${provider.displayName} from your account settings.`
+          }
+        }
+      };
+    }
+
+    existing.linkedAccounts.push({
+      provider: provider.name,
+      subject: identity.subject,
+      email: identity.email
+    });
+    await existing.save();
+    await logSecurityEvent(req, 'auth.oauth_linked', {
+      user: existing,
+      metadata: { provider: provider.name, linkedBy: 'email' }
+    });
+    return { user: existing };
+  }
+
+  const user = await User.create({
+    fullname: nameFromIdentity(identity, provider),
+    email: identity.email,
+    emailVerified: true,
+    locale: resolveLocale(req.get('accept-language')),
+    linkedAccounts: [{
+      provider: provider.name,
+      subject: identity.subject,
+      email: identity.email
+    }]
+  });
+  await logSecurityEvent(req, 'auth.signup', { user, metadata: { provider: provider.name } });
+  return { user };
+};
+
+// ============================================================================
+// LOGIN CONTROLLERS
+// ============================================================================
+
+/**
+ * List configured sign-in providers
+ * @route GET /auth/oauth/providers
+ * @access Public
+ */
+const listProviders = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: getProviders().map(provider => ({
+        name: provider.name,
+        displayName: provider.displayName
+      }))
+    }
+  });
+};
+
+/**
+ * Redirect to the provider's consent screen (or return its URL with ?format=json)
+ * @route GET /auth/oauth/:provider
+ * @access Public
+ */
+const startLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendUnknownProvider(res, req.params.provider);
+    }
+
+    const authorizationUrl = await startAuthorization(provider);
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, data: { authorizationUrl } });
+    }
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('Error starting OAuth login:', error);
+    res.status(502).json({ success: false, error: 'Provider Error', message: 'Could not reach the sign-in provider' });
+  }
+};
+
+/**
+ * Handle the provider redirect: log in, sign up or link the identity
+ * @route GET|POST /auth/oauth/:provider/callback
+ * @access Public (state must come from a request started here); linking
+ * also needs the token of the user who started it
+ */
+const handleCallback = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendUnknownProvider(res, req.params.provider);
+    }
+
+    // Query for the standard redirect, body for form_post providers and clients forwarding the code
+    const params = { ...req.query, ...(req.body || {}) };
+
+    if (params.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authorization Denied',
+        message: params.error_description || `${provider.displayName} sign-in was cancelled`
+      });
+    }
+
+    if (!params.code || !params.state) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    const pending = await OAuthState.consume(String(params.state), provider.name);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid State',
+        code: 'OAUTH_INVALID_STATE',
+        message: 'Sign-in request is invalid or expired. Please start again.'
+      });
+    }
+
+    // A link state alone could be replayed in someone else's browser, linking their
+    // provider account to whoever started the flow, so the callback must come from that user
+    if (pending.linkUser && req.userId?.toString() !== pending.linkUser.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        code: 'OAUTH_LINK_UNAUTHORIZED',
+        message: 'Linking must be completed by the signed-in user who started it. Please start again.'
+      });
+    }
+
+    const identity = await getIdentity(provider, {
+      code: String(params.code),
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    if (pending.linkUser) {
+      return linkIdentity(req, res, provider, identity, pending.linkUser);
+    }
+
+    const { user, error } = await resolveLoginUser(provider, identity, req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    if (!(await ensureActiveAccount(user))) {
+      return sendSuspendedResponse(res, user);
+    }
+
+    return completeLogin(req, res, user, [], { method: 'oauth', provider: provider.name });
+  } catch (error) {
+    if (error.name === 'OAuth Error') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.name,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('Error in OAuth callback:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Social login failed' });
+  }
+};
+
+// ============================================================================
+// ACCOUNT LINKING CONTROLLERS
+// ============================================================================
+
+/**
+ * Attach a verified provider identity to an existing account
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} provider - Provider configuration
+ * @param {Object} identity - Identity returned by the provider
+ * @param {string} userId - Account to link to
+ * @returns {Promise<Object>} Express response
+ */
+const linkIdentity = async (req, res, provider, identity, userId) => {
+  const owner = await User.findByLinkedAccount(provider.name, identity.subject);
+  if (owner && owner._id.toString() !== userId.toString()) {
+    return res.status(409).json({
+      success: false,
+      error: 'Already Linked',
+      message: `This ${provider.displayName} account is linked to another user`
+    });
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+  }
+
+  const current = user.getLinkedAccount(provider.name);
+  if (current && current.subject !== identity.subject) {
+    return res.status(409).json({
+      success: false,
+      error: 'Already Linked',
+      message: `Another ${provider.displayName} account is already linked. Unlink it first.`
+    });
+  }
+
+  if (!current) {
+    user.linkedAccounts.push({
+      provider: provider.name,
+      subject: identity.subject,
+      email: identity.email
+    });
+    await user.save();
+    await logSecurityEvent(req, 'auth.oauth_linked', { user, metadata: { provider: provider.name } });
+  }
+
+  res.json({
+    success: true,
+    message: `${provider.displayName} account linked`,
+    data: { user: formatUserResponse(user) }
+  });
+};
+
+/**
+ * Start linking a provider to the current account. The client finishes by
+ * forwarding code and state to the callback with the same user's token.
+ * @route POST /auth/oauth/:provider/link
+ * @access Private
+ */
+const startLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendUnknownProvider(res, req.params.provider);
+    }
+
+    const authorizationUrl = await startAuthorization(provider, req.userId);
+    res.json({ success: true, data: { authorizationUrl } });
+  } catch (error) {
+    console.error('Error starting OAuth link:', error);
+    res.status(502).json({ success: false, error: 'Provider Error', message: 'Could not reach the sign-in provider' });
+  }
+};
+
+/**
+ * Unlink a provider, as long as another way to sign in remains
+ * @route DELETE /auth/oauth/:provider
+ * @access Private
+ */
+const unlink = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    const name = String(req.params.provider).toLowerCase();
+    if (!user.getLinkedAccount(name)) {
+      return res.status(404).json({ success: false, error: 'Not Found', message: 'This provider is not linked to your account' });
+    }
+
+    const remaining = user.linkedAccounts.filter(account => account.provider !== name);
+    if (!user.hasPassword() && remaining.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Last Login Method',
+        message: 'Set a password or link another provider before unlinking your only sign-in method'
+      });
+    }
+
+    user.linkedAccounts = remaining;
+    await user.save();
+    await logSecurityEvent(req, 'auth.oauth_unlinked', { user, metadata: { provider: name } });
+
+    res.json({
+      success: true,
+      message: 'Provider unlinked',
+      data: { user: formatUserResponse(user) }
+    });
+  } catch (error) {
+    console.error('Error unlinking provider:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to unlink provider' });
+  }
+};
+
+module.exports = {
+  listProviders,
+  startLogin,
+  handleCallback,
+  startLink,
+  unlink
+};
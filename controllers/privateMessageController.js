@@ -1,6 +1,24 @@
+const mongoose = require('mongoose');
 const Conversation = require('../models/Conversation');
 const PrivateMessage = require('../models/PrivateMessage');
 const FriendRequest = require('../models/FriendRequest');
+const User = require('../models/User');
+const { presentUser, createPresenter } = require('../utils/profileVisibility');
+const { PROFILE_SELECT } = require('../config/privacy');
+
+// Shown instead of accounts that were deleted while their conversations were kept
+const DELETED_USER_NAME = 'Deleted user';
+
+// Placeholder for a participant or sender whose account no longer exists
+const deletedUser = (userId) => ({
+  id: userId.toString(),
+  fullname: DELETED_USER_NAME,
+  displayName: null,
+  username: null,
+  avatar: null,
+  avatarUrls: null,
+  deleted: true
+});
 
 // Send private message
 const sendPrivateMessage = async (req, res) => {
@@ -34,6 +52,15 @@ const sendPrivateMessage = async (req, res) => {
       });
     }
 
+    // Suspended users can neither send nor receive messages
+    if (!(await User.isAvailable(receiverId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'This user is not available'
+      });
+    }
+
     // Find or create conversation
     const conversation = await Conversation.findOrCreate(senderId, receiverId);
 
@@ -53,12 +80,14 @@ const sendPrivateMessage = async (req, res) => {
     await conversation.save();
 
     // Populate for response
-    await message.populate('sender', 'fullname email');
+    await message.populate('sender', PROFILE_SELECT);
 
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: { message }
+      data: {
+        message: { ...message.toObject(), sender: presentUser(message.sender, 'self') }
+      }
     });
 
   } catch (error) {
@@ -77,9 +106,10 @@ const getConversationMessages = async (req, res) => {
     const userId = req.userId;
     const { otherUserId } = req.params;
 
-    // Check if users are friends
+    // Check if users are friends; conversations with a deleted account stay readable
     const friendship = await FriendRequest.getExistingRelationship(userId, otherUserId);
-    if (!friendship || friendship.status !== 'accepted') {
+    const isFriend = friendship && friendship.status === 'accepted';
+    if (!isFriend && (!mongoose.Types.ObjectId.isValid(otherUserId) || await User.exists({ _id: otherUserId }))) {
       return res.status(403).json({
         success: false,
         error: 'Forbidden',
@@ -100,10 +130,16 @@ const getConversationMessages = async (req, res) => {
     // Get messages
     const limit = parseInt(req.query.limit) || 50;
     const messages = await PrivateMessage.getMessagesForConversation(conversation._id, limit);
+    const present = await createPresenter(userId);
 
     res.json({
       success: true,
-      data: { messages: messages.reverse() }
+      data: {
+        messages: messages.reverse().map(message => ({
+          ...message.toObject(),
+          sender: message.sender ? present(message.sender) : deletedUser(otherUserId)
+        }))
+      }
     });
 
   } catch (error) {
@@ -122,10 +158,20 @@ const getConversations = async (req, res) => {
     const userId = req.userId;
 
     const conversations = await Conversation.findForUser(userId);
+    const present = await createPresenter(userId);
 
     res.json({
       success: true,
-      data: { conversations }
+      data: {
+        conversations: conversations.map(conversation => {
+          const data = conversation.toObject();
+          // Populate drops participants whose account was deleted
+          const existing = new Map(conversation.participants.map(participant => [participant._id.toString(), participant]));
+          data.participants = conversation.populated('participants')
+            .map(id => (existing.has(id.toString()) ? present(existing.get(id.toString())) : deletedUser(id)));
+          return data;
+        })
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,143 @@
+/**
+ * Session Controller
+ * Lists and revokes the signed-in devices (sessions) of the current user
+ * @module controllers/sessionController
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { revokeSession, revokeOtherSessions } = require('../utils/sessionService');
+const { disconnectSessions } = require('../socket/handlers');
+const { logSecurityEvent } = require('../utils/auditLog');
+
+/**
+ * Format session data for API response
+ * @param {Object} session - Session document
+ * @param {string|null} currentSessionId - Session of the requesting token
+ * @returns {Object} Formatted session data
+ */
+const formatSessionResponse = (session, currentSessionId) => {
+  return {
+    id: session._id.toString(),
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: session._id.toString() === currentSessionId
+  };
+};
+
+/**
+ * List active sessions of the current user
+ * @route GET /auth/sessions
+ * @access Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSessionResponse(session, req.sessionId)),
+        total: sessions.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * Revoke one session and disconnect its sockets
+ * @route DELETE /auth/sessions/:id
+ * @access Private
+ */
+const revokeSessionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.userId, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(id, 'revoked_by_user');
+    disconnectSessions(req.app.get('io'), [id]);
+    await logSecurityEvent(req, 'auth.session_revoked', {
+      user: { _id: req.userId, email: req.user.email },
+      metadata: { sessionIds: [id] }
+    });
+
+    res.json({
+      success: true,
+      message: id === req.sessionId
+        ? 'Current session revoked. You have been logged out.'
+        : 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+/**
+ * Log out everywhere else: revoke every session except the current one
+ * @route DELETE /auth/sessions
+ * @access Private
+ */
+const revokeOtherSessionsHandler = async (req, res) => {
+  try {
+    const revokedIds = await revokeOtherSessions(req.userId, req.sessionId, 'revoked_by_user');
+    disconnectSessions(req.app.get('io'), revokedIds);
+    if (revokedIds.length) {
+      await logSecurityEvent(req, 'auth.session_revoked', {
+        user: { _id: req.userId, email: req.user.email },
+        metadata: { sessionIds: revokedIds }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      data: {
+        revoked: revokedIds.length
+      }
+    });
+  } catch (error) {
+    console.error('Error revoking other sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to revoke sessions'
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession: revokeSessionById,
+  revokeOtherSessions: revokeOtherSessionsHandler
+};
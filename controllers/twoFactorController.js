@@ -0,0 +1,366 @@
+/**
+ * Two-Factor Authentication Controller
+ * Handles TOTP enrollment, the second login step and recovery codes
+ * @module controllers/twoFactorController
+ */
+
+const User = require('../models/User');
+const { verifyPurposeToken } = require('../utils/authUtils');
+const { ensureActiveAccount, sendSuspendedResponse } = require('../utils/accountStatus');
+const { logSecurityEvent } = require('../utils/auditLog');
+const { startSession } = require('../utils/loginFlow');
+const {
+  accountKey,
+  checkLock,
+  registerFailure,
+  resetFailures,
+  sendLockedResponse
+} = require('../utils/bruteForce');
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ElProject';
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Create a fresh set of recovery codes for a user
+ * @param {Object} user - User document (with secret fields selected)
+ * @returns {string[]} Plaintext codes, shown to the user exactly once
+ */
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Check a TOTP code for a user and record its time step to block replays.
+ * The step is stored with a conditional update, so two requests racing with
+ * the same code can't both get through.
+ * @param {Object} user - User document
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Secret to check against
+ * @returns {Promise<Object|null>} Updated user, or null if the code is invalid or used
+ */
+const consumeTotpCode = async (user, code, secret) => {
+  const step = verifyTOTP(code, secret);
+  if (step === null) return null;
+
+  return User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } },
+    { new: true }
+  );
+};
+
+/**
+ * Check and burn a recovery code in a single conditional update
+ * @param {Object} user - User document
+ * @param {string} recoveryCode - Recovery code entered by the user
+ * @returns {Promise<Object|null>} Updated user (with recovery codes selected), or null if the code is invalid or used
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+
+  return User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } },
+    { new: true }
+  ).select('+twoFactor.recoveryCodes');
+};
+
+// ============================================================================
+// ENROLLMENT CONTROLLERS
+// ============================================================================
+
+/**
+ * Get two-factor authentication status
+ * @route GET /auth/2fa
+ * @access Private
+ */
+const getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.hasTwoFactorEnabled(),
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.hasTwoFactorEnabled() ? user.twoFactor.recoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to fetch two-factor status' });
+  }
+};
+
+/**
+ * Start enrollment: generate a secret and otpauth URI
+ * @route POST /auth/2fa/setup
+ * @access Private
+ */
+const setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    if (user.hasTwoFactorEnabled()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already Enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+      }
+    });
+  } catch (error) {
+    console.error('Error in 2FA setup:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to start two-factor setup' });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @route POST /auth/2fa/enable
+ * @access Private
+ */
+const enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Validation Error', message: 'Code is required', field: 'code' });
+    }
+
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Start two-factor setup before confirming it'
+      });
+    }
+
+    if (!(await consumeTotpCode(user, code, user.twoFactor.pendingSecret))) {
+      return res.status(400).json({ success: false, error: 'Invalid Code', message: 'Authentication code is invalid' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+    await logSecurityEvent(req, 'auth.2fa_enabled', { user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to enable two-factor authentication' });
+  }
+};
+
+/**
+ * Disable two-factor authentication (requires password re-entry)
+ * @route POST /auth/2fa/disable
+ * @access Private
+ */
+const disable = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ success: false, error: 'Validation Error', message: 'Password is required', field: 'password' });
+    }
+
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({ success: false, error: 'Authentication Error', message: 'Password is incorrect' });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save();
+    await logSecurityEvent(req, 'auth.2fa_disabled', { user });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to disable two-factor authentication' });
+  }
+};
+
+/**
+ * Replace all recovery codes (requires password re-entry)
+ * @route POST /auth/2fa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ success: false, error: 'Validation Error', message: 'Password is required', field: 'password' });
+    }
+
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User Not Found', message: 'User not found' });
+    }
+
+    if (!user.hasTwoFactorEnabled()) {
+      return res.status(400).json({ success: false, error: 'Not Enabled', message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({ success: false, error: 'Authentication Error', message: 'Password is incorrect' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+    await logSecurityEvent(req, 'auth.recovery_codes_regenerated', { user });
+
+    res.json({ success: true, message: 'Recovery codes regenerated', data: { recoveryCodes } });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to regenerate recovery codes' });
+  }
+};
+
+// ============================================================================
+// LOGIN CONTROLLERS
+// ============================================================================
+
+/**
+ * Complete login with a TOTP or recovery code
+ * @route POST /auth/2fa/verify
+ * @access Public (requires mfaToken from POST /auth/login)
+ */
+const verifyLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'MFA token and an authentication or recovery code are required'
+      });
+    }
+
+    const pending = verifyPurposeToken(mfaToken, 'mfa_pending');
+    if (!pending) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication Error',
+        message: 'Two-factor session expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(pending.userId).select(SECRET_FIELDS);
+    if (!user || !user.hasTwoFactorEnabled()) {
+      return res.status(401).json({ success: false, error: 'Authentication Error', message: 'Invalid two-factor session' });
+    }
+    if (!(await ensureActiveAccount(user))) {
+      return sendSuspendedResponse(res, user);
+    }
+
+    // Second factor shares the login lock so a known password can't be used to guess codes
+    const attemptKeys = [accountKey('login', user._id)];
+    const lock = await checkLock(attemptKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    const consumed = code
+      ? await consumeTotpCode(user, code, user.twoFactor.secret)
+      : await consumeRecoveryCode(user, recoveryCode);
+
+    const loginDetails = {
+      ...(pending.login || { method: 'password' }),
+      secondFactor: code ? 'totp' : 'recovery_code'
+    };
+
+    if (!consumed) {
+      await logSecurityEvent(req, 'auth.login_failed', {
+        user,
+        metadata: { ...loginDetails, reason: 'invalid_2fa_code' }
+      });
+      const failureLock = await registerFailure(attemptKeys, { user });
+      if (failureLock.locked) {
+        return sendLockedResponse(res, failureLock);
+      }
+      return res.status(401).json({ success: false, error: 'Invalid Code', message: 'Authentication code is invalid' });
+    }
+
+    await resetFailures(attemptKeys);
+    return startSession(req, res, user, loginDetails, {
+      ...(recoveryCode && { recoveryCodesRemaining: consumed.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('Error verifying 2FA login:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error', message: 'Failed to verify code' });
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  verifyLogin
+};
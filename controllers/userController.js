@@ -0,0 +1,455 @@
+/**
+ * User Controller
+ * Profiles of other users, shown according to their privacy settings, the
+ * user directory and blocking
+ * @module controllers/userController
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const Block = require('../models/Block');
+const { presentUser, createPresenter } = require('../utils/profileVisibility');
+const { normalizeUsername } = require('../utils/usernamePolicy');
+const {
+  NAME_COLLATION,
+  buildSearchFilter,
+  findFriendsOfFriends,
+  getOnlineUserIds,
+  encodeCursor,
+  cursorFilter
+} = require('../utils/userDirectory');
+const { PROFILE_SELECT, PUBLIC_FIELDS, PRIVATE_FIELDS } = require('../config/privacy');
+
+// Fields loaded to show a profile and decide whether it can be shown
+const PROFILE_LOOKUP_SELECT = `${PROFILE_SELECT} isActive suspension deletion createdAt`;
+
+// Handle autocomplete limits
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 20;
+
+// Directory page size and search
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 50;
+const MATCH_MODES = ['prefix', 'fuzzy'];
+const DIRECTORY_FILTERS = ['verified', 'online', 'friendsOfFriends'];
+
+// Fields that can be requested with ?fields= (id is always included)
+const DIRECTORY_FIELDS = [...PUBLIC_FIELDS, ...PRIVATE_FIELDS, 'online'];
+
+const sendValidationError = (res, message, field) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    message,
+    field
+  });
+};
+
+const sendUserNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: 'User not found'
+  });
+};
+
+/**
+ * Friendship between the viewer and another user, from the viewer's side
+ * @param {string} viewerId - User looking at the profile
+ * @param {Object} user - Profile owner
+ * @returns {Promise<string>} self, friends, request_sent, request_received or none
+ */
+const getFriendshipStatus = async (viewerId, user) => {
+  if (user._id.equals(viewerId)) return 'self';
+
+  const friendRequest = await FriendRequest.getExistingRelationship(viewerId, user._id);
+  if (!friendRequest) return 'none';
+  if (friendRequest.status === 'accepted') return 'friends';
+  if (friendRequest.status === 'pending') {
+    return friendRequest.sender.equals(viewerId) ? 'request_sent' : 'request_received';
+  }
+  return 'none';
+};
+
+/**
+ * Send a profile as the viewer may see it; suspended accounts, accounts
+ * being deleted and blocked users are hidden from everyone but their owner
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|null} user - User loaded with PROFILE_LOOKUP_SELECT
+ */
+const sendProfile = async (req, res, user) => {
+  const isSelf = !!user && user._id.equals(req.userId);
+  if (!user || (!isSelf && (user.isSuspended() || user.isPendingDeletion()))) {
+    return sendUserNotFound(res);
+  }
+  if (!isSelf && await Block.existsBetween(req.userId, user._id)) {
+    return sendUserNotFound(res);
+  }
+
+  const friendship = await getFriendshipStatus(req.userId, user);
+  const relation = friendship === 'self' ? 'self' : friendship === 'friends' ? 'friend' : 'other';
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        ...presentUser(user, relation),
+        memberSince: user.createdAt
+      },
+      friendship
+    }
+  });
+};
+
+// ============================================================================
+// PROFILE CONTROLLERS
+// ============================================================================
+
+/**
+ * Get a user's public profile
+ * @route GET /users/:id
+ * @access Private
+ */
+const getUserProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = mongoose.Types.ObjectId.isValid(id)
+      ? await User.findById(id).select(PROFILE_LOOKUP_SELECT)
+      : null;
+    await sendProfile(req, res, user);
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch user profile'
+    });
+  }
+};
+
+/**
+ * Get a user's public profile by @username (case-insensitive)
+ * @route GET /users/by-username/:username
+ * @access Private
+ */
+const getUserByUsername = async (req, res) => {
+  try {
+    const handle = normalizeUsername(req.params.username);
+    const user = handle
+      ? await User.findOne({ username: handle }).select(PROFILE_LOOKUP_SELECT)
+      : null;
+    await sendProfile(req, res, user);
+  } catch (error) {
+    console.error('Error fetching user by username:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch user profile'
+    });
+  }
+};
+
+/**
+ * Suggest users whose username starts with `q`, for @mention autocomplete
+ * @route GET /users/search
+ * @access Private
+ */
+const searchUsernames = async (req, res) => {
+  try {
+    const prefix = normalizeUsername(req.query.q);
+    if (!/^[a-z0-9_]+$/.test(prefix)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Search must be the start of a username (letters, numbers and underscores)',
+        field: 'q'
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+    // A prefix regex on the lowercase handle can use the username index
+    const hiddenIds = await Block.findHiddenIds(req.userId);
+    const users = await User.find({
+      username: { $regex: `^${prefix}` },
+      _id: { $nin: hiddenIds },
+      ...User.activeFilter()
+    })
+      .select(PROFILE_SELECT)
+      .sort({ username: 1 })
+      .limit(limit);
+    const present = await createPresenter(req.userId);
+
+    res.json({
+      success: true,
+      data: { users: users.map(present) }
+    });
+  } catch (error) {
+    console.error('Error searching usernames:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to search users'
+    });
+  }
+};
+
+// ============================================================================
+// DIRECTORY CONTROLLERS
+// ============================================================================
+
+/**
+ * Browse users by name, a page at a time. Suspended users, users being deleted,
+ * blocked users and the caller are left out; private fields follow each user's
+ * privacy settings.
+ * Query: q (search), match (prefix|fuzzy), verified, online, friendsOfFriends
+ * (true|false), fields (comma-separated), limit, cursor (nextCursor of the previous page)
+ * @route GET /users
+ * @access Private
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { q, cursor } = req.query;
+    const match = req.query.match || 'prefix';
+    const conditions = [User.activeFilter()];
+
+    if (!MATCH_MODES.includes(match)) {
+      return sendValidationError(res, `match must be one of: ${MATCH_MODES.join(', ')}`, 'match');
+    }
+    for (const filter of DIRECTORY_FILTERS) {
+      const value = req.query[filter];
+      if (value !== undefined && value !== 'true' && value !== 'false') {
+        return sendValidationError(res, `${filter} must be true or false`, filter);
+      }
+    }
+
+    let fields = null;
+    if (req.query.fields) {
+      fields = String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean);
+      const unknown = fields.filter(field => field !== 'id' && !DIRECTORY_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        return sendValidationError(
+          res,
+          `Unknown field(s): ${unknown.join(', ')}. Available: ${DIRECTORY_FIELDS.join(', ')}`,
+          'fields'
+        );
+      }
+    }
+
+    if (q !== undefined) {
+      const text = String(q).trim().replace(/^@/, '');
+      if (text.length < MIN_QUERY_LENGTH) {
+        return sendValidationError(res, `Search must be at least ${MIN_QUERY_LENGTH} characters`, 'q');
+      }
+      if (text.length > MAX_QUERY_LENGTH) {
+        return sendValidationError(res, `Search must be at most ${MAX_QUERY_LENGTH} characters`, 'q');
+      }
+      conditions.push(buildSearchFilter(text, match));
+    }
+
+    if (cursor !== undefined) {
+      const after = cursorFilter(String(cursor));
+      if (!after) {
+        return sendValidationError(res, 'Invalid cursor', 'cursor');
+      }
+      conditions.push(after);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const hiddenIds = await Block.findHiddenIds(req.userId);
+    conditions.push({ _id: { $nin: [req.userId, ...hiddenIds] } });
+
+    if (req.query.verified !== undefined) {
+      conditions.push({ emailVerified: req.query.verified === 'true' });
+    }
+
+    if (req.query.friendsOfFriends !== undefined) {
+      const friendIds = await FriendRequest.findFriendIds(req.userId);
+      const suggestions = await findFriendsOfFriends(req.userId, friendIds);
+      conditions.push({ _id: { [req.query.friendsOfFriends === 'true' ? '$in' : '$nin']: suggestions } });
+    }
+
+    const onlineIds = await getOnlineUserIds(req.app.get('io'));
+    if (req.query.online !== undefined) {
+      if (!onlineIds) {
+        return res.status(503).json({
+          success: false,
+          error: 'Service Unavailable',
+          message: 'Online status is not available'
+        });
+      }
+      conditions.push({ _id: { [req.query.online === 'true' ? '$in' : '$nin']: [...onlineIds] } });
+    }
+
+    // One extra user tells whether there is a next page
+    const users = await User.find({ $and: conditions })
+      .select(PROFILE_SELECT)
+      .collation(NAME_COLLATION)
+      .sort({ fullname: 1, _id: 1 })
+      .limit(limit + 1);
+    const hasMore = users.length > limit;
+    const page = hasMore ? users.slice(0, limit) : users;
+    const present = await createPresenter(req.userId);
+
+    const data = page.map(user => {
+      const presented = present(user);
+      if (onlineIds) presented.online = onlineIds.has(user._id.toString());
+      if (!fields) return presented;
+
+      // Fields hidden by the user's privacy settings stay out even when requested
+      const picked = { id: presented.id };
+      for (const field of fields) {
+        if (field in presented) picked[field] = presented[field];
+        if (field === 'avatar') picked.avatarUrls = presented.avatarUrls;
+      }
+      return picked;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users: data,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+// ============================================================================
+// BLOCKING CONTROLLERS
+// ============================================================================
+
+/**
+ * Block a user: each disappears from the other's directory, search, profile
+ * lookups and mentions, and any friendship or pending request between them is removed
+ * @route POST /users/:id/block
+ * @access Private
+ */
+const blockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendValidationError(res, 'Invalid user id', 'id');
+    }
+    if (id === req.userId.toString()) {
+      return sendValidationError(res, 'You cannot block yourself', 'id');
+    }
+
+    const user = await User.findById(id).select('_id');
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    await Block.updateOne(
+      { blocker: req.userId, blocked: user._id },
+      { $setOnInsert: { blocker: req.userId, blocked: user._id } },
+      { upsert: true }
+    );
+    await FriendRequest.deleteMany({
+      $or: [
+        { sender: req.userId, receiver: user._id },
+        { sender: user._id, receiver: req.userId }
+      ]
+    });
+
+    res.json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to block user'
+    });
+  }
+};
+
+/**
+ * Unblock a user (a removed friendship is not restored)
+ * @route DELETE /users/:id/block
+ * @access Private
+ */
+const unblockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendValidationError(res, 'Invalid user id', 'id');
+    }
+
+    const block = await Block.findOneAndDelete({ blocker: req.userId, blocked: id });
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'User is not blocked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to unblock user'
+    });
+  }
+};
+
+/**
+ * Get the users the current user has blocked
+ * @route GET /users/blocked
+ * @access Private
+ */
+const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.userId })
+      .populate('blocked', PROFILE_SELECT)
+      .sort({ createdAt: -1 });
+
+    const users = blocks
+      .filter(block => block.blocked)
+      .map(block => ({
+        ...presentUser(block.blocked, 'other'),
+        blockedAt: block.createdAt
+      }));
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch blocked users'
+    });
+  }
+};
+
+module.exports = {
+  getUserProfile,
+  getUserByUsername,
+  searchUsernames,
+  listUsers,
+  blockUser,
+  unblockUser,
+  getBlockedUsers
+};
@@ -1,10 +1,14 @@
 const { verifyJWTToken } = require('../utils/authUtils');
+const { isSessionActive } = require('../utils/sessionService');
+const { DEFAULT_ROLE, roleHasPermission } = require('../config/roles');
+const User = require('../models/User');
+const { ensureActiveAccount, sendSuspendedResponse } = require('../utils/accountStatus');
 
 // Authentication middleware
-const authenticateUser = (req, res, next) => {
+const authenticateUser = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -12,17 +16,35 @@ const authenticateUser = (req, res, next) => {
         message: 'No token provided'
       });
     }
-    
+
     // Verify JWT token
     const decoded = verifyJWTToken(token);
-    
+
+    // Suspension applies immediately, even to access tokens that have not expired yet
+    const account = await User.findById(decoded.userId).select('isActive suspension');
+    if (account && !(await ensureActiveAccount(account))) {
+      return sendSuspendedResponse(res, account);
+    }
+
+    // Reject access tokens whose session was revoked (logout, reuse detection).
+    // Tokens issued before sessions existed carry no `sid` and simply expire.
+    if (decoded.sid && !(await isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication Error',
+        message: 'Session has been revoked'
+      });
+    }
+
     // Add user info to request object
     req.user = {
       fullname: decoded.fullname,
-      email: decoded.email
+      email: decoded.email,
+      role: decoded.role || DEFAULT_ROLE
     };
     req.userId = decoded.userId;
-    
+    req.sessionId = decoded.sid || null;
+
     next();
   } catch (error) {
     console.error('Authentication middleware error:', error);
@@ -34,6 +56,97 @@ const authenticateUser = (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate only when the request carries a token, for routes that also
+ * serve anonymous callers. An invalid token is still rejected.
+ */
+const authenticateIfPresent = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticateUser(req, res, next);
+};
+
+// Send the standard "not allowed" response
+const sendForbidden = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: 'You do not have permission to perform this action'
+  });
+};
+
+// Reload the role from the database so demotions apply before the access token expires
+const refreshRole = async (req, res) => {
+  const user = await User.findById(req.userId).select('role isActive');
+  if (!user || !user.isActive) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication Error',
+      message: 'Account is no longer active'
+    });
+    return false;
+  }
+
+  req.user.role = user.role;
+  return true;
+};
+
+/**
+ * Permission middleware, use after authenticateUser.
+ * The role comes from the access token; pass { fresh: true } for sensitive
+ * actions to re-check it against the database.
+ * @param {string} permission - Permission from config/roles.js
+ * @param {Object} [options] - { fresh: boolean }
+ */
+const requirePermission = (permission, { fresh = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication Error',
+          message: 'No token provided'
+        });
+      }
+
+      if (fresh && !(await refreshRole(req, res))) {
+        return;
+      }
+
+      if (!roleHasPermission(req.user.role, permission)) {
+        return sendForbidden(res);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to check permissions'
+      });
+    }
+  };
+};
+
+/**
+ * Role middleware, use after authenticateUser. Prefer requirePermission;
+ * this is for the rare check that really is about the role itself.
+ * @param {...string} roles - Allowed roles
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return sendForbidden(res);
+    }
+    next();
+  };
+};
+
 module.exports = {
-  authenticateUser
+  authenticateUser,
+  authenticateIfPresent,
+  requirePermission,
+  requireRole
 };
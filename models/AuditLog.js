@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { auditLog: retention } = require('../config/security');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Security events of a user's own account ("auth.*") and actions taken by admins ("admin.*")
+const AUDIT_ACTIONS = [
+  'auth.signup',
+  'auth.login',
+  'auth.login_failed',
+  'auth.logout',
+  'auth.account_locked',
+  'auth.password_changed',
+  'auth.password_reset_requested',
+  'auth.password_reset',
+  'auth.compromise_reported',
+  'auth.email_verified',
+  'auth.email_change_requested',
+  'auth.email_changed',
+  'auth.email_change_undone',
+  'auth.phone_verified',
+  'auth.profile_updated',
+  'auth.privacy_updated',
+  'auth.username_changed',
+  'auth.avatar_changed',
+  'auth.account_deletion_scheduled',
+  'auth.account_restored',
+  'auth.account_deleted',
+  'auth.data_export_requested',
+  'auth.data_export_downloaded',
+  'auth.2fa_enabled',
+  'auth.2fa_disabled',
+  'auth.recovery_codes_regenerated',
+  'auth.session_revoked',
+  'auth.oauth_linked',
+  'auth.oauth_unlinked',
+  'admin.user.view',
+  'admin.user.suspend',
+  'admin.user.unsuspend',
+  'admin.user.role_change',
+  'admin.user.password_reset_forced',
+  'admin.user.sessions_revoked',
+  'admin.user.delete'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot, so entries stay readable after the account is deleted
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  // Dotted event name, e.g. "admin.user.suspend"
+  action: {
+    type: String,
+    required: true,
+    enum: {
+      values: AUDIT_ACTIONS,
+      message: 'Unknown audit action'
+    }
+  },
+  // Account the action was performed on
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetEmail: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set from the retention settings when the entry is written
+  expiresAt: {
+    type: Date
+  }
+});
+
+// Index for faster queries and retention cleanup
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save middleware: entries are append-only and expire after their retention period
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+
+  const days = this.action.startsWith('admin.') ? retention.adminRetentionDays : retention.retentionDays;
+  this.expiresAt = new Date(this.createdAt.getTime() + days * DAY_MS);
+  next();
+});
+
+// Updates and deletes through queries are refused as well (retention is handled by the TTL index)
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  auditLogSchema.pre(operation, refuseChange);
+}
+
+// Static method to record an entry; actor and target may be user documents
+auditLogSchema.statics.record = function({ actor = null, target = null, action, req = null, metadata = {} }) {
+  return this.create({
+    actor: actor?._id || null,
+    actorEmail: actor?.email || null,
+    action,
+    target: target?._id || null,
+    targetEmail: target?.email || null,
+    ip: req?.ip || null,
+    userAgent: req?.get('user-agent') || null,
+    metadata
+  });
+};
+
+// Only "auth.*" events belong to a user's own history; admin actions stay with the admins
+const userHistoryFilter = (userId, action) => ({
+  target: userId,
+  action: action && action.startsWith('auth.') ? action : /^auth\./
+});
+
+// Static method to get a user's own security history, newest first
+auditLogSchema.statics.findForUser = function(userId, { action = null, skip = 0, limit = 20 } = {}) {
+  return this.find(userHistoryFilter(userId, action))
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to count entries of a user's own security history
+auditLogSchema.statics.countForUser = function(userId, { action = null } = {}) {
+  return this.countDocuments(userHistoryFilter(userId, action));
+};
+
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One user blocking another: they stop seeing each other in the directory,
+// profiles and mentions, and can't be friends while the block lasts
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// Static method to check whether either user blocked the other
+blockSchema.statics.existsBetween = async function(userId1, userId2) {
+  return !!(await this.exists({
+    $or: [
+      { blocker: userId1, blocked: userId2 },
+      { blocker: userId2, blocked: userId1 }
+    ]
+  }));
+};
+
+// Static method to list the users a user blocked or was blocked by (to hide them from each other)
+blockSchema.statics.findHiddenIds = async function(userId) {
+  const blocks = await this.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select('blocker blocked')
+    .lean();
+  return blocks.map(block => (block.blocker.toString() === userId.toString() ? block.blocked : block.blocker));
+};
+
+module.exports = mongoose.model('Block', blockSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PROFILE_SELECT } = require('../config/privacy');
 
 const conversationSchema = new mongoose.Schema({
   participants: [{
@@ -65,14 +66,14 @@ conversationSchema.statics.findBetween = function(userId1, userId2) {
   const sortedParticipants = [userId1, userId2].sort();
   return this.findOne({
     participants: { $all: sortedParticipants }
-  }).populate('participants', 'fullname email');
+  }).populate('participants', PROFILE_SELECT);
 };
 
 // Static method to find all conversations for a user
 conversationSchema.statics.findForUser = function(userId) {
   return this.find({
     participants: userId
-  }).populate('participants', 'fullname email')
+  }).populate('participants', PROFILE_SELECT)
     .populate('lastMessage')
     .sort({ lastMessageAt: -1 });
 };
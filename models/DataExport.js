@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { dataExport } = require('../config/security');
+
+// Personal data archive requested by a user (POST /auth/export), built in the background
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Archive name inside uploads/exports, set once the archive is ready
+  filename: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  readyAt: {
+    type: Date,
+    default: null
+  },
+  // When the download link stops working and the archive is removed
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+// Instance method to check whether the archive can still be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'ready' && !!this.filename && this.expiresAt > new Date();
+};
+
+// Static method to find the export a user is still waiting for; interrupted
+// exports (untouched for `staleAfter`) don't count
+dataExportSchema.statics.findInProgressForUser = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] },
+    updatedAt: { $gt: new Date(Date.now() - dataExport.staleAfter) }
+  });
+};
+
+// Static method to find the exports of a user, newest first
+dataExportSchema.statics.findForUser = function(userId, limit = 10) {
+  return this.find({ user: userId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const failedAttemptSchema = new mongoose.Schema({
+  // Tracked subject, e.g. "login:account:<userId>" or "login:identifier:<email>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Counter is forgotten once no failure happened for the configured lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-cleanup of stale counters
+failedAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically record one more failure for a key
+failedAttemptSchema.statics.increment = function(key, expiresAt) {
+  return this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: new Date(), expiresAt }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('FailedAttempt', failedAttemptSchema);
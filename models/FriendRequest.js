@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PROFILE_SELECT } = require('../config/privacy');
 
 const friendRequestSchema = new mongoose.Schema({
   sender: {
@@ -50,7 +51,7 @@ friendRequestSchema.statics.findPendingForUser = function(userId) {
   return this.find({
     receiver: userId,
     status: 'pending'
-  }).populate('sender', 'fullname email').sort({ createdAt: -1 });
+  }).populate('sender', PROFILE_SELECT).sort({ createdAt: -1 });
 };
 
 // Static method to find friends for a user
@@ -60,7 +61,20 @@ friendRequestSchema.statics.findFriends = function(userId) {
       { sender: userId, status: 'accepted' },
       { receiver: userId, status: 'accepted' }
     ]
-  }).populate('sender', 'fullname email').populate('receiver', 'fullname email').sort({ updatedAt: -1 });
+  }).populate('sender', PROFILE_SELECT).populate('receiver', PROFILE_SELECT).sort({ updatedAt: -1 });
+};
+
+// Static method to list the ids of a user's friends
+friendRequestSchema.statics.findFriendIds = async function(userId) {
+  const friendships = await this.find({
+    $or: [
+      { sender: userId, status: 'accepted' },
+      { receiver: userId, status: 'accepted' }
+    ]
+  }).select('sender receiver').lean();
+  return friendships.map(friendship => (
+    friendship.sender.toString() === userId.toString() ? friendship.receiver : friendship.sender
+  ));
 };
 
 module.exports = mongoose.model('FriendRequest', friendRequestSchema);
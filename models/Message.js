@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PROFILE_SELECT } = require('../config/privacy');
 
 const messageSchema = new mongoose.Schema({
   sender: {
@@ -50,6 +51,11 @@ const messageSchema = new mongoose.Schema({
       min: 0
     }
   },
+  // Users @mentioned in the content (see utils/mentions.js)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   timestamp: {
     type: Date,
     default: Date.now
@@ -73,11 +79,13 @@ const messageSchema = new mongoose.Schema({
 // Index for better query performance
 messageSchema.index({ timestamp: -1 });
 messageSchema.index({ sender: 1, timestamp: -1 });
+messageSchema.index({ mentions: 1, timestamp: -1 });
 
 // Static method to get recent messages
 messageSchema.statics.getRecentMessages = function(limit = 50) {
   return this.find()
-    .populate('sender', 'fullname email')
+    .populate('sender', PROFILE_SELECT)
+    .populate('mentions', 'username')
     .sort({ timestamp: -1 })
     .limit(limit);
 };
@@ -85,7 +93,7 @@ messageSchema.statics.getRecentMessages = function(limit = 50) {
 // Static method to get messages by user
 messageSchema.statics.getMessagesByUser = function(userId, limit = 50) {
   return this.find({ sender: userId })
-    .populate('sender', 'fullname email')
+    .populate('sender', PROFILE_SELECT)
     .sort({ timestamp: -1 })
     .limit(limit)
     .lean();
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Lifetime of an authorization request; the user must finish the consent screen within it
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const oauthStateSchema = new mongoose.Schema({
+  // Random value round-tripped through the provider (CSRF protection)
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier, never leaves the server
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set when an authenticated user is linking a provider instead of logging in
+  linkUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + OAUTH_STATE_TTL_MS)
+  }
+});
+
+// Auto-cleanup of abandoned authorization requests
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to fetch and delete a pending request in one step (single use)
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PROFILE_SELECT } = require('../config/privacy');
 
 const privateMessageSchema = new mongoose.Schema({
   sender: {
@@ -53,7 +54,7 @@ privateMessageSchema.index({ read: 1 });
 // Static method to get messages for a conversation
 privateMessageSchema.statics.getMessagesForConversation = function(conversationId, limit = 50) {
   return this.find({ conversation: conversationId })
-    .populate('sender', 'fullname email')
+    .populate('sender', PROFILE_SELECT)
     .sort({ timestamp: -1 })
     .limit(limit);
 };
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Maximum number of rotated-out refresh token hashes kept for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token that is currently valid for this family
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens that were already rotated out
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'user_unavailable', 'revoked_by_user', 'revoked_by_admin', 'account_suspended', 'reported_by_user', 'deletion_scheduled', 'email_change_undone', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries and auto-cleanup of expired families
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the whole refresh token family
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to atomically swap the current refresh token for a new one
+sessionSchema.statics.rotate = function(sessionId, currentHash, nextHash, ip = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: currentHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { refreshTokenHash: nextHash, lastSeenAt: new Date(), ...(ip && { ip }) },
+      $push: { previousTokenHashes: { $each: [currentHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+};
+
+// Static method to find active sessions of a user, most recently seen first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('-refreshTokenHash -previousTokenHashes').sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
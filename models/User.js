@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { i18n } = require('../config/app.config');
+const { ROLES, DEFAULT_ROLE, roleHasPermission } = require('../config/roles');
+const { password: passwordPolicy } = require('../config/security');
+const { VISIBILITY_LEVELS, DEFAULT_VISIBILITY } = require('../config/privacy');
+const { PATTERN: USERNAME_PATTERN } = require('../config/usernames');
+
+// Whether a string is an IANA time zone name (e.g. "Europe/Paris")
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
 
 const userSchema = new mongoose.Schema({
   fullname: {
@@ -26,9 +41,10 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long'],
-    maxlength: [128, 'Password cannot exceed 128 characters']
+    // Accounts created through a social login may have no password
+    required: [function() { return !this.linkedAccounts || this.linkedAccounts.length === 0; }, 'Password is required'],
+    minlength: [passwordPolicy.minLength, `Password must be at least ${passwordPolicy.minLength} characters long`],
+    maxlength: [passwordPolicy.maxLength, `Password cannot exceed ${passwordPolicy.maxLength} characters`]
   },
   createdAt: {
     type: Date,
@@ -46,20 +62,259 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Why and until when the account is suspended (isActive is false meanwhile)
+  suspension: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+      default: null
+    },
+    suspendedAt: {
+      type: Date,
+      default: null
+    },
+    // null: until an admin lifts it
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  // Scheduled by DELETE /auth/account; the account is purged once scheduledFor has passed
+  deletion: {
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null
+    }
+  },
+  // Access level; see config/roles.js for what each role may do
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Invalid role'
+    },
+    default: DEFAULT_ROLE
+  },
+  // Set by an admin: password login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Hashes of the most recent passwords (current one included), to prevent reuse
+  passwordHistory: [{
+    _id: false,
+    hash: {
+      type: String,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: null
   },
+  // Profile shown to other users; config/privacy.js decides who sees which field
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters'],
+    default: null
+  },
+  // @handle, stored lowercase; unset until the user picks one (the unique index skips missing values)
+  username: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [USERNAME_PATTERN, 'Username must start with a letter and contain only letters, numbers and single underscores']
+  },
+  // Last time a username was replaced or removed (starts the change cooldown)
+  usernameChangedAt: {
+    type: Date,
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot exceed 300 characters'],
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters'],
+    default: null
+  },
+  statusText: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Status cannot exceed 100 characters'],
+    default: null
+  },
+  pronouns: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Pronouns cannot exceed 30 characters'],
+    default: null
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => value === null || isTimeZone(value),
+      message: 'Please enter a valid time zone (e.g. Europe/Paris)'
+    },
+    default: null
+  },
+  // Who may see each private field: everyone, friends or only_me
+  privacy: Object.fromEntries(Object.entries(DEFAULT_VISIBILITY).map(([field, level]) => [field, {
+    type: String,
+    enum: {
+      values: VISIBILITY_LEVELS,
+      message: 'Visibility must be one of: ' + VISIBILITY_LEVELS.join(', ')
+    },
+    default: level
+  }])),
+  // New address waiting for its verification code; the current email stays in use until then
+  pendingEmail: {
+    address: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    }
+  },
   emailVerified: {
     type: Boolean,
     default: false
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Language for emails and other server-rendered text
+  locale: {
+    type: String,
+    enum: {
+      values: i18n.locales,
+      message: 'Unsupported locale'
+    },
+    default: i18n.defaultLocale
+  },
+  // External identities (OAuth/OpenID Connect) that can sign in to this account
+  linkedAccounts: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    // Provider's stable user id ("sub" claim)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Devices (user agent fingerprint) and IPs the account signed in from, for new sign-in alerts
+  knownDevices: [{
+    _id: false,
+    fingerprint: {
+      type: String,
+      required: true
+    },
+    deviceName: {
+      type: String,
+      default: null
+    },
+    ips: {
+      type: [String],
+      default: []
+    },
+    firstSeenAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret, only set once enrollment is confirmed
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted time step, prevents replaying the same code
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordHistory;
       delete ret.__v;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
       return ret;
     }
   }
@@ -68,6 +323,13 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+// User directory order (GET /users), case-insensitive like its queries
+userSchema.index({ fullname: 1, _id: 1 }, { collation: { locale: 'en', strength: 2 } });
+userSchema.index(
+  { 'linkedAccounts.provider': 1, 'linkedAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'linkedAccounts.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -75,9 +337,14 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    this.passwordChangedAt = new Date();
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordHistory = [
+      ...this.passwordHistory,
+      { hash: this.password, changedAt: this.passwordChangedAt }
+    ].slice(-passwordPolicy.historySize);
     next();
   } catch (error) {
     next(error);
@@ -91,6 +358,14 @@ userSchema.pre(['updateOne', 'findOneAndUpdate'], async function(next) {
     try {
       const salt = await bcrypt.genSalt(12);
       update.password = await bcrypt.hash(update.password, salt);
+      update.passwordChangedAt = new Date();
+      update.$push = {
+        ...update.$push,
+        passwordHistory: {
+          $each: [{ hash: update.password, changedAt: update.passwordChangedAt }],
+          $slice: -passwordPolicy.historySize
+        }
+      };
     } catch (error) {
       next(error);
     }
@@ -100,9 +375,68 @@ userSchema.pre(['updateOne', 'findOneAndUpdate'], async function(next) {
 
 // Instance method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check whether a password was used recently (current one included)
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  if (typeof candidatePassword !== 'string') return false;
+  const hashes = new Set([this.password, ...(this.passwordHistory || []).map(entry => entry.hash)].filter(Boolean));
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Instance method to check whether the password is older than `security.password.maxAgeDays`
+userSchema.methods.isPasswordExpired = function() {
+  if (!passwordPolicy.maxAgeDays || !this.password) return false;
+  const changedAt = this.passwordChangedAt || this.createdAt;
+  return Date.now() - changedAt.getTime() > passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Instance method to check whether the account can sign in with a password
+userSchema.methods.hasPassword = function() {
+  return !!this.password;
+};
+
+// Instance method to find a linked external identity
+userSchema.methods.getLinkedAccount = function(provider) {
+  return (this.linkedAccounts || []).find(account => account.provider === provider) || null;
+};
+
+// Static method to find the user owning an external identity
+userSchema.statics.findByLinkedAccount = function(provider, subject) {
+  return this.findOne({ linkedAccounts: { $elemMatch: { provider, subject } } });
+};
+
+// Instance method to check whether the account is currently suspended (expired suspensions don't count)
+userSchema.methods.isSuspended = function() {
+  if (this.isActive) return false;
+  const expiresAt = this.suspension?.expiresAt;
+  return !expiresAt || expiresAt > new Date();
+};
+
+// Instance method to reactivate the account once a timed suspension has run out
+userSchema.methods.liftExpiredSuspension = async function() {
+  if (this.isActive || this.isSuspended()) return false;
+  this.isActive = true;
+  this.suspension = { reason: null, suspendedAt: null, expiresAt: null, suspendedBy: null };
+  await this.save();
+  return true;
+};
+
+// Instance method to check whether the user's role grants a permission
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role || DEFAULT_ROLE, permission);
+};
+
+// Instance method to check whether the account requires a second factor at login
+userSchema.methods.hasTwoFactorEnabled = function() {
+  return !!(this.twoFactor && this.twoFactor.enabled);
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -114,9 +448,34 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase().trim() });
 };
 
+// Static method to find user by username (case-insensitive, a leading "@" is ignored)
+userSchema.statics.findByUsername = function(username) {
+  return this.findOne({ username: username.trim().replace(/^@/, '').toLowerCase() });
+};
+
+// Instance method to check whether the account is waiting for its scheduled deletion
+userSchema.methods.isPendingDeletion = function() {
+  return !!this.deletion?.scheduledFor;
+};
+
+// Static method to build a query filter matching accounts that are neither suspended nor scheduled for deletion
+userSchema.statics.activeFilter = function() {
+  return {
+    $or: [{ isActive: true }, { 'suspension.expiresAt': { $lte: new Date() } }],
+    'deletion.scheduledFor': null
+  };
+};
+
+// Static method to check that a user id belongs to an existing account that is not suspended or being deleted
+userSchema.statics.isAvailable = async function(userId) {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return false;
+  const user = await this.findById(userId).select('isActive suspension deletion');
+  return !!user && !user.isSuspended() && !user.isPendingDeletion();
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
-  return this.find({ isActive: true }).select('-password');
+  return this.find(this.activeFilter()).select('-password');
 };
 
 module.exports = mongoose.model('User', userSchema);
@@ -1,21 +1,32 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { email: emailSecurity } = require('../config/security');
+
+// Server-side pepper: a leaked database alone is not enough to brute-force six-digit codes
+const CODE_HASH_SECRET = process.env.VERIFICATION_CODE_SECRET || process.env.JWT_SECRET || 'verification-code-secret';
 
 const verificationCodeSchema = new mongoose.Schema({
+  // Account the code belongs to; codes delivered by SMS are keyed by the account email too
   email: {
     type: String,
     required: true,
     lowercase: true,
     trim: true
   },
-  code: {
+  // HMAC-SHA256 of the code, the plaintext code is never stored
+  codeHash: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['password_reset', 'email_verification'],
+    enum: ['password_reset', 'email_verification', 'email_change', 'magic_link', 'phone_verification'],
     required: true
   },
+  attempts: {
+    type: Number,
+    default: 0
+  },
   expiresAt: {
     type: Date,
     required: true
@@ -30,28 +41,94 @@ const verificationCodeSchema = new mongoose.Schema({
 verificationCodeSchema.index({ email: 1, type: 1 });
 verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// Static method to generate a random code
+// Static method to generate a random code with a CSPRNG
 verificationCodeSchema.statics.generateCode = function() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
-// Static method to verify code and delete it after successful verification
-verificationCodeSchema.statics.verifyCode = async function(email, code, type, deleteAfterVerify = true) {
-  const verification = await this.findOne({
+// Static method to hash a code for storage and comparison
+verificationCodeSchema.statics.hashCode = function(code) {
+  return crypto.createHmac('sha256', CODE_HASH_SECRET).update(String(code)).digest('hex');
+};
+
+// Static method to get seconds left before a new code may be sent (0 if allowed)
+verificationCodeSchema.statics.getResendWait = async function(email, type) {
+  const latest = await this.findOne({ email: email.toLowerCase(), type }).sort({ createdAt: -1 }).select('createdAt');
+  if (!latest) return 0;
+
+  const remaining = latest.createdAt.getTime() + emailSecurity.resendCooldown - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Static method to reject a new code while the resend cooldown is running
+verificationCodeSchema.statics.assertResendAllowed = async function(email, type) {
+  const retryAfter = await this.getResendWait(email, type);
+  if (retryAfter > 0) {
+    const error = new Error(`Please wait ${retryAfter} seconds before requesting a new code`);
+    error.name = 'Too Many Requests';
+    error.code = 'RESEND_COOLDOWN';
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+};
+
+// Static method to store a new code, invalidating every older code of the same type
+verificationCodeSchema.statics.createCode = async function(email, code, type) {
+  await this.invalidate(email, type);
+  return this.create({
     email: email.toLowerCase(),
-    code,
+    codeHash: this.hashCode(code),
     type,
-    expiresAt: { $gt: new Date() }
+    expiresAt: new Date(Date.now() + emailSecurity.verificationCodeExpiry)
   });
+};
+
+// Static method to delete all codes of a type for an email
+verificationCodeSchema.statics.invalidate = function(email, type) {
+  return this.deleteMany({ email: email.toLowerCase(), type });
+};
 
-  if (verification) {
+// Static method to verify code and delete it after successful verification.
+// Every guess reserves an attempt atomically before the comparison, so parallel
+// guesses can't get past maxCodeAttempts; the code is burned once they run out.
+// A correct code only counts as used by the request whose delete removed it, so
+// parallel redemptions of the same code can't both succeed.
+verificationCodeSchema.statics.verifyCode = async function(email, code, type, deleteAfterVerify = true) {
+  const verification = await this.findOneAndUpdate(
+    {
+      email: email.toLowerCase(),
+      type,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: emailSecurity.maxCodeAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!verification) {
+    return false;
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const actual = Buffer.from(this.hashCode(code), 'hex');
+
+  if (crypto.timingSafeEqual(expected, actual)) {
     if (deleteAfterVerify) {
       // Delete the verification code document after successful verification
-      await this.deleteOne({ _id: verification._id });
+      const consumed = await this.findOneAndDelete({ _id: verification._id, codeHash: verification.codeHash });
+      return !!consumed;
+    } else {
+      // A correct code is not a failed attempt: give the reserved one back
+      await this.updateOne({ _id: verification._id }, { $inc: { attempts: -1 } });
     }
     return true;
   }
 
+  if (verification.attempts >= emailSecurity.maxCodeAttempts) {
+    await this.deleteOne({ _id: verification._id });
+  }
+
   return false;
 };
 
@@ -65,4 +142,3 @@ verificationCodeSchema.statics.getLatestCode = async function(email, type) {
 };
 
 module.exports = mongoose.model('VerificationCode', verificationCodeSchema);
-
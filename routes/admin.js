@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticateUser, requirePermission } = require('../middleware/auth');
+
+// Every admin route needs a signed-in user; changes re-check the role against the database
+router.use(authenticateUser);
+const canRead = requirePermission('users:read');
+const canManage = requirePermission('users:manage', { fresh: true });
+
+// User management routes
+router.get('/users', canRead, adminController.listUsers);
+router.get('/users/:id', canRead, adminController.getUser);
+router.post('/users/:id/suspend', canManage, adminController.suspendUser);
+router.post('/users/:id/unsuspend', canManage, adminController.unsuspendUser);
+router.put('/users/:id/role', canManage, adminController.updateRole);
+router.post('/users/:id/password-reset', canManage, adminController.forcePasswordReset);
+router.delete('/users/:id/sessions', canManage, adminController.revokeUserSessions);
+router.delete('/users/:id', canManage, adminController.deleteUser);
+
+// Audit log routes
+router.get('/audit-log', requirePermission('audit:read', { fresh: true }), adminController.getAuditLog);
+
+module.exports = router;
@@ -1,32 +1,86 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateUser } = require('../middleware/auth');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
+const oauthController = require('../controllers/oauthController');
+const activityController = require('../controllers/activityController');
+const dataExportController = require('../controllers/dataExportController');
+const { authenticateUser, authenticateIfPresent } = require('../middleware/auth');
 const { uploadAvatar } = require('../config/avatarStorage');
 
 // Authentication routes
 router.post('/signup', authController.signup);
 router.post('/login', authController.login);
+router.post('/magic-link', authController.requestMagicLink);
+router.post('/magic-link/verify', authController.verifyMagicLink);
+router.post('/refresh', authController.refreshToken);
 router.post('/logout', authenticateUser, authController.logout);
 router.get('/me', authenticateUser, authController.getCurrentUser);
 router.put('/profile', authenticateUser, authController.updateProfile);
+router.put('/privacy', authenticateUser, authController.updatePrivacy);
+router.put('/username', authenticateUser, authController.changeUsername);
+router.get('/username/available', authenticateUser, authController.checkUsernameAvailability);
 router.put('/change-password', authenticateUser, authController.changePassword);
 router.post('/avatar', authenticateUser, uploadAvatar, authController.uploadAvatar);
 router.delete('/account', authenticateUser, authController.deleteAccount);
+router.post('/account/restore', authController.restoreAccount);
+
+// Two-factor authentication routes
+router.post('/2fa/verify', twoFactorController.verifyLogin);
+router.get('/2fa', authenticateUser, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateUser, twoFactorController.setup);
+router.post('/2fa/enable', authenticateUser, twoFactorController.enable);
+router.post('/2fa/disable', authenticateUser, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateUser, twoFactorController.regenerateRecoveryCodes);
+
+// Social login (OAuth / OpenID Connect) routes
+router.get('/oauth/providers', oauthController.listProviders);
+router.get('/oauth/:provider', oauthController.startLogin);
+router.get('/oauth/:provider/callback', authenticateIfPresent, oauthController.handleCallback);
+router.post('/oauth/:provider/callback', authenticateIfPresent, oauthController.handleCallback);
+router.post('/oauth/:provider/link', authenticateUser, oauthController.startLink);
+router.delete('/oauth/:provider', authenticateUser, oauthController.unlink);
+
+// Session (device) management routes
+router.get('/sessions', authenticateUser, sessionController.getSessions);
+router.delete('/sessions', authenticateUser, sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticateUser, sessionController.revokeSession);
+
+// Security activity routes
+router.get('/activity', authenticateUser, activityController.getActivity);
+
+// Personal data export routes (download links are signed, no bearer token needed)
+router.post('/export', authenticateUser, dataExportController.requestExport);
+router.get('/export', authenticateUser, dataExportController.getExports);
+router.get('/export/:id', authenticateUser, dataExportController.getExport);
+router.get('/export/:id/download', dataExportController.downloadExport);
 
 // Email verification routes
 router.post('/send-email-verification', authenticateUser, authController.sendEmailVerification);
 router.post('/verify-email', authenticateUser, authController.verifyEmail);
 
+// Email change routes (the new address must be verified, the old one gets an undo link)
+router.post('/email/change', authenticateUser, authController.requestEmailChange);
+router.post('/email/change/verify', authenticateUser, authController.verifyEmailChange);
+router.delete('/email/change', authenticateUser, authController.cancelEmailChangeRequest);
+router.post('/email/change/undo', authController.undoEmailChange);
+
+// Phone verification routes
+router.post('/send-phone-verification', authenticateUser, authController.sendPhoneVerification);
+router.post('/verify-phone', authenticateUser, authController.verifyPhone);
+
 // Password reset routes
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/verify-reset-code', authController.verifyResetCode);
 router.post('/reset-password', authController.resetPassword);
+router.post('/change-expired-password', authController.changeExpiredPassword);
+router.post('/password-strength', authController.checkPasswordStrength);
 
-// User management routes
-router.get('/users', authenticateUser, authController.getUsers);
+// Security alert routes ("this wasn't me" links)
+router.post('/report-login', authController.reportLogin);
 
-// File serving routes
-router.get('/uploads/avatars/:filename', authenticateUser, authController.serveAvatar);
+// File serving routes (avatar links are signed, no bearer token needed)
+router.get('/uploads/avatars/:filename', authController.serveAvatar);
 
 module.exports = router;
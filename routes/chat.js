@@ -1,8 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, requirePermission } = require('../middleware/auth');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { createPresenter } = require('../utils/profileVisibility');
+const { resolveMentions, formatMentions } = require('../utils/mentions');
+const { notifyMentions } = require('../socket/handlers');
+const { PROFILE_SELECT } = require('../config/privacy');
 
 // GET /api/messages - Get all messages (requires JWT)
 router.get('/messages', authenticateUser, async (req, res) => {
@@ -10,12 +15,17 @@ router.get('/messages', authenticateUser, async (req, res) => {
     console.log('Fetching messages for user:', req.user.fullname);
     const limit = parseInt(req.query.limit) || 50;
     const messages = await Message.getRecentMessages(limit);
+    const present = await createPresenter(req.userId);
     
     console.log('Found messages:', messages.length);
     
     // Add audio URLs to messages and convert to plain objects
     const messagesWithUrls = messages.map(message => {
       const messageObj = message.toObject ? message.toObject() : message;
+      if (message.sender) {
+        messageObj.sender = present(message.sender);
+      }
+      messageObj.mentions = formatMentions(message.mentions);
       if (messageObj.messageType === 'audio' && messageObj.audioFile) {
         messageObj.audioFile.url = `/uploads/audio/${messageObj.audioFile.filename}`;
       }
@@ -59,10 +69,12 @@ router.post('/messages', authenticateUser, async (req, res) => {
     }
     
     // Create new message
+    const mentioned = await resolveMentions(content, req.userId);
     const message = new Message({
       sender: req.userId,
       senderName: req.user.fullname,
-      content: content.trim()
+      content: content.trim(),
+      mentions: mentioned.map(user => user._id)
     });
     
     await message.save();
@@ -75,8 +87,10 @@ router.post('/messages', authenticateUser, async (req, res) => {
         sender: req.userId,
         senderName: req.user.fullname,
         content: message.content,
+        mentions: formatMentions(mentioned),
         timestamp: message.timestamp
       });
+      notifyMentions(io, message, mentioned);
     }
     
     res.status(201).json({
@@ -94,6 +108,46 @@ router.post('/messages', authenticateUser, async (req, res) => {
   }
 });
 
+// DELETE /api/messages/:id - Remove a message from the general chat (moderators)
+router.delete('/messages/:id', authenticateUser, requirePermission('messages:moderate'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Invalid message id'
+      });
+    }
+
+    const message = await Message.findByIdAndDelete(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Message not found'
+      });
+    }
+
+    // Remove it from connected clients too
+    const io = req.app.get('io');
+    if (io) {
+      io.to('general').emit('messageDeleted', { id: message._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to delete message'
+    });
+  }
+});
+
 // GET /api/users/online - Get online users (requires JWT)
 router.get('/users/online', authenticateUser, async (req, res) => {
   try {
@@ -106,14 +160,19 @@ router.get('/users/online', authenticateUser, async (req, res) => {
       });
     }
     
-    // Get connected sockets
+    // Get connected sockets, with each user shown as the caller may see them
     const connectedSockets = await io.fetchSockets();
-    const onlineUsers = connectedSockets.map(socket => ({
-      id: socket.userId,
-      fullname: socket.user.fullname,
-      email: socket.user.email,
-      socketId: socket.id
-    }));
+    const userIds = [...new Set(connectedSockets.map(socket => socket.userId))];
+    const users = await User.find({ _id: { $in: userIds } }).select(PROFILE_SELECT);
+    const present = await createPresenter(req.userId);
+    const profiles = new Map(users.map(user => [user._id.toString(), present(user)]));
+
+    const onlineUsers = connectedSockets
+      .filter(socket => profiles.has(socket.userId))
+      .map(socket => ({
+        ...profiles.get(socket.userId),
+        socketId: socket.id
+      }));
     
     res.json({
       success: true,
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const devController = require('../controllers/devController');
+
+// Email outbox viewer (local transports only capture, nothing is delivered)
+router.get('/outbox', devController.getOutboxMessages);
+router.get('/outbox/:id', devController.getOutboxMessage);
+router.delete('/outbox', devController.clearOutboxMessages);
+
+// SMS outbox (console, file and memory providers)
+router.get('/sms', devController.getSmsMessages);
+router.delete('/sms', devController.clearSmsMessages);
+
+module.exports = router;
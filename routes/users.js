@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticateUser } = require('../middleware/auth');
+
+// Directory routes
+router.get('/', authenticateUser, userController.listUsers);
+
+// Profile and blocking routes (fixed paths before /:id)
+router.get('/search', authenticateUser, userController.searchUsernames);
+router.get('/blocked', authenticateUser, userController.getBlockedUsers);
+router.get('/by-username/:username', authenticateUser, userController.getUserByUsername);
+router.get('/:id', authenticateUser, userController.getUserProfile);
+router.post('/:id/block', authenticateUser, userController.blockUser);
+router.delete('/:id/block', authenticateUser, userController.unblockUser);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Promote Admin
+ * Bootstrap command that gives an existing account a role, used to create
+ * the first admin (later role changes can be made by admins).
+ *
+ * Usage: npm run promote-admin -- <email> [role]
+ *        node scripts/promote-admin.js user@example.com moderator
+ */
+
+// Load environment variables first
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/database');
+const { ROLES } = require('../config/roles');
+const User = require('../models/User');
+
+const run = async () => {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run promote-admin -- <email> [role]');
+    return 1;
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Unknown role "${role}". Expected one of: ${ROLES.join(', ')}`);
+    return 1;
+  }
+
+  await connectDB();
+  try {
+    const user = await User.findByEmail(email);
+    if (!user) {
+      console.error(`No account found for ${email}`);
+      return 1;
+    }
+
+    if (user.role === role) {
+      console.log(`${user.email} already has the ${role} role`);
+      return 0;
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    // The new role is carried by access tokens issued from now on (next login or refresh)
+    console.log(`${user.email}: ${previousRole} -> ${role}`);
+    return 0;
+  } finally {
+    await disconnectDB();
+  }
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Failed to update role:', error.message);
+    process.exit(1);
+  });
@@ -4,12 +4,15 @@
  */
 
 const { verifyJWTToken } = require('../utils/authUtils');
+const { isSessionActive } = require('../utils/sessionService');
+const { DEFAULT_ROLE } = require('../config/roles');
+const User = require('../models/User');
 
 /**
  * Socket.IO authentication middleware
- * Verifies JWT token and attaches user info to socket
+ * Verifies JWT token, checks its session and attaches user info to socket
  */
-const socketAuthMiddleware = (socket, next) => {
+const socketAuthMiddleware = async (socket, next) => {
   try {
     // Extract token from handshake
     const token = socket.handshake.auth.token || 
@@ -21,12 +24,24 @@ const socketAuthMiddleware = (socket, next) => {
     
     // Verify and decode token
     const decoded = verifyJWTToken(token);
+
+    // Refuse connections for deleted or suspended accounts
+    if (!(await User.isAvailable(decoded.userId))) {
+      return next(new Error('Authentication error: Account is suspended or no longer exists'));
+    }
+
+    // Refuse connections for revoked sessions
+    if (decoded.sid && !(await isSessionActive(decoded.sid, decoded.userId))) {
+      return next(new Error('Authentication error: Session has been revoked'));
+    }
     
     // Attach user info to socket
     socket.userId = decoded.userId;
+    socket.sessionId = decoded.sid || null;
     socket.user = {
       fullname: decoded.fullname,
-      email: decoded.email
+      email: decoded.email,
+      role: decoded.role || DEFAULT_ROLE
     };
     
     next();
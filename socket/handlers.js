@@ -7,6 +7,13 @@ const Message = require('../models/Message');
 const PrivateMessage = require('../models/PrivateMessage');
 const Conversation = require('../models/Conversation');
 const FriendRequest = require('../models/FriendRequest');
+const User = require('../models/User');
+const { resolveMentions, formatMentions } = require('../utils/mentions');
+
+/**
+ * Get the room name that holds every socket of a session
+ */
+const getSessionRoom = (sessionId) => `session:${sessionId}`;
 
 /**
  * Handle user connection
@@ -19,6 +26,11 @@ const handleConnection = (socket, io) => {
   
   // Join user to their own private room for direct messaging
   socket.join(socket.userId);
+
+  // Join session room so revoking the session can disconnect this socket
+  if (socket.sessionId) {
+    socket.join(getSessionRoom(socket.sessionId));
+  }
   
   // Register event handlers
   handleSendMessage(socket, io);
@@ -41,10 +53,12 @@ const handleSendMessage = (socket, io) => {
       }
       
       // Create new message
+      const mentioned = await resolveMentions(data.content, socket.userId);
       const message = new Message({
         sender: socket.userId,
         senderName: socket.user.fullname,
-        content: data.content
+        content: data.content,
+        mentions: mentioned.map(user => user._id)
       });
       
       await message.save();
@@ -57,8 +71,10 @@ const handleSendMessage = (socket, io) => {
         senderName: socket.user.fullname,
         content: message.content,
         messageType: message.messageType,
+        mentions: formatMentions(mentioned),
         timestamp: message.timestamp
       });
+      notifyMentions(io, message, mentioned);
       
     } catch (error) {
       console.error('Error sending message:', error.message);
@@ -89,6 +105,12 @@ const handleSendPrivateMessage = (socket, io) => {
         socket.emit('error', { message: 'You can only message your friends' });
         return;
       }
+
+      // Suspended users can neither send nor receive messages
+      if (!(await User.isAvailable(receiverId))) {
+        socket.emit('error', { message: 'This user is not available' });
+        return;
+      }
       
       // Find or create conversation
       const conversation = await Conversation.findOrCreate(socket.userId, receiverId);
@@ -143,7 +165,53 @@ const handleDisconnect = (socket) => {
   });
 };
 
+/**
+ * Disconnect every live socket belonging to the given sessions
+ */
+const disconnectSessions = (io, sessionIds) => {
+  if (!io || !sessionIds?.length) return;
+  for (const sessionId of sessionIds) {
+    io.in(getSessionRoom(sessionId)).disconnectSockets(true);
+  }
+};
+
+/**
+ * Disconnect every live socket of a user, whatever session it belongs to
+ */
+const disconnectUser = (io, userId) => {
+  if (!io || !userId) return;
+  io.in(userId).disconnectSockets(true);
+};
+
+/**
+ * Tell each mentioned user (in their own room) that a general chat message mentions them
+ */
+const notifyMentions = (io, message, mentioned) => {
+  if (!io) return;
+  for (const user of mentioned) {
+    io.to(user._id.toString()).emit('mention', {
+      messageId: message._id,
+      sender: message.sender.toString(),
+      senderName: message.senderName,
+      content: message.content,
+      timestamp: message.timestamp
+    });
+  }
+};
+
+/**
+ * Send an event to every live socket of a user
+ */
+const emitToUser = (io, userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userId.toString()).emit(event, payload);
+};
+
 module.exports = {
-  handleConnection
+  handleConnection,
+  disconnectSessions,
+  disconnectUser,
+  emitToUser,
+  notifyMentions
 };
 
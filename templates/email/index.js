@@ -0,0 +1,179 @@
+/**
+ * Email Templates
+ * Renders transactional emails (HTML + plain text) in the recipient's locale
+ */
+
+const config = require('../../config/app.config');
+
+const LOCALES = {
+  en: require('./locales/en'),
+  ar: require('./locales/ar')
+};
+
+const BRAND_COLOR = '#4F46E5';
+
+/**
+ * Map a requested locale (e.g. "ar-EG", an Accept-Language header) to a supported one
+ * @param {string} value - Requested locale
+ * @returns {string} Supported locale code
+ */
+const resolveLocale = (value) => {
+  if (typeof value !== 'string') return config.i18n.defaultLocale;
+
+  const requested = value
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase().split('-')[0]);
+
+  return requested.find(code => config.i18n.locales.includes(code)) || config.i18n.defaultLocale;
+};
+
+/**
+ * Format a duration for email copy, e.g. "10 minutes" / "10 دقائق"
+ * @param {number} ms - Duration in milliseconds
+ * @param {string} locale - Locale code
+ * @returns {string} Localized duration
+ */
+const formatDuration = (ms, locale) => {
+  const strings = LOCALES[resolveLocale(locale)];
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes % 60 === 0) return strings.hours(minutes / 60);
+  return strings.minutes(minutes);
+};
+
+/**
+ * Format a date for email copy in UTC
+ * @param {Date} date - Date to format
+ * @param {string} locale - Locale code
+ * @returns {string} Localized date
+ */
+const formatDate = (date, locale) => {
+  const strings = LOCALES[resolveLocale(locale)];
+  const formatted = new Date(date).toLocaleString(strings.dateLocale, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+  });
+  return `${formatted} UTC`;
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render template parts into the shared HTML layout
+ * @param {Object} parts - Output of a locale template
+ * @param {Object} strings - Locale strings
+ * @param {Object} layout - { locale, greeting, signOff }
+ * @returns {string} HTML document
+ */
+const renderHtml = (parts, strings, { locale, greeting, signOff }) => {
+  const align = strings.dir === 'rtl' ? 'right' : 'left';
+  const paragraphs = (lines) => lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n      ');
+
+  const action = parts.action
+    ? `<div style="text-align: center; margin: 24px 0;">
+        <a href="${escapeHtml(parts.action.url)}" style="background-color: ${BRAND_COLOR}; color: #FFFFFF; padding: 12px 24px; border-radius: 6px; text-decoration: none; display: inline-block;">${escapeHtml(parts.action.label)}</a>
+      </div>`
+    : '';
+
+  const codeIntro = parts.code && parts.codeIntro ? `<p>${escapeHtml(parts.codeIntro)}</p>` : '';
+  const code = parts.code
+    ? `<div style="background-color: #F3F4F6; padding: 20px; text-align: center; margin: 20px 0;">
+        <h1 dir="ltr" style="color: ${BRAND_COLOR}; font-size: 32px; letter-spacing: 5px; margin: 0;">${escapeHtml(parts.code)}</h1>
+      </div>`
+    : '';
+
+  const details = parts.details
+    ? `<table style="margin: 20px 0; border-collapse: collapse;">
+        ${parts.details.map(([label, value]) => `<tr><td style="padding: 4px 12px; color: #6B7280;">${escapeHtml(label)}</td><td style="padding: 4px 12px;"><bdi>${escapeHtml(value)}</bdi></td></tr>`).join('\n        ')}
+      </table>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${locale}" dir="${strings.dir}">
+  <head><meta charset="utf-8"></head>
+  <body>
+    <div dir="${strings.dir}" style="font-family: Arial, Tahoma, sans-serif; max-width: 600px; margin: 0 auto; text-align: ${align};">
+      <h2 style="color: ${BRAND_COLOR};">${escapeHtml(parts.heading)}</h2>
+      <p>${escapeHtml(greeting)}</p>
+      ${paragraphs(parts.intro || [])}
+      ${action}
+      ${codeIntro}
+      ${code}
+      ${details}
+      ${paragraphs(parts.outro || [])}
+      <p>${signOff.map(escapeHtml).join('<br/>')}</p>
+    </div>
+  </body>
+</html>`;
+};
+
+/**
+ * Render template parts as the plain-text alternative
+ * @param {Object} parts - Output of a locale template
+ * @param {Object} layout - { greeting, signOff }
+ * @returns {string} Plain-text body
+ */
+const renderText = (parts, { greeting, signOff }) => {
+  const sections = [
+    greeting,
+    (parts.intro || []).join('\n'),
+    parts.action ? parts.action.url : null,
+    parts.codeIntro && parts.code ? parts.codeIntro : null,
+    parts.code ? `    ${parts.code}` : null,
+    parts.details ? parts.details.map(([label, value]) => `${label}: ${value}`).join('\n') : null,
+    (parts.outro || []).join('\n'),
+    signOff.join('\n')
+  ];
+  return sections.filter(Boolean).join('\n\n');
+};
+
+/**
+ * Render a transactional email
+ * @param {string} name - Template name (email_verification, password_reset, email_change, verification_code,
+ *                        magic_link, account_locked, new_login, password_changed, email_changed, friend_request,
+ *                        account_deletion_scheduled, account_deleted, data_export_ready)
+ * @param {Object} [options] - { locale, recipientName, ...template variables }
+ * @returns {{subject: string, html: string, text: string, locale: string}}
+ */
+const renderEmail = (name, { locale, recipientName, ...vars } = {}) => {
+  const localeCode = resolveLocale(locale);
+  const strings = LOCALES[localeCode];
+  const template = strings.templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const brand = config.app.name;
+  const parts = template({ brand, ...vars });
+  const layout = {
+    locale: localeCode,
+    greeting: strings.greeting(recipientName),
+    signOff: strings.signOff(brand)
+  };
+
+  return {
+    subject: parts.subject,
+    html: renderHtml(parts, strings, layout),
+    text: renderText(parts, layout),
+    locale: localeCode
+  };
+};
+
+module.exports = {
+  renderEmail,
+  resolveLocale,
+  formatDuration,
+  formatDate,
+  escapeHtml
+};
@@ -0,0 +1,168 @@
+/**
+ * Arabic email strings (rendered right-to-left)
+ * Each template returns plain text parts; the layout escapes and renders them.
+ */
+
+/**
+ * Arabic counted noun: singular, dual, plural (3-10) and singular again for 11+
+ */
+const plural = (count, forms) => {
+  if (count === 1) return forms.one;
+  if (count === 2) return forms.two;
+  if (count >= 3 && count <= 10) return `${count} ${forms.few}`;
+  return `${count} ${forms.many}`;
+};
+
+module.exports = {
+  dir: 'rtl',
+  dateLocale: 'ar',
+
+  minutes: (count) => plural(count, { one: 'دقيقة واحدة', two: 'دقيقتين', few: 'دقائق', many: 'دقيقة' }),
+  hours: (count) => plural(count, { one: 'ساعة واحدة', two: 'ساعتين', few: 'ساعات', many: 'ساعة' }),
+
+  greeting: (name) => (name ? `مرحباً ${name}،` : 'مرحباً،'),
+  signOff: (brand) => ['مع أطيب التحيات،', `فريق ${brand}`],
+
+  templates: {
+    email_verification: ({ brand, code, expiresIn }) => ({
+      subject: `تأكيد البريد الإلكتروني - ${brand}`,
+      heading: `تأكيد البريد الإلكتروني - ${brand}`,
+      intro: ['شكراً لتسجيلك! يرجى تأكيد بريدك الإلكتروني باستخدام الرمز التالي:'],
+      code,
+      outro: [
+        `تنتهي صلاحية هذا الرمز خلال ${expiresIn}.`,
+        'إذا لم تقم بإنشاء حساب، يرجى تجاهل هذه الرسالة.'
+      ]
+    }),
+
+    password_reset: ({ brand, code, expiresIn }) => ({
+      subject: `إعادة تعيين كلمة المرور - ${brand}`,
+      heading: `إعادة تعيين كلمة المرور - ${brand}`,
+      intro: ['لقد طلبت إعادة تعيين كلمة المرور. يرجى استخدام رمز التحقق التالي:'],
+      code,
+      outro: [
+        `تنتهي صلاحية هذا الرمز خلال ${expiresIn}.`,
+        'إذا لم تطلب إعادة تعيين كلمة المرور، يرجى تجاهل هذه الرسالة وستبقى كلمة المرور دون تغيير.'
+      ]
+    }),
+
+    email_change: ({ brand, code, expiresIn }) => ({
+      subject: `تأكيد بريدك الإلكتروني الجديد - ${brand}`,
+      heading: 'تأكيد بريدك الإلكتروني الجديد',
+      intro: [`طلبت استخدام هذا العنوان لحسابك في ${brand}. أدخل الرمز التالي لتأكيد التغيير:`],
+      code,
+      outro: [
+        `تنتهي صلاحية هذا الرمز خلال ${expiresIn}.`,
+        'يبقى بريدك الإلكتروني الحالي صالحاً حتى يتم تأكيد التغيير.',
+        'إذا لم تطلب ذلك، يرجى تجاهل هذه الرسالة.'
+      ]
+    }),
+
+    verification_code: ({ brand, code, expiresIn }) => ({
+      subject: `رمز التحقق الخاص بك - ${brand}`,
+      heading: `${brand} - رمز التحقق`,
+      intro: ['يرجى استخدام رمز التحقق التالي:'],
+      code,
+      outro: [
+        `تنتهي صلاحية هذا الرمز خلال ${expiresIn}.`,
+        'إذا لم تطلب هذا الرمز، يرجى تجاهل هذه الرسالة.'
+      ]
+    }),
+
+    magic_link: ({ brand, code, link, expiresIn }) => ({
+      subject: `رابط تسجيل الدخول الخاص بك - ${brand}`,
+      heading: `تسجيل الدخول إلى ${brand}`,
+      intro: ['استخدم الزر أدناه لتسجيل الدخول. يعمل الرابط مرة واحدة فقط.'],
+      action: { label: `تسجيل الدخول إلى ${brand}`, url: link },
+      codeIntro: 'أو أدخل هذا الرمز في التطبيق:',
+      code,
+      outro: [
+        `تنتهي صلاحية هذا الرابط والرمز خلال ${expiresIn}.`,
+        'إذا لم تطلب رابط تسجيل الدخول، يمكنك تجاهل هذه الرسالة بأمان.'
+      ]
+    }),
+
+    account_locked: ({ brand, lockedUntil }) => ({
+      subject: `تم قفل الحساب مؤقتاً - ${brand}`,
+      heading: `تم قفل الحساب مؤقتاً - ${brand}`,
+      intro: [
+        'لاحظنا عدة محاولات فاشلة للوصول إلى حسابك، لذلك قمنا بقفله مؤقتاً.',
+        `يمكنك المحاولة مرة أخرى بعد ${lockedUntil}.`
+      ],
+      outro: ['إذا لم تكن أنت، ننصحك بإعادة تعيين كلمة المرور بعد انتهاء القفل.']
+    }),
+
+    new_login: ({ brand, device, ip, time, reportLink }) => ({
+      subject: `تسجيل دخول جديد إلى حسابك في ${brand}`,
+      heading: 'تم رصد تسجيل دخول جديد',
+      intro: ['تم تسجيل الدخول إلى حسابك للتو من جهاز أو موقع جديد:'],
+      details: [
+        ['الجهاز', device],
+        ['عنوان IP', ip],
+        ['الوقت', time]
+      ],
+      action: reportLink ? { label: 'لم أكن أنا', url: reportLink } : null,
+      outro: ['إذا كنت أنت، فلا حاجة لأي إجراء. وإلا، استخدم الزر أعلاه: سنسجّل الخروج من جميع الجلسات ونطلب كلمة مرور جديدة.']
+    }),
+
+    password_changed: ({ brand, device, ip, time, reportLink }) => ({
+      subject: `تم تغيير كلمة المرور لحسابك في ${brand}`,
+      heading: 'تم تغيير كلمة المرور',
+      intro: ['تم تغيير كلمة المرور لحسابك للتو من:'],
+      details: [
+        ['الجهاز', device],
+        ['عنوان IP', ip],
+        ['الوقت', time]
+      ],
+      action: reportLink ? { label: 'لم أكن أنا', url: reportLink } : null,
+      outro: ['إذا كنت أنت، فلا حاجة لأي إجراء. وإلا، استخدم الزر أعلاه: سنسجّل الخروج من جميع الجلسات ونرسل لك رمز إعادة تعيين كلمة المرور.']
+    }),
+
+    email_changed: ({ brand, newEmail, time, undoLink }) => ({
+      subject: `تم تغيير البريد الإلكتروني لحسابك في ${brand}`,
+      heading: 'تم تغيير البريد الإلكتروني',
+      intro: [`تم تغيير البريد الإلكتروني لحسابك في ${brand}. يستخدم تسجيل الدخول والإشعارات وإعادة تعيين كلمة المرور العنوان الجديد الآن.`],
+      details: [
+        ['البريد الجديد', newEmail],
+        ['الوقت', time]
+      ],
+      action: undoLink ? { label: 'التراجع عن هذا التغيير', url: undoLink } : null,
+      outro: ['إذا كنت أنت، فلا حاجة لأي إجراء. وإلا، استخدم الزر أعلاه: سنستعيد هذا العنوان ونسجّل الخروج من جميع الجلسات ونرسل لك رمز إعادة تعيين كلمة المرور.']
+    }),
+
+    friend_request: ({ brand, senderName }) => ({
+      subject: `أرسل لك ${senderName} طلب صداقة - ${brand}`,
+      heading: 'طلب صداقة جديد',
+      intro: [`يرغب ${senderName} في التواصل معك على ${brand}.`],
+      outro: ['افتح التطبيق لقبول الطلب أو رفضه.']
+    }),
+
+    account_deletion_scheduled: ({ brand, scheduledFor }) => ({
+      subject: `سيتم حذف حسابك في ${brand}`,
+      heading: 'تمت جدولة حذف الحساب',
+      intro: [
+        `تم تسجيل خروج حسابك في ${brand} من جميع الأجهزة، وسيتم حذفه نهائياً في ${scheduledFor}.`,
+        'غيّرت رأيك؟ سجّل الدخول قبل ذلك الموعد لاستعادته.'
+      ],
+      outro: ['إذا لم تطلب ذلك، فسجّل الدخول واستعد حسابك، ثم غيّر كلمة المرور.']
+    }),
+
+    account_deleted: ({ brand }) => ({
+      subject: `تم حذف حسابك في ${brand}`,
+      heading: 'تم حذف الحساب',
+      intro: [`تم حذف حسابك في ${brand} وبياناته بناءً على طلبك.`],
+      outro: ['إذا لم تطلب ذلك، يرجى التواصل مع الدعم فوراً.']
+    }),
+
+    data_export_ready: ({ brand, downloadLink, expiresAt }) => ({
+      subject: `بياناتك في ${brand} جاهزة للتنزيل`,
+      heading: 'نسخة بياناتك جاهزة',
+      intro: [`الأرشيف الذي طلبته لبياناتك في ${brand} جاهز. يحتوي على ملفك الشخصي وأصدقائك ورسائلك ومرفقاتك، مع صفحة يمكنك فتحها في أي متصفح.`],
+      action: { url: downloadLink, label: 'تنزيل بياناتك' },
+      outro: [
+        `يعمل الرابط حتى ${expiresAt}، وبعد ذلك يتم حذف الأرشيف.`,
+        'إذا لم تطلب ذلك، فغيّر كلمة المرور فوراً.'
+      ]
+    })
+  }
+};
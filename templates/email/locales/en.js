@@ -0,0 +1,160 @@
+/**
+ * English email strings
+ * Each template returns plain text parts; the layout escapes and renders them.
+ */
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+module.exports = {
+  dir: 'ltr',
+  dateLocale: 'en-GB',
+
+  minutes: (count) => plural(count, 'minute', 'minutes'),
+  hours: (count) => plural(count, 'hour', 'hours'),
+
+  greeting: (name) => (name ? `Hi ${name},` : 'Hi there,'),
+  signOff: (brand) => ['Best regards,', `${brand} Team`],
+
+  templates: {
+    email_verification: ({ brand, code, expiresIn }) => ({
+      subject: `Email Verification - ${brand}`,
+      heading: `Email Verification - ${brand}`,
+      intro: ['Thank you for signing up! Please verify your email address using the code below:'],
+      code,
+      outro: [
+        `This code will expire in ${expiresIn}.`,
+        "If you didn't create an account, please ignore this email."
+      ]
+    }),
+
+    password_reset: ({ brand, code, expiresIn }) => ({
+      subject: `Password Reset - ${brand}`,
+      heading: `Password Reset - ${brand}`,
+      intro: ["You've requested to reset your password. Please use the verification code below:"],
+      code,
+      outro: [
+        `This code will expire in ${expiresIn}.`,
+        "If you didn't request a password reset, please ignore this email and your password will remain unchanged."
+      ]
+    }),
+
+    email_change: ({ brand, code, expiresIn }) => ({
+      subject: `Confirm your new email address - ${brand}`,
+      heading: 'Confirm your new email address',
+      intro: [`You asked to use this address for your ${brand} account. Enter the code below to confirm the change:`],
+      code,
+      outro: [
+        `This code will expire in ${expiresIn}.`,
+        'Your current email address keeps working until the change is confirmed.',
+        "If you didn't request this, please ignore this email."
+      ]
+    }),
+
+    verification_code: ({ brand, code, expiresIn }) => ({
+      subject: `Your ${brand} Verification Code`,
+      heading: `${brand} - Verification Code`,
+      intro: ['Please use the verification code below:'],
+      code,
+      outro: [
+        `This code will expire in ${expiresIn}.`,
+        "If you didn't request this code, please ignore this email."
+      ]
+    }),
+
+    magic_link: ({ brand, code, link, expiresIn }) => ({
+      subject: `Your sign-in link - ${brand}`,
+      heading: `Sign in to ${brand}`,
+      intro: ['Use the button below to sign in. The link works once.'],
+      action: { label: `Sign in to ${brand}`, url: link },
+      codeIntro: 'Or enter this code in the app:',
+      code,
+      outro: [
+        `This link and code will expire in ${expiresIn}.`,
+        "If you didn't request a sign-in link, you can safely ignore this email."
+      ]
+    }),
+
+    account_locked: ({ brand, lockedUntil }) => ({
+      subject: `Account Temporarily Locked - ${brand}`,
+      heading: `Account Temporarily Locked - ${brand}`,
+      intro: [
+        'We noticed several failed attempts to access your account, so we have temporarily locked it.',
+        `You can try again after ${lockedUntil}.`
+      ],
+      outro: ["If this wasn't you, we recommend resetting your password once the lock expires."]
+    }),
+
+    new_login: ({ brand, device, ip, time, reportLink }) => ({
+      subject: `New sign-in to your ${brand} account`,
+      heading: 'New sign-in detected',
+      intro: ['Your account was just signed in to from a new device or location:'],
+      details: [
+        ['Device', device],
+        ['IP address', ip],
+        ['Time', time]
+      ],
+      action: reportLink ? { label: "This wasn't me", url: reportLink } : null,
+      outro: ["If this was you, no action is needed. If not, use the button above: we'll sign out every session and ask for a new password."]
+    }),
+
+    password_changed: ({ brand, device, ip, time, reportLink }) => ({
+      subject: `Your ${brand} password was changed`,
+      heading: 'Password changed',
+      intro: ['The password of your account was just changed from:'],
+      details: [
+        ['Device', device],
+        ['IP address', ip],
+        ['Time', time]
+      ],
+      action: reportLink ? { label: "This wasn't me", url: reportLink } : null,
+      outro: ["If this was you, no action is needed. If not, use the button above: we'll sign out every session and send you a password reset code."]
+    }),
+
+    email_changed: ({ brand, newEmail, time, undoLink }) => ({
+      subject: `Your ${brand} email address was changed`,
+      heading: 'Email address changed',
+      intro: [`The email address of your ${brand} account was changed. Sign-in, notifications and password resets now use the new address.`],
+      details: [
+        ['New email', newEmail],
+        ['Time', time]
+      ],
+      action: undoLink ? { label: 'Undo this change', url: undoLink } : null,
+      outro: ["If this was you, no action is needed. If not, use the button above: we'll restore this address, sign out every session and send you a password reset code."]
+    }),
+
+    friend_request: ({ brand, senderName }) => ({
+      subject: `${senderName} sent you a friend request - ${brand}`,
+      heading: 'New friend request',
+      intro: [`${senderName} wants to connect with you on ${brand}.`],
+      outro: ['Open the app to accept or decline the request.']
+    }),
+
+    account_deletion_scheduled: ({ brand, scheduledFor }) => ({
+      subject: `Your ${brand} account will be deleted`,
+      heading: 'Account scheduled for deletion',
+      intro: [
+        `Your ${brand} account has been signed out everywhere and will be permanently deleted on ${scheduledFor}.`,
+        'Changed your mind? Sign in before then to restore it.'
+      ],
+      outro: ["If you didn't request this, sign in and restore your account, then change your password."]
+    }),
+
+    account_deleted: ({ brand }) => ({
+      subject: `Your ${brand} account has been deleted`,
+      heading: 'Account deleted',
+      intro: [`Your ${brand} account and its data have been deleted as requested.`],
+      outro: ["If you didn't request this, please contact support immediately."]
+    }),
+
+    data_export_ready: ({ brand, downloadLink, expiresAt }) => ({
+      subject: `Your ${brand} data is ready to download`,
+      heading: 'Your data export is ready',
+      intro: [`The archive of your ${brand} data you requested is ready. It contains your profile, friends, messages and attachments, with a page you can open in any browser.`],
+      action: { url: downloadLink, label: 'Download your data' },
+      outro: [
+        `The link works until ${expiresAt}, after which the archive is deleted.`,
+        "If you didn't request this, change your password right away."
+      ]
+    })
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * SMS Templates
+ * Short localized text messages; kept in one file since each is a single line
+ */
+
+const config = require('../../config/app.config');
+const { resolveLocale } = require('../email');
+
+const MESSAGES = {
+  en: {
+    phone_verification: ({ brand, code, expiresIn }) =>
+      `${brand}: your phone verification code is ${code}. It expires in ${expiresIn}.`,
+    password_reset: ({ brand, code, expiresIn }) =>
+      `${brand}: your password reset code is ${code}. It expires in ${expiresIn}. If you didn't ask for it, ignore this message.`
+  },
+  ar: {
+    phone_verification: ({ brand, code, expiresIn }) =>
+      `${brand}: رمز التحقق من هاتفك هو ${code}. تنتهي صلاحيته خلال ${expiresIn}.`,
+    password_reset: ({ brand, code, expiresIn }) =>
+      `${brand}: رمز إعادة تعيين كلمة المرور هو ${code}. تنتهي صلاحيته خلال ${expiresIn}. إذا لم تطلبه، تجاهل هذه الرسالة.`
+  }
+};
+
+/**
+ * Render a text message
+ * @param {string} name - Template name (phone_verification, password_reset)
+ * @param {Object} [options] - { locale, ...template variables }
+ * @returns {string} Message text
+ */
+const renderSms = (name, { locale, ...vars } = {}) => {
+  const template = MESSAGES[resolveLocale(locale)][name];
+  if (!template) {
+    throw new Error(`Unknown SMS template "${name}"`);
+  }
+  return template({ brand: config.app.name, ...vars });
+};
+
+module.exports = { renderSms };
@@ -0,0 +1,122 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const privateMessageRoutes = require('../routes/privateMessages');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const FriendRequest = require('../models/FriendRequest');
+const Conversation = require('../models/Conversation');
+const PrivateMessage = require('../models/PrivateMessage');
+const { purgeDueAccounts } = require('../utils/accountDeletion');
+const emailService = require('../utils/emailService');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendAccountDeletionScheduledNotice: jest.fn().mockResolvedValue(true),
+  sendAccountDeletedNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/users', userRoutes);
+  app.use('/private-messages', privateMessageRoutes);
+  return app;
+}
+
+describe('Account deletion', () => {
+  let app;
+  let member;
+  let friend;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    member = await createUserAndLogin(app, 'member@example.com');
+    friend = await createUserAndLogin(app, 'friend@example.com');
+    await FriendRequest.create({ sender: member.user._id, receiver: friend.user._id, status: 'accepted' });
+  });
+
+  const deleteAccount = () => request(app)
+    .delete('/auth/account')
+    .set('Authorization', `Bearer ${member.token}`);
+
+  const loginMember = () => request(app)
+    .post('/auth/login')
+    .send({ emailOrPhone: 'member@example.com', password: 'password123' });
+
+  test('should schedule deletion, sign out and hide the account', async () => {
+    const res = await deleteAccount();
+
+    expect(res.statusCode).toBe(200);
+    const days = (new Date(res.body.data.scheduledFor) - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(30);
+    expect(emailService.sendAccountDeletionScheduledNotice).toHaveBeenCalled();
+    expect(await Session.countDocuments({ user: member.user._id, revokedAt: null })).toBe(0);
+    expect(await User.exists({ _id: member.user._id })).toBeTruthy();
+
+    const users = await request(app).get('/users').set('Authorization', `Bearer ${friend.token}`);
+    expect(users.body.data.users).toHaveLength(0);
+
+    const message = await request(app)
+      .post('/private-messages/send')
+      .set('Authorization', `Bearer ${friend.token}`)
+      .send({ receiverId: member.user._id.toString(), content: 'still there?' });
+    expect(message.statusCode).toBe(403);
+  });
+
+  test('should restore the account with the token from login', async () => {
+    await deleteAccount();
+
+    const login = await loginMember();
+    expect(login.statusCode).toBe(403);
+    expect(login.body.code).toBe('ACCOUNT_PENDING_DELETION');
+    expect(login.body.restoreToken).toBeDefined();
+
+    const res = await request(app).post('/auth/account/restore').send({ restoreToken: login.body.restoreToken });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+
+    const user = await User.findById(member.user._id);
+    expect(user.isPendingDeletion()).toBe(false);
+    expect((await loginMember()).statusCode).toBe(200);
+  });
+
+  test('should refuse invalid restore tokens', async () => {
+    const res = await request(app).post('/auth/account/restore').send({ restoreToken: 'not-a-token' });
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('should purge after the grace period and keep the other participant\'s messages', async () => {
+    const conversation = await Conversation.findOrCreate(member.user._id, friend.user._id);
+    await PrivateMessage.create({ sender: member.user._id, conversation: conversation._id, content: 'bye' });
+    await PrivateMessage.create({ sender: friend.user._id, conversation: conversation._id, content: 'see you' });
+
+    await deleteAccount();
+    expect(await purgeDueAccounts()).toBe(0);
+
+    await User.updateOne({ _id: member.user._id }, { 'deletion.scheduledFor': new Date(Date.now() - 1000) });
+    expect(await purgeDueAccounts()).toBe(1);
+
+    expect(await User.exists({ _id: member.user._id })).toBeNull();
+    expect(await FriendRequest.countDocuments()).toBe(0);
+    expect(emailService.sendAccountDeletedNotice).toHaveBeenCalledWith(expect.objectContaining({ email: 'member@example.com' }));
+
+    const messages = await request(app)
+      .get(`/private-messages/conversation/${member.user._id}`)
+      .set('Authorization', `Bearer ${friend.token}`);
+    expect(messages.statusCode).toBe(200);
+    expect(messages.body.data.messages).toHaveLength(2);
+    expect(messages.body.data.messages.map(message => message.sender.fullname)).toContain('Deleted user');
+
+    const conversations = await request(app)
+      .get('/private-messages/conversations')
+      .set('Authorization', `Bearer ${friend.token}`);
+    const names = conversations.body.data.conversations[0].participants.map(participant => participant.fullname);
+    expect(names).toContain('Deleted user');
+  });
+});
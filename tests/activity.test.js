@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const AuditLog = require('../models/AuditLog');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/admin', adminRoutes);
+  return app;
+}
+
+describe('Security audit log', () => {
+  let app;
+  let member;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    member = await createUserAndLogin(app, 'member@example.com', {}, { userAgent: 'activity-test' });
+  });
+
+  const activity = (query = {}) => request(app)
+    .get('/auth/activity')
+    .set('Authorization', `Bearer ${member.token}`)
+    .query(query);
+
+  test('should record logins with method, IP and user agent', async () => {
+    const res = await activity();
+
+    expect(res.statusCode).toBe(200);
+    const [login] = res.body.data.activity;
+    expect(login.action).toBe('auth.login');
+    expect(login.userAgent).toBe('activity-test');
+    expect(login.ip).toBeTruthy();
+    expect(login.metadata.method).toBe('password');
+    expect(login.metadata.sessionId).toBeTruthy();
+  });
+
+  test('should record failed logins for known and unknown accounts', async () => {
+    await request(app).post('/auth/login').send({ emailOrPhone: 'member@example.com', password: 'wrong-password' });
+    await request(app).post('/auth/login').send({ emailOrPhone: 'nobody@example.com', password: 'wrong-password' });
+
+    const res = await activity({ action: 'auth.login_failed' });
+    expect(res.body.data.activity).toHaveLength(1);
+    expect(res.body.data.activity[0].metadata.reason).toBe('invalid_password');
+
+    const unknown = await AuditLog.findOne({ action: 'auth.login_failed', target: null });
+    expect(unknown.metadata).toMatchObject({ identifier: 'nobody@example.com', reason: 'unknown_account' });
+  });
+
+  test('should only show the user their own auth events', async () => {
+    const admin = await createUserAndLogin(app, 'admin@example.com', { role: 'admin' });
+    await request(app)
+      .post(`/admin/users/${member.user._id}/suspend`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'test' });
+    await request(app)
+      .post(`/admin/users/${member.user._id}/unsuspend`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'member@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .get('/auth/activity')
+      .set('Authorization', `Bearer ${login.body.data.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.activity.map(entry => entry.action)).toEqual(['auth.login', 'auth.login']);
+  });
+
+  test('should record password changes and reject unknown action filters', async () => {
+    await request(app)
+      .put('/auth/change-password')
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'Quiet-River-77' });
+
+    const res = await activity({ action: 'auth.password_changed' });
+    expect(res.body.data.pagination.total).toBe(1);
+
+    const invalid = await activity({ action: 'admin.user.suspend' });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  test('should let admins filter by action prefix and date range', async () => {
+    const admin = await createUserAndLogin(app, 'admin@example.com', { role: 'admin' });
+    const auth = (req) => req.set('Authorization', `Bearer ${admin.token}`);
+
+    const res = await auth(request(app).get('/admin/audit-log').query({
+      action: 'auth.*',
+      from: new Date(Date.now() - 60000).toISOString()
+    }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.entries).toHaveLength(2);
+    expect(res.body.data.retention).toEqual({ days: 365, adminDays: 730 });
+
+    const future = await auth(request(app).get('/admin/audit-log').query({
+      from: new Date(Date.now() + 60000).toISOString()
+    }));
+    expect(future.body.data.entries).toHaveLength(0);
+
+    const invalid = await auth(request(app).get('/admin/audit-log').query({ to: 'yesterday' }));
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  test('should be append-only and expire after the retention period', async () => {
+    const entry = await AuditLog.findOne({ action: 'auth.login' });
+    const days = (entry.expiresAt - entry.createdAt) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(365);
+
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'auth.logout' })).rejects.toThrow('cannot be modified');
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow('cannot be modified');
+
+    entry.ip = '127.0.0.2';
+    await expect(entry.save()).rejects.toThrow('cannot be modified');
+  });
+});
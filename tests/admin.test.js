@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { sendVerificationCode } = require('../utils/emailService');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendAccountDeletedNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/admin', adminRoutes);
+  return app;
+}
+
+describe('Admin user management', () => {
+  let app;
+  let admin;
+  let member;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    admin = await createUserAndLogin(app, 'admin@example.com', { role: 'admin' });
+    member = await createUserAndLogin(app, 'member@example.com');
+  });
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.token}`);
+
+  test('should refuse regular users', async () => {
+    const res = await request(app)
+      .get('/admin/users')
+      .set('Authorization', `Bearer ${member.token}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should search and paginate users', async () => {
+    await User.create({ fullname: 'Jane Searchable', email: 'jane@example.com', password: 'password123' });
+
+    const search = await asAdmin(request(app).get('/admin/users').query({ q: 'searchable' }));
+    expect(search.statusCode).toBe(200);
+    expect(search.body.data.users).toHaveLength(1);
+    expect(search.body.data.users[0].email).toBe('jane@example.com');
+
+    const paged = await asAdmin(request(app).get('/admin/users').query({ limit: 2, page: 2, sort: 'email' }));
+    expect(paged.body.data.pagination).toEqual({ page: 2, limit: 2, total: 3, pages: 2 });
+    expect(paged.body.data.users.map(user => user.email)).toEqual(['member@example.com']);
+  });
+
+  test('should show details with message counts', async () => {
+    await Message.create({ sender: member.user._id, senderName: 'member', content: 'hi' });
+
+    const res = await asAdmin(request(app).get(`/admin/users/${member.user._id}`));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.lastLogin).toBeTruthy();
+    expect(res.body.data.user.emailVerified).toBe(false);
+    expect(res.body.data.stats).toEqual({ messages: 1, privateMessages: 0, friends: 0, activeSessions: 1 });
+  });
+
+  test('should suspend a user, end their sessions and log the action', async () => {
+    const res = await asAdmin(request(app).post(`/admin/users/${member.user._id}/suspend`))
+      .send({ reason: 'spam' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.isActive).toBe(false);
+
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${member.token}`);
+    expect(me.statusCode).toBe(403);
+    expect(me.body.code).toBe('ACCOUNT_SUSPENDED');
+
+    const entry = await AuditLog.findOne({ action: 'admin.user.suspend' });
+    expect(entry.actorEmail).toBe('admin@example.com');
+    expect(entry.targetEmail).toBe('member@example.com');
+    expect(entry.metadata.reason).toBe('spam');
+
+    const log = await asAdmin(request(app).get('/admin/audit-log').query({ target: member.user._id.toString() }));
+    expect(log.body.data.entries.map(e => e.action)).toContain('admin.user.suspend');
+  });
+
+  test('should force a password reset', async () => {
+    const res = await asAdmin(request(app).post(`/admin/users/${member.user._id}/password-reset`));
+
+    expect(res.statusCode).toBe(200);
+    expect(sendVerificationCode).toHaveBeenCalledWith('member@example.com', expect.any(String), 'password_reset', 'en');
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'member@example.com', password: 'password123' });
+    expect(login.statusCode).toBe(403);
+    expect(login.body.code).toBe('PASSWORD_RESET_REQUIRED');
+  });
+
+  test('should delete a user but not the acting admin', async () => {
+    const self = await asAdmin(request(app).delete(`/admin/users/${admin.user._id}`));
+    expect(self.statusCode).toBe(400);
+
+    const res = await asAdmin(request(app).delete(`/admin/users/${member.user._id}`));
+    expect(res.statusCode).toBe(200);
+    expect(await User.findById(member.user._id)).toBeNull();
+    expect(await Session.countDocuments({ user: member.user._id })).toBe(0);
+    expect(await AuditLog.countDocuments({ action: 'admin.user.delete' })).toBe(1);
+  });
+
+  test('should let moderators read but not manage', async () => {
+    const moderator = await createUserAndLogin(app, 'mod@example.com', { role: 'moderator' });
+    const auth = (req) => req.set('Authorization', `Bearer ${moderator.token}`);
+
+    expect((await auth(request(app).get(`/admin/users/${member.user._id}`))).statusCode).toBe(200);
+    expect((await auth(request(app).post(`/admin/users/${member.user._id}/suspend`))).statusCode).toBe(403);
+    expect((await auth(request(app).get('/admin/audit-log'))).statusCode).toBe(403);
+  });
+});
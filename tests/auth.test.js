@@ -10,6 +10,7 @@ const User = require('../models/User');
 // Mock email service to avoid sending real emails in tests
 jest.mock('../utils/emailService', () => ({
   sendVerificationCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
   verifyCode: jest.fn().mockResolvedValue(true),
 }));
 
@@ -33,8 +34,8 @@ describe('Auth routes', () => {
       .send({
         fullname: 'John Doe',
         email: 'john@example.com',
-        password: 'password123',
-        password_conf: 'password123',
+        password: 'Harbor-Lights-42',
+        password_conf: 'Harbor-Lights-42',
       });
 
     expect(res.statusCode).toBe(201);
@@ -100,7 +101,7 @@ describe('Auth routes', () => {
     const res = await request(app)
       .put('/auth/change-password')
       .set('Authorization', `Bearer ${token}`)
-      .send({ currentPassword: 'oldpass1', newPassword: 'newpass123' });
+      .send({ currentPassword: 'oldpass1', newPassword: 'Quiet-River-77' });
 
     expect(res.statusCode).toBe(200);
     expect(res.body.success).toBe(true);
@@ -109,7 +110,7 @@ describe('Auth routes', () => {
     // Verify login works with new password
     const loginRes = await request(app)
       .post('/auth/login')
-      .send({ email: 'bob@example.com', password: 'newpass123' });
+      .send({ email: 'bob@example.com', password: 'Quiet-River-77' });
 
     expect(loginRes.statusCode).toBe(200);
     expect(loginRes.body.success).toBe(true);
@@ -131,7 +132,7 @@ describe('Auth routes', () => {
     const res = await request(app)
       .put('/auth/change-password')
       .set('Authorization', `Bearer ${token}`)
-      .send({ currentPassword: 'wrongpass', newPassword: 'newpass123' });
+      .send({ currentPassword: 'wrongpass', newPassword: 'Quiet-River-77' });
 
     expect(res.statusCode).toBe(400);
     expect(res.body.success).toBe(false);
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const { ANIMATION_LIMITS, uploadsDir, getAvatarFilename, getAvatarFiles, deleteAvatarFiles } = require('../config/avatarStorage');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const createImage = (background) => sharp({
+  create: { width: 800, height: 600, channels: 3, background }
+}).png().toBuffer();
+
+const createAnimation = (frameCount) => Promise.all(
+  Array.from({ length: frameCount }, (_, index) => sharp({
+    create: { width: 300, height: 200, channels: 3, background: index % 2 ? '#ff0000' : '#0000ff' }
+  }).png().toBuffer())
+).then(frames => sharp(frames, { join: { animated: true } }).gif().toBuffer());
+
+const avatarExists = (avatar) => getAvatarFiles(avatar).every(file => fs.existsSync(path.join(uploadsDir, file)));
+
+describe('Avatars', () => {
+  let app;
+  let member;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    member = await createUserAndLogin(app, 'member@example.com');
+  });
+
+  afterEach(async () => {
+    const user = await User.findById(member.user._id);
+    if (user?.avatar) deleteAvatarFiles(user.avatar);
+  });
+
+  const upload = async (background) => request(app)
+    .post('/auth/avatar')
+    .set('Authorization', `Bearer ${member.token}`)
+    .attach('avatar', await createImage(background), 'photo.png');
+
+  const uploadFile = (buffer, fields = {}, filename = 'upload.png') => {
+    const req = request(app)
+      .post('/auth/avatar')
+      .set('Authorization', `Bearer ${member.token}`);
+    for (const [name, value] of Object.entries(fields)) req.field(name, value);
+    return req.attach('avatar', buffer, filename);
+  };
+
+  const readAvatar = async (size, options) => {
+    const { avatar } = await User.findById(member.user._id);
+    return sharp(path.join(uploadsDir, getAvatarFilename(avatar, size)), options);
+  };
+
+  test('should store every size under a content-hashed name', async () => {
+    const res = await upload('#ff0000');
+
+    expect(res.statusCode).toBe(200);
+    expect(Object.keys(res.body.data.avatarUrls)).toEqual(['48', '128', '512']);
+    expect(res.body.data.avatar).toBe(res.body.data.avatarUrls['512']);
+
+    const { avatar } = await User.findById(member.user._id);
+    expect(avatar).toMatch(new RegExp(`^avatar-${member.user._id}-[0-9a-f]{16}$`));
+    expect(avatarExists(avatar)).toBe(true);
+
+    const small = await sharp(path.join(uploadsDir, getAvatarFiles(avatar)[0])).metadata();
+    expect(small.width).toBe(48);
+  });
+
+  test('should serve signed links without a token, with cache headers', async () => {
+    const { body } = await upload('#00ff00');
+
+    const res = await request(app).get(body.data.avatarUrls['128']);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('image/webp');
+    expect(res.headers['cache-control']).toMatch(/^public, max-age=\d+, immutable$/);
+    expect(res.headers.etag).toMatch(/^"avatar-.+-128"$/);
+
+    const cached = await request(app)
+      .get(body.data.avatarUrls['128'])
+      .set('If-None-Match', res.headers.etag);
+    expect(cached.statusCode).toBe(304);
+  });
+
+  test('should refuse unsigned, tampered and expired links', async () => {
+    const { body } = await upload('#0000ff');
+    const url = new URL(body.data.avatarUrls['48'], 'http://localhost');
+
+    const unsigned = await request(app).get(url.pathname);
+    expect(unsigned.statusCode).toBe(403);
+    expect(unsigned.body.code).toBe('INVALID_AVATAR_LINK');
+
+    url.searchParams.set('expires', String(Number(url.searchParams.get('expires')) + 60));
+    expect((await request(app).get(`${url.pathname}${url.search}`)).statusCode).toBe(403);
+
+    const otherFile = body.data.avatarUrls['48'].replace('-48.webp', '-512.webp');
+    expect((await request(app).get(otherFile)).statusCode).toBe(403);
+  });
+
+  test('replacing the avatar should delete every size of the old one', async () => {
+    await upload('#ffff00');
+    const { avatar: first } = await User.findById(member.user._id);
+
+    await upload('#00ffff');
+    const { avatar: second } = await User.findById(member.user._id);
+
+    expect(second).not.toBe(first);
+    expect(avatarExists(second)).toBe(true);
+    expect(getAvatarFiles(first).some(file => fs.existsSync(path.join(uploadsDir, file)))).toBe(false);
+  });
+
+  test('should crop to the requested rectangle and fill a square', async () => {
+    // Left half red, right half blue: cropping inside the right half gives a blue avatar
+    const image = await sharp(await createImage('#ff0000'))
+      .composite([{ input: await sharp(await createImage('#0000ff')).resize(400, 600).toBuffer(), left: 400, top: 0 }])
+      .png()
+      .toBuffer();
+
+    const res = await uploadFile(image, { crop: JSON.stringify({ x: 450, y: 100, width: 300, height: 200 }) });
+    expect(res.statusCode).toBe(200);
+
+    const avatar = await readAvatar(128);
+    const { width, height } = await avatar.metadata();
+    expect([width, height]).toEqual([128, 128]);
+    const { channels } = await avatar.stats();
+    expect(Math.round(channels[0].mean)).toBe(0);
+    expect(Math.round(channels[2].mean)).toBe(255);
+  });
+
+  test('should refuse crops outside the image', async () => {
+    const res = await uploadFile(await createImage('#ff0000'), { crop: JSON.stringify({ x: 700, y: 0, width: 200, height: 200 }) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_CROP');
+    expect(res.body.field).toBe('crop');
+  });
+
+  test('should keep animated uploads animated', async () => {
+    const res = await uploadFile(await createAnimation(4), {}, 'animation.gif');
+    expect(res.statusCode).toBe(200);
+
+    const metadata = await (await readAvatar(512, { animated: true })).metadata();
+    expect(metadata.format).toBe('webp');
+    expect(metadata.pages).toBe(4);
+    expect(metadata.pageHeight).toBe(512);
+  });
+
+  test('should refuse animations with too many frames', async () => {
+    const res = await uploadFile(await createAnimation(ANIMATION_LIMITS.maxFrames + 1), {}, 'animation.gif');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('AVATAR_TOO_MANY_FRAMES');
+  });
+
+  test('users without an avatar should get the same generated one every time', async () => {
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${member.token}`);
+    const { avatarUrls } = me.body.data.user;
+    expect(avatarUrls['128']).toMatch(new RegExp(`/initials-${member.user._id}-[0-9a-f]+-128\\.webp\\?`));
+
+    const first = await request(app).get(avatarUrls['128']).buffer(true);
+    const second = await request(app).get(avatarUrls['128']).buffer(true);
+    expect(first.statusCode).toBe(200);
+    expect(first.headers['content-type']).toBe('image/webp');
+    expect(first.body.equals(second.body)).toBe(true);
+    expect((await sharp(first.body).metadata()).width).toBe(128);
+  });
+
+  test('uploading the same image again should keep its files', async () => {
+    await upload('#123456');
+    await upload('#123456');
+
+    const { avatar } = await User.findById(member.user._id);
+    expect(avatarExists(avatar)).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mount only auth routes on a fresh express app for testing
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const { bruteForce } = require('../config/security');
+
+// Mock email service to avoid sending real emails in tests
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendAccountLockedNotice: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(false),
+}));
+const emailService = require('../utils/emailService');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+describe('Brute force protection', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    await new User({
+      fullname: 'Locked User',
+      email: 'locked@example.com',
+      password: 'secret123',
+    }).save();
+  });
+
+  const login = (password) => request(app)
+    .post('/auth/login')
+    .send({ emailOrPhone: 'locked@example.com', password });
+
+  test('should lock the account after the free retries are used up', async () => {
+    for (let i = 0; i < bruteForce.freeRetries; i++) {
+      const res = await login('wrong-password');
+      expect(res.statusCode).toBe(401);
+    }
+
+    const locked = await login('wrong-password');
+    expect(locked.statusCode).toBe(429);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(emailService.sendAccountLockedNotice).toHaveBeenCalledWith('locked@example.com', expect.any(Date), 'en');
+
+    // Even the right password is refused until the lock expires
+    const correct = await login('secret123');
+    expect(correct.statusCode).toBe(429);
+  });
+
+  test('should lock unknown identifiers without revealing whether they exist', async () => {
+    for (let i = 0; i <= bruteForce.freeRetries; i++) {
+      await request(app)
+        .post('/auth/login')
+        .send({ emailOrPhone: 'nobody@example.com', password: 'wrong-password' });
+    }
+
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'nobody@example.com', password: 'wrong-password' });
+    expect(res.statusCode).toBe(429);
+  });
+});
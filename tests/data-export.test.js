@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const FriendRequest = require('../models/FriendRequest');
+const Conversation = require('../models/Conversation');
+const PrivateMessage = require('../models/PrivateMessage');
+const DataExport = require('../models/DataExport');
+const { collectUserData, failStaleExports, cleanupExpiredExports } = require('../utils/dataExport');
+const emailService = require('../utils/emailService');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendDataExportReady: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+// Exports are built in the background; poll until the archive is done
+async function waitForExport(app, token, id) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const res = await request(app).get(`/auth/export/${id}`).set('Authorization', `Bearer ${token}`);
+    if (['ready', 'failed'].includes(res.body.data.export.status)) return res.body.data.export;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Export did not finish');
+}
+
+describe('Data export', () => {
+  let app;
+  let owner;
+  let friend;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    owner = await createUserAndLogin(app, 'owner@example.com', { fullname: 'Data Owner' });
+    friend = await createUserAndLogin(app, 'friend@example.com', { fullname: 'Good Friend' });
+    await FriendRequest.create({ sender: owner.user._id, receiver: friend.user._id, status: 'accepted' });
+
+    const conversation = await Conversation.findOrCreate(owner.user._id, friend.user._id);
+    await PrivateMessage.create({ sender: owner.user._id, conversation: conversation._id, content: 'hello' });
+    await PrivateMessage.create({ sender: friend.user._id, conversation: conversation._id, content: 'hi back' });
+  });
+
+  const requestExport = () => request(app)
+    .post('/auth/export')
+    .set('Authorization', `Bearer ${owner.token}`);
+
+  test('should collect profile, friends and both sides of conversations', async () => {
+    const { data } = await collectUserData(owner.user);
+
+    expect(data.profile.email).toBe('owner@example.com');
+    expect(data.friends.map(f => f.fullname)).toEqual(['Good Friend']);
+    expect(data.conversations).toHaveLength(1);
+    expect(data.conversations[0].with.fullname).toBe('Good Friend');
+    expect(data.conversations[0].messages.map(m => m.content)).toEqual(['hello', 'hi back']);
+  });
+
+  test('should build the archive in the background and email a download link', async () => {
+    const res = await requestExport();
+    expect(res.statusCode).toBe(202);
+    expect(res.body.data.export.status).toBe('pending');
+
+    const exportData = await waitForExport(app, owner.token, res.body.data.export.id);
+    expect(exportData.status).toBe('ready');
+    expect(exportData.size).toBeGreaterThan(0);
+    expect(emailService.sendDataExportReady).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'owner@example.com' }),
+      expect.objectContaining({ downloadLink: expect.stringContaining('token=') })
+    );
+
+    const [, { downloadLink }] = emailService.sendDataExportReady.mock.calls[0];
+    const { pathname, search } = new URL(downloadLink);
+    const download = await request(app).get(`${pathname}${search}`);
+    expect(download.statusCode).toBe(200);
+    expect(download.headers['content-disposition']).toContain('data-export-');
+  });
+
+  test('should refuse a second export while one is pending or recent', async () => {
+    const first = await requestExport();
+    expect((await requestExport()).statusCode).toBe(409);
+
+    await waitForExport(app, owner.token, first.body.data.export.id);
+    const res = await requestExport();
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('EXPORT_COOLDOWN');
+  });
+
+  test('should refuse invalid or expired download links', async () => {
+    const { body } = await requestExport();
+    const exportData = await waitForExport(app, owner.token, body.data.export.id);
+    const { pathname, search } = new URL(exportData.downloadUrl);
+
+    const invalid = await request(app).get(`${pathname}?token=not-a-token`);
+    expect(invalid.statusCode).toBe(410);
+
+    await DataExport.updateOne({ _id: exportData.id }, { expiresAt: new Date(Date.now() - 1000) });
+    expect((await request(app).get(`${pathname}${search}`)).statusCode).toBe(410);
+    expect(await cleanupExpiredExports()).toBe(1);
+    expect(await DataExport.countDocuments()).toBe(0);
+  });
+
+  test('interrupted exports should not block new requests and are marked as failed', async () => {
+    const stuck = await DataExport.create({ user: owner.user._id, status: 'processing' });
+    await DataExport.collection.updateOne(
+      { _id: stuck._id },
+      { $set: { updatedAt: new Date(Date.now() - 60 * 60 * 1000) } }
+    );
+    expect(await DataExport.findInProgressForUser(owner.user._id)).toBeNull();
+
+    expect(await failStaleExports()).toBe(1);
+    const failed = await DataExport.findById(stuck._id);
+    expect(failed.status).toBe('failed');
+    expect(failed.expiresAt).toEqual(expect.any(Date));
+
+    const res = await requestExport();
+    expect(res.statusCode).toBe(202);
+    expect((await waitForExport(app, owner.token, res.body.data.export.id)).status).toBe('ready');
+  });
+
+  test('should not show an export to another user', async () => {
+    const { body } = await requestExport();
+    await waitForExport(app, owner.token, body.data.export.id);
+
+    const res = await request(app)
+      .get(`/auth/export/${body.data.export.id}`)
+      .set('Authorization', `Bearer ${friend.token}`);
+    expect(res.statusCode).toBe(404);
+  });
+});
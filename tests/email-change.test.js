@@ -0,0 +1,132 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendPasswordChangedNotice: jest.fn().mockResolvedValue(true),
+  sendEmailChangedNotice: jest.fn().mockResolvedValue(true)
+}));
+
+const emailService = require('../utils/emailService');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const PASSWORD = 'Quiet-River-77';
+
+describe('Email change', () => {
+  let app;
+  let token;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    app = createTestApp();
+    await User.create({ fullname: 'Email Owner', email: 'old@example.com', password: PASSWORD, emailVerified: true });
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'old@example.com', password: PASSWORD });
+    token = login.body.data.token;
+  });
+
+  const verifyChange = (code = '123456') => request(app)
+    .post('/auth/email/change/verify')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code });
+
+  test('PUT /auth/profile should keep the current email until the new one is verified', async () => {
+    const res = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'new@example.com' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.email).toBe('old@example.com');
+    expect(res.body.data.user.pendingEmail).toBe('new@example.com');
+    expect(emailService.sendVerificationCode).toHaveBeenCalledWith('new@example.com', expect.any(String), 'email_change', 'en');
+
+    const user = await User.findByEmail('old@example.com');
+    expect(user.emailVerified).toBe(true);
+  });
+
+  test('POST /auth/email/change should refuse an address used by another account', async () => {
+    await User.create({ fullname: 'Someone Else', email: 'taken@example.com', password: PASSWORD });
+
+    const res = await request(app)
+      .post('/auth/email/change')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newEmail: 'taken@example.com' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.field).toBe('newEmail');
+  });
+
+  test('verifying the code should switch the email and notify the previous address', async () => {
+    await request(app)
+      .post('/auth/email/change')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newEmail: 'new@example.com' });
+
+    const res = await verifyChange();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.email).toBe('new@example.com');
+    expect(res.body.data.user.pendingEmail).toBeNull();
+    expect(emailService.verifyCode).toHaveBeenCalledWith('new@example.com', '123456', 'email_change', true);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(emailService.sendEmailChangedNotice).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'old@example.com' }),
+      expect.objectContaining({ newEmail: 'new@example.com', undoLink: expect.stringContaining('token=') })
+    );
+  });
+
+  test('a wrong code should leave the email unchanged', async () => {
+    await request(app)
+      .post('/auth/email/change')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newEmail: 'new@example.com' });
+    emailService.verifyCode.mockResolvedValueOnce(false);
+
+    const res = await verifyChange('000000');
+    expect(res.statusCode).toBe(400);
+    expect(await User.findByEmail('old@example.com')).not.toBeNull();
+  });
+
+  test('the undo link should restore the previous email and sign out every session', async () => {
+    await request(app)
+      .post('/auth/email/change')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newEmail: 'new@example.com' });
+    await verifyChange();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const { undoLink } = emailService.sendEmailChangedNotice.mock.calls[0][1];
+    const undoToken = new URL(undoLink).searchParams.get('token');
+
+    const res = await request(app)
+      .post('/auth/email/change/undo')
+      .send({ token: undoToken });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.email).toBe('old@example.com');
+
+    const user = await User.findByEmail('old@example.com');
+    expect(user.passwordResetRequired).toBe(true);
+    expect(await Session.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+    expect(emailService.sendVerificationCode).toHaveBeenCalledWith('old@example.com', expect.any(String), 'password_reset', 'en');
+
+    // The link only works once
+    const again = await request(app)
+      .post('/auth/email/change/undo')
+      .send({ token: undoToken });
+    expect(again.body.code).toBe('INVALID_UNDO_LINK');
+  });
+});
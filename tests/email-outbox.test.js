@@ -0,0 +1,77 @@
+const express = require('express');
+const request = require('supertest');
+
+// Real email service: under NODE_ENV=test the memory transport captures every message
+const authRoutes = require('../routes/auth');
+const devRoutes = require('../routes/dev');
+const User = require('../models/User');
+const { getOutbox, clearOutbox, getTransportName } = require('../utils/mailTransport');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/dev', devRoutes);
+  return app;
+}
+
+describe('Email outbox', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    clearOutbox();
+  });
+
+  test('should use the memory transport in tests', () => {
+    expect(getTransportName()).toBe('memory');
+  });
+
+  test('should capture the password reset email with its code', async () => {
+    await User.create({
+      fullname: 'Outbox User',
+      email: 'outbox@example.com',
+      password: 'password123'
+    });
+
+    const res = await request(app)
+      .post('/auth/forgot-password')
+      .send({ email: 'outbox@example.com' });
+
+    expect(res.statusCode).toBe(200);
+
+    const [message] = getOutbox();
+    expect(message.to).toBe('outbox@example.com');
+    expect(message.subject).toMatch(/Password Reset/);
+
+    const code = message.html.match(/>(\d{6})</)[1];
+    const verify = await request(app)
+      .post('/auth/verify-reset-code')
+      .send({ email: 'outbox@example.com', code });
+
+    expect(verify.statusCode).toBe(200);
+  });
+
+  test('GET /dev/outbox should list captured messages as JSON', async () => {
+    await User.create({
+      fullname: 'Outbox User',
+      email: 'outbox@example.com',
+      password: 'password123'
+    });
+    await request(app).post('/auth/forgot-password').send({ email: 'outbox@example.com' });
+
+    const res = await request(app).get('/dev/outbox?format=json');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.count).toBe(1);
+    expect(res.body.data.messages[0].to).toBe('outbox@example.com');
+
+    const single = await request(app).get(`/dev/outbox/${res.body.data.messages[0].id}`);
+    expect(single.statusCode).toBe(200);
+    expect(single.headers['content-type']).toMatch(/html/);
+
+    const cleared = await request(app).delete('/dev/outbox');
+    expect(cleared.statusCode).toBe(200);
+    expect(getOutbox()).toHaveLength(0);
+  });
+});
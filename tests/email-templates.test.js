@@ -0,0 +1,49 @@
+const { renderEmail, resolveLocale, formatDuration } = require('../templates/email');
+const { email: emailSecurity } = require('../config/security');
+
+describe('Email templates', () => {
+  test('should render HTML and plain text with the real code expiry', () => {
+    const email = renderEmail('password_reset', {
+      code: '123456',
+      expiresIn: formatDuration(emailSecurity.verificationCodeExpiry, 'en')
+    });
+
+    const minutes = emailSecurity.verificationCodeExpiry / 60000;
+    expect(email.subject).toMatch(/Password Reset/);
+    expect(email.html).toContain('123456');
+    expect(email.html).toContain('dir="ltr"');
+    expect(email.text).toContain('123456');
+    expect(email.text).toContain(`expire in ${minutes} minutes`);
+    expect(email.text).not.toMatch(/<[a-z]/i);
+  });
+
+  test('should render Arabic emails right-to-left', () => {
+    const email = renderEmail('email_verification', {
+      locale: 'ar',
+      code: '654321',
+      expiresIn: formatDuration(10 * 60 * 1000, 'ar')
+    });
+
+    expect(email.locale).toBe('ar');
+    expect(email.html).toContain('dir="rtl"');
+    expect(email.html).toContain('lang="ar"');
+    expect(email.text).toContain('10 دقائق');
+  });
+
+  test('should escape user-provided values in HTML', () => {
+    const email = renderEmail('friend_request', {
+      recipientName: 'Jane',
+      senderName: '<script>alert(1)</script>'
+    });
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;');
+  });
+
+  test('should resolve locales from tags and Accept-Language headers', () => {
+    expect(resolveLocale('ar-EG')).toBe('ar');
+    expect(resolveLocale('fr-FR,ar;q=0.8,en;q=0.5')).toBe('ar');
+    expect(resolveLocale('de')).toBe('en');
+    expect(resolveLocale(undefined)).toBe('en');
+  });
+});
@@ -0,0 +1,36 @@
+const request = require('supertest');
+
+const User = require('../models/User');
+
+const TEST_PASSWORD = 'password123';
+
+/**
+ * Log in through /auth/login
+ * @param {Object} app - Express app with the auth routes mounted on /auth
+ * @param {string} emailOrPhone - Email or phone of the account
+ * @param {string} password - Account password
+ * @param {Object} [options] - { userAgent }
+ * @returns {Promise<Object>} Login response data (token, refreshToken, user...)
+ */
+async function loginAs(app, emailOrPhone, password, { userAgent } = {}) {
+  const login = request(app).post('/auth/login');
+  if (userAgent) login.set('User-Agent', userAgent);
+  const res = await login.send({ emailOrPhone, password });
+  return res.body.data;
+}
+
+/**
+ * Create a user and log in as them
+ * @param {Object} app - Express app with the auth routes mounted on /auth
+ * @param {string} email - Email of the new user
+ * @param {Object} [fields] - Extra User fields (fullname, role, username...)
+ * @param {Object} [options] - { userAgent }
+ * @returns {Promise<Object>} Login response data with `user` as the User document
+ */
+async function createUserAndLogin(app, email, fields = {}, options = {}) {
+  const user = await User.create({ fullname: 'Test User', email, password: TEST_PASSWORD, ...fields });
+  const data = await loginAs(app, email, TEST_PASSWORD, options);
+  return { ...data, user };
+}
+
+module.exports = { loginAs, createUserAndLogin };
@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+
+// Real email service: the memory transport lets us read the link from the outbox
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const { getOutbox, clearOutbox } = require('../utils/mailTransport');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const readLatestEmail = () => {
+  const [message] = getOutbox();
+  return {
+    message,
+    token: decodeURIComponent(message.text.match(/token=([^\s&]+)/)[1]),
+    code: message.text.match(/^ {4}(\d{6})$/m)[1]
+  };
+};
+
+describe('Magic link login', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    clearOutbox();
+    await User.create({
+      fullname: 'Magic User',
+      email: 'magic@example.com',
+      phone: '+12025550150',
+      password: 'password123'
+    });
+  });
+
+  test('should log in once with the emailed link', async () => {
+    const res = await request(app)
+      .post('/auth/magic-link')
+      .send({ emailOrPhone: 'magic@example.com' });
+
+    expect(res.statusCode).toBe(200);
+    const { message, token } = readLatestEmail();
+    expect(message.to).toBe('magic@example.com');
+
+    const login = await request(app).post('/auth/magic-link/verify').send({ token });
+    expect(login.statusCode).toBe(200);
+    expect(login.body.data.token).toBeDefined();
+    expect(login.body.data.refreshToken).toBeDefined();
+    expect(login.body.data.user.emailVerified).toBe(true);
+
+    // Single use
+    const replay = await request(app).post('/auth/magic-link/verify').send({ token });
+    expect(replay.statusCode).toBe(400);
+  });
+
+  test('should accept the six-digit code as fallback', async () => {
+    await request(app).post('/auth/magic-link').send({ emailOrPhone: '+12025550150' });
+    const { code } = readLatestEmail();
+
+    const login = await request(app)
+      .post('/auth/magic-link/verify')
+      .send({ emailOrPhone: 'magic@example.com', code });
+
+    expect(login.statusCode).toBe(200);
+    expect(login.body.data.token).toBeDefined();
+  });
+
+  test('should not reveal whether an account exists', async () => {
+    const res = await request(app)
+      .post('/auth/magic-link')
+      .send({ emailOrPhone: 'nobody@example.com' });
+
+    expect(res.statusCode).toBe(200);
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  test('should enforce the resend cooldown without revealing it', async () => {
+    await request(app).post('/auth/magic-link').send({ emailOrPhone: 'magic@example.com' });
+    const res = await request(app).post('/auth/magic-link').send({ emailOrPhone: 'magic@example.com' });
+    const unknown = await request(app).post('/auth/magic-link').send({ emailOrPhone: 'nobody@example.com' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(unknown.body);
+    expect(getOutbox()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+
+const CLIENT_ID = 'test-client';
+
+/**
+ * Minimal OpenID Connect issuer: discovery, JWKS and a token endpoint that
+ * signs an ID token for whichever identity the test put behind the code
+ */
+function startMockIssuer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+  const issuer = express();
+  issuer.use(express.urlencoded({ extended: false }));
+
+  const mock = { codes };
+
+  issuer.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: mock.url,
+      authorization_endpoint: `${mock.url}/authorize`,
+      token_endpoint: `${mock.url}/token`,
+      jwks_uri: `${mock.url}/jwks`
+    });
+  });
+
+  issuer.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  issuer.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    const challenge = grant && crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+    if (!grant || challenge !== grant.codeChallenge || req.body.client_id !== CLIENT_ID) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    codes.delete(req.body.code);
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: 'test-key',
+      issuer: mock.url,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+    res.json({ access_token: 'access', token_type: 'Bearer', id_token: idToken });
+  });
+
+  return new Promise(resolve => {
+    mock.server = issuer.listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+      resolve(mock);
+    });
+  });
+}
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+describe('OpenID Connect social login', () => {
+  let app;
+  let issuer;
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer();
+    process.env.OAUTH_PROVIDERS = 'mock';
+    process.env.OAUTH_MOCK_CLIENT_ID = CLIENT_ID;
+    process.env.OAUTH_MOCK_CLIENT_SECRET = 'test-secret';
+    process.env.OAUTH_MOCK_ISSUER = issuer.url;
+    process.env.OAUTH_MOCK_DISPLAY_NAME = 'Mock ID';
+  });
+
+  afterAll(async () => {
+    delete process.env.OAUTH_PROVIDERS;
+    await new Promise(resolve => issuer.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  /**
+   * Start a flow, let the mock issuer "approve" it for the given claims and
+   * return the callback response. Link flows send the token on the callback too.
+   */
+  const signInAs = async (claims, { path = '/auth/oauth/mock?format=json', token, callbackToken = token } = {}) => {
+    const start = token
+      ? await request(app).post(path).set('Authorization', `Bearer ${token}`)
+      : await request(app).get(path);
+    expect(start.statusCode).toBe(200);
+
+    const authorizationUrl = new URL(start.body.data.authorizationUrl);
+    expect(authorizationUrl.searchParams.get('code_challenge_method')).toBe('S256');
+
+    const code = crypto.randomBytes(8).toString('hex');
+    issuer.codes.set(code, {
+      claims,
+      nonce: authorizationUrl.searchParams.get('nonce'),
+      codeChallenge: authorizationUrl.searchParams.get('code_challenge')
+    });
+
+    const callback = request(app)
+      .get('/auth/oauth/mock/callback')
+      .query({ code, state: authorizationUrl.searchParams.get('state') });
+    return callbackToken ? callback.set('Authorization', `Bearer ${callbackToken}`) : callback;
+  };
+
+  test('should list configured providers', async () => {
+    const res = await request(app).get('/auth/oauth/providers');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.providers).toEqual([{ name: 'mock', displayName: 'Mock ID' }]);
+  });
+
+  test('should redirect to the provider when starting a login', async () => {
+    const res = await request(app).get('/auth/oauth/mock');
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toContain(`${issuer.url}/authorize?`);
+  });
+
+  test('should create a verified account on first sign-in', async () => {
+    const res = await signInAs({ sub: 'sub-1', email: 'New.User@example.com', email_verified: true, name: 'New User' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.user.email).toBe('new.user@example.com');
+    expect(res.body.data.user.emailVerified).toBe(true);
+    expect(res.body.data.user.hasPassword).toBe(false);
+    expect(res.body.data.user.linkedAccounts[0].provider).toBe('mock');
+
+    // Second sign-in finds the same account by subject
+    const again = await signInAs({ sub: 'sub-1', email: 'changed@example.com', email_verified: true });
+    expect(again.statusCode).toBe(200);
+    expect(again.body.data.user.id).toBe(res.body.data.user.id);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  test('should link to an existing account only when both emails are verified', async () => {
+    await User.create({
+      fullname: 'Verified User',
+      email: 'verified@example.com',
+      password: 'password123',
+      emailVerified: true
+    });
+    await User.create({
+      fullname: 'Unverified User',
+      email: 'unverified@example.com',
+      password: 'password123'
+    });
+
+    const linked = await signInAs({ sub: 'sub-2', email: 'verified@example.com', email_verified: true });
+    expect(linked.statusCode).toBe(200);
+    expect(linked.body.data.user.hasPassword).toBe(true);
+    expect(linked.body.data.user.linkedAccounts).toHaveLength(1);
+
+    const unverifiedLocal = await signInAs({ sub: 'sub-3', email: 'unverified@example.com', email_verified: true });
+    expect(unverifiedLocal.statusCode).toBe(409);
+    expect(unverifiedLocal.body.code).toBe('OAUTH_LINK_REQUIRED');
+
+    const unverifiedRemote = await signInAs({ sub: 'sub-4', email: 'verified@example.com', email_verified: false });
+    expect(unverifiedRemote.statusCode).toBe(400);
+    expect(unverifiedRemote.body.code).toBe('OAUTH_EMAIL_UNVERIFIED');
+  });
+
+  test('should reject unknown or replayed state', async () => {
+    const res = await request(app)
+      .get('/auth/oauth/mock/callback')
+      .query({ code: 'anything', state: 'forged' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('OAUTH_INVALID_STATE');
+  });
+
+  test('should link from settings and keep at least one login method when unlinking', async () => {
+    await User.create({
+      fullname: 'Settings User',
+      email: 'settings@example.com',
+      password: 'password123'
+    });
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'settings@example.com', password: 'password123' });
+    const { token } = login.body.data;
+
+    const linked = await signInAs(
+      { sub: 'sub-5', email: 'other@example.com', email_verified: true },
+      { path: '/auth/oauth/mock/link', token }
+    );
+    expect(linked.statusCode).toBe(200);
+    expect(linked.body.data.user.linkedAccounts[0].email).toBe('other@example.com');
+
+    const unlinked = await request(app)
+      .delete('/auth/oauth/mock')
+      .set('Authorization', `Bearer ${token}`);
+    expect(unlinked.statusCode).toBe(200);
+    expect(unlinked.body.data.user.linkedAccounts).toHaveLength(0);
+
+    // A social-only account cannot remove its last provider
+    const social = await signInAs({ sub: 'sub-6', email: 'social@example.com', email_verified: true });
+    const lastMethod = await request(app)
+      .delete('/auth/oauth/mock')
+      .set('Authorization', `Bearer ${social.body.data.token}`);
+    expect(lastMethod.statusCode).toBe(400);
+  });
+
+  test('should only finish a link on a callback from the user who started it', async () => {
+    const login = async (email) => {
+      await User.create({ fullname: 'Link User', email, password: 'password123' });
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ emailOrPhone: email, password: 'password123' });
+      return res.body.data.token;
+    };
+    const attacker = await login('attacker@example.com');
+    const victim = await login('victim@example.com');
+
+    // The attacker's link state replayed in the victim's browser, without or with the victim's token
+    for (const callbackToken of [null, victim]) {
+      const res = await signInAs(
+        { sub: 'victim-sub', email: 'victim@example.com', email_verified: true },
+        { path: '/auth/oauth/mock/link', token: attacker, callbackToken }
+      );
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('OAUTH_LINK_UNAUTHORIZED');
+    }
+
+    expect(await User.findByLinkedAccount('mock', 'victim-sub')).toBeNull();
+  });
+});
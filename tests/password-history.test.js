@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const security = require('../config/security');
+
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendPasswordChangedNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const PASSWORDS = ['Quiet-River-77', 'Amber-Canyon-31', 'Silver-Meadow-58'];
+
+describe('Password history', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  const login = (password) => request(app)
+    .post('/auth/login')
+    .send({ emailOrPhone: 'history@example.com', password });
+
+  const changePassword = (token, currentPassword, newPassword) => request(app)
+    .put('/auth/change-password')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ currentPassword, newPassword });
+
+  const resetPassword = (newPassword) => request(app)
+    .post('/auth/reset-password')
+    .send({ emailOrPhone: 'history@example.com', code: '123456', newPassword, password_conf: newPassword });
+
+  test('signup should start the history with the first password', async () => {
+    const res = await request(app)
+      .post('/auth/signup')
+      .send({
+        fullname: 'History Owner',
+        email: 'history@example.com',
+        phone: '+15555550101',
+        password: PASSWORDS[0],
+        password_conf: PASSWORDS[0]
+      });
+    expect(res.statusCode).toBe(201);
+
+    const user = await User.findByEmail('history@example.com');
+    expect(user.passwordHistory).toHaveLength(1);
+    expect(await user.isPasswordReused(PASSWORDS[0])).toBe(true);
+    expect(res.body.data.user.passwordHistory).toBeUndefined();
+  });
+
+  test('change password should refuse the current and earlier passwords', async () => {
+    await User.create({ fullname: 'History Owner', email: 'history@example.com', password: PASSWORDS[0] });
+    let { body } = await login(PASSWORDS[0]);
+
+    const same = await changePassword(body.data.token, PASSWORDS[0], PASSWORDS[0]);
+    expect(same.statusCode).toBe(400);
+    expect(same.body.code).toBe('PASSWORD_REUSED');
+
+    expect((await changePassword(body.data.token, PASSWORDS[0], PASSWORDS[1])).statusCode).toBe(200);
+    ({ body } = await login(PASSWORDS[1]));
+
+    const previous = await changePassword(body.data.token, PASSWORDS[1], PASSWORDS[0]);
+    expect(previous.statusCode).toBe(400);
+    expect(previous.body.code).toBe('PASSWORD_REUSED');
+  });
+
+  test('only the last N passwords should be remembered', async () => {
+    const user = await User.create({ fullname: 'History Owner', email: 'history@example.com', password: PASSWORDS[0] });
+    for (let i = 1; i <= security.password.historySize; i++) {
+      user.password = `Rotated-Pass-${i}x`;
+      await user.save();
+    }
+
+    expect(user.passwordHistory).toHaveLength(security.password.historySize);
+    expect(await user.isPasswordReused(PASSWORDS[0])).toBe(false);
+    expect(await user.isPasswordReused('Rotated-Pass-1x')).toBe(true);
+  });
+
+  test('reset password should refuse a recent password', async () => {
+    const user = await User.create({ fullname: 'History Owner', email: 'history@example.com', password: PASSWORDS[0] });
+    user.password = PASSWORDS[1];
+    await user.save();
+
+    const reused = await resetPassword(PASSWORDS[0]);
+    expect(reused.statusCode).toBe(400);
+    expect(reused.body.code).toBe('PASSWORD_REUSED');
+
+    expect((await resetPassword(PASSWORDS[2])).statusCode).toBe(200);
+  });
+
+  test('reset password should not reveal past passwords without a valid code', async () => {
+    await User.create({ fullname: 'History Owner', email: 'history@example.com', password: PASSWORDS[0] });
+    const { verifyCode } = require('../utils/emailService');
+    verifyCode.mockResolvedValueOnce(false);
+
+    const res = await resetPassword(PASSWORDS[0]);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid Code');
+  });
+
+  describe('maximum password age', () => {
+    beforeEach(() => {
+      security.password.maxAgeDays = 90;
+    });
+
+    afterEach(() => {
+      security.password.maxAgeDays = 0;
+    });
+
+    test('should require a new password at login once the password is too old', async () => {
+      const user = await User.create({ fullname: 'History Owner', email: 'history@example.com', password: PASSWORDS[0] });
+      expect((await login(PASSWORDS[0])).statusCode).toBe(200);
+
+      await User.updateOne({ _id: user._id }, { passwordChangedAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) });
+      const expired = await login(PASSWORDS[0]);
+      expect(expired.statusCode).toBe(403);
+      expect(expired.body.code).toBe('PASSWORD_EXPIRED');
+
+      const change = (newPassword) => request(app)
+        .post('/auth/change-expired-password')
+        .send({ changeToken: expired.body.changeToken, newPassword, password_conf: newPassword });
+
+      const reused = await change(PASSWORDS[0]);
+      expect(reused.body.code).toBe('PASSWORD_REUSED');
+
+      const res = await change(PASSWORDS[1]);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+
+      // The token only works once
+      expect((await change(PASSWORDS[2])).statusCode).toBe(401);
+      expect((await login(PASSWORDS[1])).statusCode).toBe(200);
+    });
+  });
+});
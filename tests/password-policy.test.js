@@ -0,0 +1,139 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const { evaluatePassword, scorePassword } = require('../utils/passwordPolicy');
+
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendPasswordChangedNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const codesOf = (result) => result.errors.map(error => error.code);
+
+describe('Password policy', () => {
+  test('should enforce length and character rules from the config', () => {
+    expect(codesOf(evaluatePassword('Ab1'))).toContain('PASSWORD_TOO_SHORT');
+    expect(codesOf(evaluatePassword('lowercase-only-42'))).toContain('PASSWORD_NO_UPPERCASE');
+    expect(codesOf(evaluatePassword('UPPERCASE-ONLY-42'))).toContain('PASSWORD_NO_LOWERCASE');
+    expect(codesOf(evaluatePassword('No-Digits-Here'))).toContain('PASSWORD_NO_NUMBER');
+    expect(evaluatePassword('Quiet-River-77').valid).toBe(true);
+  });
+
+  test('should reject common passwords, including disguised variants', () => {
+    for (const password of ['Password1', 'P@ssw0rd2024!', 'Qwerty123']) {
+      const result = evaluatePassword(password);
+      expect(codesOf(result)).toContain('PASSWORD_COMMON');
+      expect(result.score).toBe(0);
+    }
+  });
+
+  test('should reject passwords containing the user\'s name or email', () => {
+    const user = { fullname: 'Maria Lopez', email: 'mlopez.dev@example.com' };
+    expect(codesOf(evaluatePassword('Maria-2024-xyz', user))).toContain('PASSWORD_PERSONAL_INFO');
+    expect(codesOf(evaluatePassword('Xy9-mlopez-Q', user))).toContain('PASSWORD_PERSONAL_INFO');
+    expect(evaluatePassword('Quiet-River-77', user).valid).toBe(true);
+  });
+
+  test('should score longer and more varied passwords higher', () => {
+    expect(scorePassword('Abcdefg1')).toBeLessThan(scorePassword('Blue7Falcon'));
+    expect(scorePassword('Blue7Falcon')).toBeLessThan(scorePassword('Sunset-Harbor-42'));
+    expect(codesOf(evaluatePassword('Abcdefg1'))).toEqual(['PASSWORD_TOO_WEAK']);
+  });
+});
+
+describe('Password policy endpoints', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('POST /auth/signup should refuse a weak password', async () => {
+    const res = await request(app)
+      .post('/auth/signup')
+      .send({
+        fullname: 'Weak Password',
+        email: 'weak@example.com',
+        phone: '+15555550100',
+        password: 'password123',
+        password_conf: 'password123'
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('WEAK_PASSWORD');
+    expect(res.body.field).toBe('password');
+    expect(codesOf(res.body)).toContain('PASSWORD_COMMON');
+  });
+
+  test('PUT /auth/change-password should refuse a password containing the name', async () => {
+    await User.create({ fullname: 'Olivia Stone', email: 'olivia@example.com', password: 'password123' });
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'olivia@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .put('/auth/change-password')
+      .set('Authorization', `Bearer ${login.body.data.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'Olivia-Stone-99' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.field).toBe('newPassword');
+    expect(codesOf(res.body)).toContain('PASSWORD_PERSONAL_INFO');
+  });
+
+  test('POST /auth/reset-password should refuse a weak password without using up the code', async () => {
+    await User.create({ fullname: 'Reset Policy', email: 'reset-policy@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .post('/auth/reset-password')
+      .send({
+        emailOrPhone: 'reset-policy@example.com',
+        code: '123456',
+        newPassword: 'qwerty12',
+        password_conf: 'qwerty12'
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('WEAK_PASSWORD');
+    const { verifyCode } = require('../utils/emailService');
+    expect(verifyCode).toHaveBeenCalledWith('reset-policy@example.com', '123456', 'password_reset', false);
+  });
+
+  test('POST /auth/reset-password should not check the password before the code is valid', async () => {
+    await User.create({ fullname: 'Reset Policy', email: 'reset-policy@example.com', password: 'password123' });
+    const { verifyCode } = require('../utils/emailService');
+    verifyCode.mockResolvedValueOnce(false);
+
+    const res = await request(app)
+      .post('/auth/reset-password')
+      .send({
+        emailOrPhone: 'reset-policy@example.com',
+        code: '000000',
+        newPassword: 'Reset-Policy-1',
+        password_conf: 'Reset-Policy-1'
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid Code');
+  });
+
+  test('POST /auth/password-strength should report the score without saving anything', async () => {
+    const res = await request(app)
+      .post('/auth/password-strength')
+      .send({ password: 'Sunset-Harbor-42' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ valid: true, score: 4, strength: 'very_strong', errors: [] });
+  });
+});
@@ -60,8 +60,8 @@ describe('Password reset flow', () => {
       .send({
         email: 'reset2@example.com',
         code: '123456',
-        newPassword: 'newpass123',
-        password_conf: 'newpass123',
+        newPassword: 'Quiet-River-77',
+        password_conf: 'Quiet-River-77',
       });
 
     expect(res.statusCode).toBe(200);
@@ -0,0 +1,111 @@
+const express = require('express');
+const request = require('supertest');
+
+// Real SMS service: under NODE_ENV=test the memory provider captures every message
+const authRoutes = require('../routes/auth');
+const { generateJWTToken } = require('../utils/authUtils');
+const User = require('../models/User');
+const { getSmsOutbox, clearSmsOutbox } = require('../utils/smsTransport');
+const { clearOutbox } = require('../utils/mailTransport');
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const latestSmsCode = () => getSmsOutbox()[0].body.match(/\b(\d{6})\b/)[1];
+
+describe('Phone verification', () => {
+  let app;
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    clearSmsOutbox();
+    clearOutbox();
+    user = await User.create({
+      fullname: 'Phone User',
+      email: 'phone@example.com',
+      phone: '+12025550123',
+      password: 'password123'
+    });
+    token = generateJWTToken(user._id.toString(), { email: user.email, fullname: user.fullname });
+  });
+
+  test('should verify the phone with the code sent by SMS', async () => {
+    const send = await request(app)
+      .post('/auth/send-phone-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(send.statusCode).toBe(200);
+    expect(getSmsOutbox()[0].to).toBe('+12025550123');
+
+    const verify = await request(app)
+      .post('/auth/verify-phone')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: latestSmsCode() });
+
+    expect(verify.statusCode).toBe(200);
+    const updated = await User.findById(user._id);
+    expect(updated.phoneVerified).toBe(true);
+  });
+
+  test('should reject a wrong code', async () => {
+    await request(app)
+      .post('/auth/send-phone-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    const verify = await request(app)
+      .post('/auth/verify-phone')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+
+    expect(verify.statusCode).toBe(400);
+    expect((await User.findById(user._id)).phoneVerified).toBe(false);
+  });
+
+  test('should send password reset codes by SMS to a verified phone', async () => {
+    user.phoneVerified = true;
+    await user.save();
+
+    const res = await request(app)
+      .post('/auth/forgot-password')
+      .send({ emailOrPhone: '+12025550123' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.channel).toBe('sms');
+
+    const verify = await request(app)
+      .post('/auth/verify-reset-code')
+      .send({ emailOrPhone: '+12025550123', code: latestSmsCode() });
+
+    expect(verify.statusCode).toBe(200);
+  });
+
+  test('should fall back to email while the phone is unverified', async () => {
+    const res = await request(app)
+      .post('/auth/forgot-password')
+      .send({ emailOrPhone: '+12025550123' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.channel).toBe('email');
+    expect(getSmsOutbox()).toHaveLength(0);
+  });
+
+  test('should reset phoneVerified when the phone number changes', async () => {
+    user.phoneVerified = true;
+    await user.save();
+
+    const res = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ phone: '+12025550199' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.phoneVerified).toBe(false);
+    expect(getSmsOutbox()[0].to).toBe('+12025550199');
+  });
+});
@@ -0,0 +1,151 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const friendRoutes = require('../routes/friends');
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendFriendRequestNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/users', userRoutes);
+  app.use('/friends', friendRoutes);
+  return app;
+}
+
+describe('Profiles and privacy', () => {
+  let app;
+  let owner;
+  let friend;
+  let stranger;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    owner = await createUserAndLogin(app, 'owner@example.com', {
+      phone: '+15555550123',
+      bio: 'Coffee and climbing',
+      location: 'Lisbon',
+      timezone: 'Europe/Lisbon'
+    });
+    friend = await createUserAndLogin(app, 'friend@example.com');
+    stranger = await createUserAndLogin(app, 'stranger@example.com');
+    await FriendRequest.create({ sender: owner.user._id, receiver: friend.user._id, status: 'accepted' });
+  });
+
+  const viewProfile = (viewer) => request(app)
+    .get(`/users/${owner.user._id}`)
+    .set('Authorization', `Bearer ${viewer.token}`);
+
+  test('PUT /auth/profile should save profile fields and clear empty ones', async () => {
+    const res = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ displayName: 'Owl', username: 'Night_Owl', statusText: 'Away', pronouns: 'they/them', location: '' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user).toMatchObject({
+      displayName: 'Owl',
+      username: 'night_owl',
+      statusText: 'Away',
+      pronouns: 'they/them',
+      location: null
+    });
+
+    const invalid = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ timezone: 'Mars/Olympus' });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.field).toBe('timezone');
+  });
+
+  test('PUT /auth/profile should refuse a username already in use', async () => {
+    await User.updateOne({ _id: friend.user._id }, { username: 'taken' });
+
+    const res = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ username: 'Taken' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.field).toBe('username');
+  });
+
+  test('GET /users/:id should apply the default visibility', async () => {
+    const asStranger = await viewProfile(stranger);
+    expect(asStranger.statusCode).toBe(200);
+    expect(asStranger.body.data.friendship).toBe('none');
+    expect(asStranger.body.data.user.bio).toBe('Coffee and climbing');
+    expect(asStranger.body.data.user).not.toHaveProperty('email');
+    expect(asStranger.body.data.user).not.toHaveProperty('location');
+
+    const asFriend = await viewProfile(friend);
+    expect(asFriend.body.data.friendship).toBe('friends');
+    expect(asFriend.body.data.user.email).toBe('owner@example.com');
+    expect(asFriend.body.data.user.location).toBe('Lisbon');
+    expect(asFriend.body.data.user).not.toHaveProperty('phone');
+
+    const asSelf = await viewProfile(owner);
+    expect(asSelf.body.data.user.phone).toBe('+15555550123');
+  });
+
+  test('PUT /auth/privacy should change who sees each field', async () => {
+    const res = await request(app)
+      .put('/auth/privacy')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ email: 'only_me', bio: 'friends', location: 'everyone' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.privacy).toMatchObject({ email: 'only_me', bio: 'friends', location: 'everyone' });
+
+    const asStranger = await viewProfile(stranger);
+    expect(asStranger.body.data.user).not.toHaveProperty('bio');
+    expect(asStranger.body.data.user.location).toBe('Lisbon');
+
+    const friends = await request(app)
+      .get('/friends/list')
+      .set('Authorization', `Bearer ${friend.token}`);
+    expect(friends.body.data.friends[0]).not.toHaveProperty('email');
+    expect(friends.body.data.friends[0].bio).toBe('Coffee and climbing');
+  });
+
+  test('PUT /auth/privacy should reject unknown fields and levels', async () => {
+    const unknown = await request(app)
+      .put('/auth/privacy')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ password: 'everyone' });
+    expect(unknown.statusCode).toBe(400);
+
+    const level = await request(app)
+      .put('/auth/privacy')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ email: 'public' });
+    expect(level.statusCode).toBe(400);
+    expect(level.body.field).toBe('email');
+  });
+
+  test('GET /users should not expose emails to strangers', async () => {
+    const res = await request(app)
+      .get('/users')
+      .set('Authorization', `Bearer ${stranger.token}`);
+
+    const listed = res.body.data.users.find(user => user.id === owner.user._id.toString());
+    expect(listed).not.toHaveProperty('email');
+    expect(listed).not.toHaveProperty('phone');
+    expect(listed.fullname).toBe('Test User');
+  });
+
+  test('GET /users/:id should hide suspended accounts', async () => {
+    await User.updateOne({ _id: owner.user._id }, { isActive: false, 'suspension.reason': 'Spam' });
+    expect((await viewProfile(stranger)).statusCode).toBe(404);
+  });
+});
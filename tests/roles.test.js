@@ -0,0 +1,85 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const chatRoutes = require('../routes/chat');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const { authenticateUser, requirePermission } = require('../middleware/auth');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/api', chatRoutes);
+  app.get('/sensitive', authenticateUser, requirePermission('users:manage', { fresh: true }), (req, res) => {
+    res.json({ success: true, role: req.user.role });
+  });
+  return app;
+}
+
+describe('Roles and permissions', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should default to the user role and carry it in the access token', async () => {
+    const { token, user } = await createUserAndLogin(app, 'plain@example.com');
+
+    expect(user.role).toBe('user');
+    expect(jwt.decode(token).role).toBe('user');
+  });
+
+  test('should only let moderators delete general chat messages', async () => {
+    const member = await createUserAndLogin(app, 'member@example.com', { role: 'user' });
+    const moderator = await createUserAndLogin(app, 'mod@example.com', { role: 'moderator' });
+    const message = await Message.create({
+      sender: member.user.id,
+      senderName: 'Test User',
+      content: 'hello'
+    });
+
+    const forbidden = await request(app)
+      .delete(`/api/messages/${message._id}`)
+      .set('Authorization', `Bearer ${member.token}`);
+    expect(forbidden.statusCode).toBe(403);
+
+    const deleted = await request(app)
+      .delete(`/api/messages/${message._id}`)
+      .set('Authorization', `Bearer ${moderator.token}`);
+    expect(deleted.statusCode).toBe(200);
+    expect(await Message.countDocuments()).toBe(0);
+  });
+
+  test('should re-check the role against the database for sensitive actions', async () => {
+    const { token } = await createUserAndLogin(app, 'admin@example.com', { role: 'admin' });
+
+    const allowed = await request(app).get('/sensitive').set('Authorization', `Bearer ${token}`);
+    expect(allowed.statusCode).toBe(200);
+
+    // Demotion applies immediately even though the token still says "admin"
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'user' });
+    const denied = await request(app).get('/sensitive').set('Authorization', `Bearer ${token}`);
+    expect(denied.statusCode).toBe(403);
+  });
+
+  test('should not let users change their own role through the profile', async () => {
+    const { token } = await createUserAndLogin(app, 'sneaky@example.com');
+
+    await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ fullname: 'Sneaky User', role: 'admin' });
+
+    const user = await User.findByEmail('sneaky@example.com');
+    expect(user.role).toBe('user');
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const emailService = require('../utils/emailService');
+
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendPasswordChangedNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+const login = (app, userAgent, password = 'password123') => request(app)
+  .post('/auth/login')
+  .set('User-Agent', userAgent)
+  .send({ emailOrPhone: 'owner@example.com', password });
+
+const tokenFromLink = (link) => new URL(link).searchParams.get('token');
+
+describe('Security alerts', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    await User.create({ fullname: 'Account Owner', email: 'owner@example.com', password: 'password123' });
+  });
+
+  test('should only alert on sign-ins from a new device', async () => {
+    expect((await login(app, 'Laptop Browser')).statusCode).toBe(200);
+    expect((await login(app, 'Laptop Browser')).statusCode).toBe(200);
+    expect(emailService.sendNewLoginAlert).not.toHaveBeenCalled();
+
+    const res = await login(app, 'Unknown Phone');
+    expect(res.statusCode).toBe(200);
+    expect(emailService.sendNewLoginAlert).toHaveBeenCalledTimes(1);
+    expect(emailService.sendNewLoginAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'owner@example.com' }),
+      expect.objectContaining({ reportLink: expect.stringContaining('token=') })
+    );
+
+    const user = await User.findByEmail('owner@example.com');
+    expect(user.knownDevices).toHaveLength(2);
+  });
+
+  test('should notify the owner when the password changes', async () => {
+    const { body } = await login(app, 'Laptop Browser');
+
+    const res = await request(app)
+      .put('/auth/change-password')
+      .set('Authorization', `Bearer ${body.data.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'Quiet-River-77' });
+
+    expect(res.statusCode).toBe(200);
+    expect(emailService.sendPasswordChangedNotice).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'owner@example.com' }),
+      expect.objectContaining({ reportLink: expect.any(String) })
+    );
+  });
+
+  test('"this wasn\'t me" should sign out everywhere and require a password reset', async () => {
+    await login(app, 'Laptop Browser');
+    const intruder = await login(app, 'Unknown Phone');
+    const [, { reportLink }] = emailService.sendNewLoginAlert.mock.calls[0];
+
+    const res = await request(app).post('/auth/report-login').send({ token: tokenFromLink(reportLink) });
+
+    expect(res.statusCode).toBe(200);
+    expect(emailService.sendVerificationCode).toHaveBeenCalledWith('owner@example.com', expect.any(String), 'password_reset', 'en');
+    expect(await Session.countDocuments({ revokedAt: null })).toBe(0);
+
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${intruder.body.data.token}`);
+    expect(me.statusCode).toBe(401);
+
+    const relogin = await login(app, 'Unknown Phone');
+    expect(relogin.statusCode).toBe(403);
+    expect(relogin.body.code).toBe('PASSWORD_RESET_REQUIRED');
+  });
+
+  test('should refuse report links issued before the last password change', async () => {
+    await login(app, 'Laptop Browser');
+    await login(app, 'Unknown Phone');
+    const [, { reportLink }] = emailService.sendNewLoginAlert.mock.calls[0];
+
+    await User.updateOne({ email: 'owner@example.com' }, { passwordChangedAt: new Date(Date.now() + 5000) });
+
+    const res = await request(app).post('/auth/report-login').send({ token: tokenFromLink(reportLink) });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_REPORT_LINK');
+  });
+});
@@ -0,0 +1,154 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mount only auth routes on a fresh express app for testing
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { loginAs } = require('./helpers');
+
+// Mock email service to avoid sending real emails in tests
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(true),
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+describe('Refresh token sessions', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    await new User({
+      fullname: 'Session User',
+      email: 'session@example.com',
+      password: 'secret123',
+    }).save();
+  });
+
+  test('POST /auth/login should return an access and refresh token', async () => {
+    const data = await loginAs(app, 'session@example.com', 'secret123');
+
+    expect(data.token).toBeDefined();
+    expect(data.refreshToken).toBeDefined();
+    expect(await Session.countDocuments()).toBe(1);
+  });
+
+  test('POST /auth/refresh should rotate the refresh token', async () => {
+    const { refreshToken } = await loginAs(app, 'session@example.com', 'secret123');
+
+    const res = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refreshToken).not.toBe(refreshToken);
+  });
+
+  test('reusing a rotated refresh token should revoke the whole family', async () => {
+    const { refreshToken } = await loginAs(app, 'session@example.com', 'secret123');
+
+    const first = await request(app).post('/auth/refresh').send({ refreshToken });
+    const reuse = await request(app).post('/auth/refresh').send({ refreshToken });
+
+    expect(reuse.statusCode).toBe(401);
+    expect(reuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The token issued by the legitimate rotation is revoked as well
+    const next = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken: first.body.data.refreshToken });
+
+    expect(next.statusCode).toBe(401);
+    expect(next.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('POST /auth/logout should revoke the session behind the access token', async () => {
+    const { token, refreshToken } = await loginAs(app, 'session@example.com', 'secret123');
+
+    const logoutRes = await request(app)
+      .post('/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+    expect(logoutRes.statusCode).toBe(200);
+
+    const meRes = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+    expect(meRes.statusCode).toBe(401);
+
+    const refreshRes = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+    expect(refreshRes.statusCode).toBe(401);
+  });
+});
+
+describe('Session management', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    await new User({
+      fullname: 'Device User',
+      email: 'devices@example.com',
+      password: 'secret123',
+    }).save();
+  });
+
+  test('GET /auth/sessions should list every device and flag the current one', async () => {
+    await loginAs(app, 'devices@example.com', 'secret123');
+    const { token } = await loginAs(app, 'devices@example.com', 'secret123');
+
+    const res = await request(app)
+      .get('/auth/sessions')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.total).toBe(2);
+    expect(res.body.data.sessions.filter(s => s.current)).toHaveLength(1);
+  });
+
+  test('DELETE /auth/sessions/:id should revoke another device', async () => {
+    const phone = await loginAs(app, 'devices@example.com', 'secret123');
+    const desktop = await loginAs(app, 'devices@example.com', 'secret123');
+    const phoneSessionId = phone.refreshToken.split('.')[0];
+
+    const res = await request(app)
+      .delete(`/auth/sessions/${phoneSessionId}`)
+      .set('Authorization', `Bearer ${desktop.token}`);
+    expect(res.statusCode).toBe(200);
+
+    const meRes = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${phone.token}`);
+    expect(meRes.statusCode).toBe(401);
+  });
+
+  test('DELETE /auth/sessions should log out everywhere else', async () => {
+    const other = await loginAs(app, 'devices@example.com', 'secret123');
+    const current = await loginAs(app, 'devices@example.com', 'secret123');
+
+    const res = await request(app)
+      .delete('/auth/sessions')
+      .set('Authorization', `Bearer ${current.token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.revoked).toBe(1);
+
+    const otherMe = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${other.token}`);
+    const currentMe = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${current.token}`);
+    expect(otherMe.statusCode).toBe(401);
+    expect(currentMe.statusCode).toBe(200);
+  });
+});
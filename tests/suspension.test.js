@@ -0,0 +1,132 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const userRoutes = require('../routes/users');
+const friendRoutes = require('../routes/friends');
+const privateMessageRoutes = require('../routes/privateMessages');
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendFriendRequestNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/admin', adminRoutes);
+  app.use('/users', userRoutes);
+  app.use('/friends', friendRoutes);
+  app.use('/private-messages', privateMessageRoutes);
+  return app;
+}
+
+describe('Account suspension', () => {
+  let app;
+  let admin;
+  let member;
+  let friend;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    admin = await createUserAndLogin(app, 'admin@example.com', { role: 'admin' });
+    member = await createUserAndLogin(app, 'member@example.com');
+    friend = await createUserAndLogin(app, 'friend@example.com');
+    await FriendRequest.create({ sender: member.user._id, receiver: friend.user._id, status: 'accepted' });
+  });
+
+  const suspend = (body) => request(app)
+    .post(`/admin/users/${member.user._id}/suspend`)
+    .set('Authorization', `Bearer ${admin.token}`)
+    .send(body);
+
+  test('should block login with the reason and expiry', async () => {
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect((await suspend({ reason: 'Spam', expiresAt })).statusCode).toBe(200);
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'member@example.com', password: 'password123' });
+
+    expect(login.statusCode).toBe(403);
+    expect(login.body.code).toBe('ACCOUNT_SUSPENDED');
+    expect(login.body.reason).toBe('Spam');
+    expect(new Date(login.body.suspendedUntil).getTime()).toBe(expiresAt.getTime());
+  });
+
+  test('should not reveal the suspension without the right password', async () => {
+    await suspend({ reason: 'Spam' });
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'member@example.com', password: 'wrong-password' });
+
+    expect(login.statusCode).toBe(401);
+    expect(login.body.reason).toBeUndefined();
+  });
+
+  test('should reject existing tokens and refresh tokens immediately', async () => {
+    await suspend({});
+
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${member.token}`);
+    expect(me.statusCode).toBe(403);
+
+    const refresh = await request(app).post('/auth/refresh').send({ refreshToken: member.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+  });
+
+  test('should hide suspended users and refuse messages and friend requests to them', async () => {
+    await suspend({});
+
+    const users = await request(app).get('/users').set('Authorization', `Bearer ${friend.token}`);
+    expect(users.body.data.users.map(user => user.id)).toEqual([admin.user._id.toString()]);
+
+    const message = await request(app)
+      .post('/private-messages/send')
+      .set('Authorization', `Bearer ${friend.token}`)
+      .send({ receiverId: member.user._id.toString(), content: 'hello?' });
+    expect(message.statusCode).toBe(403);
+
+    const friendRequest = await request(app)
+      .post('/friends/send')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ receiverId: member.user._id.toString() });
+    expect(friendRequest.statusCode).toBe(404);
+  });
+
+  test('should lift timed suspensions once they expire', async () => {
+    await User.updateOne({ _id: member.user._id }, {
+      isActive: false,
+      suspension: { reason: 'Cooling off', suspendedAt: new Date(Date.now() - 60000), expiresAt: new Date(Date.now() - 1000) }
+    });
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'member@example.com', password: 'password123' });
+
+    expect(login.statusCode).toBe(200);
+    const user = await User.findById(member.user._id);
+    expect(user.isActive).toBe(true);
+    expect(user.suspension.reason).toBeNull();
+  });
+
+  test('should reactivate when unsuspended', async () => {
+    await suspend({ reason: 'Mistake' });
+
+    const res = await request(app)
+      .post(`/admin/users/${member.user._id}/unsuspend`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.suspended).toBe(false);
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'member@example.com', password: 'password123' });
+    expect(login.statusCode).toBe(200);
+  });
+});
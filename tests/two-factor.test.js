@@ -0,0 +1,183 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mount only auth routes on a fresh express app for testing
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const { base32Encode, generateTOTP, verifyTOTP } = require('../utils/totp');
+const emailService = require('../utils/emailService');
+
+// Mock email service to avoid sending real emails in tests
+jest.mock('../utils/emailService', () => ({
+  sendVerificationCode: jest.fn().mockResolvedValue(true),
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  verifyCode: jest.fn().mockResolvedValue(true),
+}));
+
+// Fixed clock: 2024-01-01T00:00:00Z
+const FIXED_NOW = 1704067200000;
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+describe('TOTP utilities', () => {
+  // RFC 6238 Appendix B test vectors (SHA-1, 8 digits)
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ];
+
+  test.each(vectors)('generates the RFC 6238 code at T=%i', (seconds, expected) => {
+    expect(generateTOTP(rfcSecret, { time: seconds * 1000, digits: 8 })).toBe(expected);
+  });
+
+  test('accepts codes within one step of clock drift only', () => {
+    const code = generateTOTP(rfcSecret, { time: FIXED_NOW });
+
+    expect(verifyTOTP(code, rfcSecret, { time: FIXED_NOW + 30 * 1000 })).not.toBeNull();
+    expect(verifyTOTP(code, rfcSecret, { time: FIXED_NOW + 90 * 1000 })).toBeNull();
+    expect(verifyTOTP('abc', rfcSecret, { time: FIXED_NOW })).toBeNull();
+  });
+});
+
+describe('Two-factor authentication flow', () => {
+  let app;
+  let token;
+
+  beforeEach(async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(FIXED_NOW);
+    app = createTestApp();
+
+    await new User({
+      fullname: 'Mfa User',
+      email: 'mfa@example.com',
+      password: 'secret123',
+    }).save();
+
+    const loginRes = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'mfa@example.com', password: 'secret123' });
+    token = loginRes.body.data.token;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function enrol() {
+    const setupRes = await request(app)
+      .post('/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    const { secret, otpauthUri } = setupRes.body.data;
+    expect(otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+    const enableRes = await request(app)
+      .post('/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTOTP(secret, { time: FIXED_NOW }) });
+    expect(enableRes.statusCode).toBe(200);
+
+    return { secret, recoveryCodes: enableRes.body.data.recoveryCodes };
+  }
+
+  test('login should require a second step once 2FA is enabled', async () => {
+    const { secret } = await enrol();
+    emailService.sendNewLoginAlert.mockClear();
+
+    const loginRes = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'mfa@example.com', password: 'secret123' });
+    expect(loginRes.body.data.mfaRequired).toBe(true);
+    expect(loginRes.body.data.token).toBeUndefined();
+
+    // The pending token must not work as an access token
+    const meRes = await request(app)
+      .get('/auth/me')
+      .set('Authorization', `Bearer ${loginRes.body.data.mfaToken}`);
+    expect(meRes.statusCode).toBe(401);
+
+    // Next time step, so the code differs from the one used during enrollment
+    Date.now.mockReturnValue(FIXED_NOW + 30 * 1000);
+    const verifyRes = await request(app)
+      .post('/auth/2fa/verify')
+      .send({
+        mfaToken: loginRes.body.data.mfaToken,
+        code: generateTOTP(secret, { time: FIXED_NOW + 30 * 1000 }),
+      });
+    expect(verifyRes.statusCode).toBe(200);
+    expect(verifyRes.body.data.token).toBeDefined();
+
+    // Same device as the first login: completing the second step sends no alert
+    expect(emailService.sendNewLoginAlert).not.toHaveBeenCalled();
+  });
+
+  test('a recovery code should work exactly once', async () => {
+    const { recoveryCodes } = await enrol();
+
+    const login = () => request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'mfa@example.com', password: 'secret123' });
+
+    const first = await request(app)
+      .post('/auth/2fa/verify')
+      .send({ mfaToken: (await login()).body.data.mfaToken, recoveryCode: recoveryCodes[0] });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.data.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+
+    const second = await request(app)
+      .post('/auth/2fa/verify')
+      .send({ mfaToken: (await login()).body.data.mfaToken, recoveryCode: recoveryCodes[0] });
+    expect(second.statusCode).toBe(401);
+  });
+
+  test('parallel verifications with the same code should only sign in once', async () => {
+    const { secret, recoveryCodes } = await enrol();
+
+    const login = () => request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'mfa@example.com', password: 'secret123' });
+    const verifyTwice = async (body) => {
+      const { mfaToken } = (await login()).body.data;
+      const results = await Promise.all([
+        request(app).post('/auth/2fa/verify').send({ mfaToken, ...body }),
+        request(app).post('/auth/2fa/verify').send({ mfaToken, ...body })
+      ]);
+      return results.map(res => res.statusCode).sort();
+    };
+
+    expect(await verifyTwice({ recoveryCode: recoveryCodes[0] })).toEqual([200, 401]);
+
+    Date.now.mockReturnValue(FIXED_NOW + 30 * 1000);
+    expect(await verifyTwice({ code: generateTOTP(secret, { time: FIXED_NOW + 30 * 1000 }) })).toEqual([200, 401]);
+  });
+
+  test('POST /auth/2fa/disable should require the password', async () => {
+    await enrol();
+
+    const wrong = await request(app)
+      .post('/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'not-my-password' });
+    expect(wrong.statusCode).toBe(400);
+
+    const right = await request(app)
+      .post('/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'secret123' });
+    expect(right.statusCode).toBe(200);
+
+    const loginRes = await request(app)
+      .post('/auth/login')
+      .send({ emailOrPhone: 'mfa@example.com', password: 'secret123' });
+    expect(loginRes.body.data.token).toBeDefined();
+  });
+});
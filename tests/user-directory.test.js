@@ -0,0 +1,178 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const friendRoutes = require('../routes/friends');
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const Block = require('../models/Block');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendFriendRequestNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/users', userRoutes);
+  app.use('/friends', friendRoutes);
+  return app;
+}
+
+const createUser = (fullname, email, profile = {}) => User.create({
+  fullname,
+  email,
+  password: 'password123',
+  ...profile
+});
+
+const befriend = (sender, receiver) => FriendRequest.create({ sender, receiver, status: 'accepted' });
+
+describe('User directory', () => {
+  let app;
+  let viewer;
+  let anna;
+  let bruno;
+  let carla;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    viewer = await createUserAndLogin(app, 'viewer@example.com', { fullname: 'Viewer' });
+    anna = await createUser('Anna Smith', 'anna@example.com', { username: 'anna_s', emailVerified: true });
+    bruno = await createUser('bruno Stone', 'bruno@example.com');
+    carla = await createUser('Carla Jones', 'carla@example.com', { username: 'smithy' });
+  });
+
+  const listUsers = (query = {}, account = viewer) => request(app)
+    .get('/users')
+    .query(query)
+    .set('Authorization', `Bearer ${account.token}`);
+
+  const names = (res) => res.body.data.users.map(user => user.fullname);
+
+  test('should list users by name (case-insensitive), without the caller', async () => {
+    const res = await listUsers();
+
+    expect(res.statusCode).toBe(200);
+    expect(names(res)).toEqual(['Anna Smith', 'bruno Stone', 'Carla Jones']);
+    expect(res.body.data.nextCursor).toBeNull();
+  });
+
+  test('should page through users with the cursor', async () => {
+    const first = await listUsers({ limit: 2 });
+    expect(names(first)).toEqual(['Anna Smith', 'bruno Stone']);
+    expect(first.body.data.nextCursor).toEqual(expect.any(String));
+
+    const second = await listUsers({ limit: 2, cursor: first.body.data.nextCursor });
+    expect(names(second)).toEqual(['Carla Jones']);
+    expect(second.body.data.nextCursor).toBeNull();
+
+    const invalid = await listUsers({ cursor: 'not-a-cursor' });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.field).toBe('cursor');
+  });
+
+  test('should search by the start of a name or username, or fuzzily', async () => {
+    expect(names(await listUsers({ q: 'smi' }))).toEqual(['Anna Smith', 'Carla Jones']);
+    expect(names(await listUsers({ q: 'st' }))).toEqual(['bruno Stone']);
+    expect(names(await listUsers({ q: 'asmth', match: 'fuzzy' }))).toEqual(['Anna Smith']);
+
+    const short = await listUsers({ q: 'a' });
+    expect(short.statusCode).toBe(400);
+    expect(short.body.field).toBe('q');
+
+    const long = await listUsers({ q: 'a'.repeat(51), match: 'fuzzy' });
+    expect(long.statusCode).toBe(400);
+    expect(long.body.field).toBe('q');
+  });
+
+  test('should filter by verified email and friends of friends', async () => {
+    expect(names(await listUsers({ verified: 'true' }))).toEqual(['Anna Smith']);
+
+    await befriend(viewer.user._id, anna._id);
+    await befriend(anna._id, carla._id);
+    expect(names(await listUsers({ friendsOfFriends: 'true' }))).toEqual(['Carla Jones']);
+
+    const invalid = await listUsers({ verified: 'yes' });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.field).toBe('verified');
+  });
+
+  test('should only return requested fields, and never hidden ones', async () => {
+    await User.updateOne({ _id: bruno._id }, { bio: 'Hello', 'privacy.bio': 'only_me' });
+
+    const res = await listUsers({ fields: 'fullname,email,bio' });
+    const listed = res.body.data.users.find(user => user.id === bruno._id.toString());
+
+    expect(listed).toEqual({ id: bruno._id.toString(), fullname: 'bruno Stone' });
+
+    const unknown = await listUsers({ fields: 'password' });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.field).toBe('fields');
+  });
+
+  test('should leave out suspended users and users being deleted', async () => {
+    await User.updateOne({ _id: anna._id }, { isActive: false });
+    await User.updateOne({ _id: bruno._id }, { 'deletion.scheduledFor': new Date(Date.now() + 60000) });
+
+    expect(names(await listUsers())).toEqual(['Carla Jones']);
+  });
+
+  test('blocking should hide both users from each other and end their friendship', async () => {
+    await befriend(viewer.user._id, anna._id);
+
+    const block = await request(app)
+      .post(`/users/${anna._id}/block`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+    expect(block.statusCode).toBe(200);
+    expect(await FriendRequest.countDocuments()).toBe(0);
+
+    expect(names(await listUsers())).toEqual(['bruno Stone', 'Carla Jones']);
+
+    const profile = await request(app)
+      .get(`/users/${anna._id}`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+    expect(profile.statusCode).toBe(404);
+
+    const blocked = await request(app)
+      .get('/users/blocked')
+      .set('Authorization', `Bearer ${viewer.token}`);
+    expect(blocked.body.data.users.map(user => user.id)).toEqual([anna._id.toString()]);
+
+    // A block by the other side also stops friend requests
+    const dana = await createUserAndLogin(app, 'dana@example.com');
+    await Block.create({ blocker: dana.user._id, blocked: viewer.user._id });
+    const friendRequest = await request(app)
+      .post('/friends/send')
+      .set('Authorization', `Bearer ${dana.token}`)
+      .send({ receiverId: viewer.user._id.toString() });
+    expect(friendRequest.statusCode).toBe(404);
+  });
+
+  test('unblocking should show the user again', async () => {
+    await Block.create({ blocker: viewer.user._id, blocked: carla._id });
+
+    const unblock = await request(app)
+      .delete(`/users/${carla._id}/block`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+    expect(unblock.statusCode).toBe(200);
+    expect(names(await listUsers())).toContain('Carla Jones');
+
+    const again = await request(app)
+      .delete(`/users/${carla._id}/block`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+    expect(again.statusCode).toBe(404);
+  });
+
+  test('should refuse blocking yourself', async () => {
+    const res = await request(app)
+      .post(`/users/${viewer.user._id}/block`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
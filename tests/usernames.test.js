@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const friendRoutes = require('../routes/friends');
+const User = require('../models/User');
+const { extractMentions } = require('../utils/mentions');
+const { createUserAndLogin } = require('./helpers');
+
+jest.mock('../utils/emailService', () => ({
+  sendNewLoginAlert: jest.fn().mockResolvedValue(true),
+  sendFriendRequestNotice: jest.fn().mockResolvedValue(true)
+}));
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use('/users', userRoutes);
+  app.use('/friends', friendRoutes);
+  return app;
+}
+
+describe('Usernames', () => {
+  let app;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await createUserAndLogin(app, 'alice@example.com');
+    bob = await createUserAndLogin(app, 'bob@example.com', { username: 'bob_builder' });
+  });
+
+  const changeUsername = (account, username) => request(app)
+    .put('/auth/username')
+    .set('Authorization', `Bearer ${account.token}`)
+    .send({ username });
+
+  test('PUT /auth/username should store the handle lowercase and refuse it in any other case', async () => {
+    const res = await changeUsername(alice, '@Alice_W');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.username).toBe('alice_w');
+
+    const taken = await changeUsername(bob, 'ALICE_W');
+    expect(taken.statusCode).toBe(400);
+    expect(taken.body.code).toBe('USERNAME_TAKEN');
+  });
+
+  test('PUT /auth/username should refuse invalid and reserved handles', async () => {
+    expect((await changeUsername(alice, '1st_place')).body.code).toBe('USERNAME_INVALID');
+    expect((await changeUsername(alice, 'a__b')).body.code).toBe('USERNAME_INVALID');
+    expect((await changeUsername(alice, 'Support')).body.code).toBe('USERNAME_RESERVED');
+    expect((await changeUsername(alice, 'real_admin_here')).body.code).toBe('USERNAME_RESERVED');
+  });
+
+  test('changing a username should start the cooldown', async () => {
+    const first = await changeUsername(bob, 'bob_the_second');
+    expect(first.statusCode).toBe(200);
+    expect(first.body.data.nextChangeAt).toBeDefined();
+
+    const again = await changeUsername(bob, 'bob_the_third');
+    expect(again.statusCode).toBe(429);
+    expect(again.body.code).toBe('USERNAME_CHANGE_COOLDOWN');
+    expect(again.headers['retry-after']).toBeDefined();
+
+    // The profile endpoint follows the same rules
+    const viaProfile = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', `Bearer ${bob.token}`)
+      .send({ username: 'bob_the_third' });
+    expect(viaProfile.statusCode).toBe(429);
+
+    await User.updateOne({ _id: bob.user._id }, { usernameChangedAt: new Date('2020-01-01') });
+    expect((await changeUsername(bob, 'bob_the_third')).statusCode).toBe(200);
+  });
+
+  test('GET /auth/username/available should report why a handle is unavailable', async () => {
+    const check = (username) => request(app)
+      .get('/auth/username/available')
+      .query({ username })
+      .set('Authorization', `Bearer ${alice.token}`);
+
+    expect((await check('free_name')).body.data.available).toBe(true);
+    expect((await check('Bob_Builder')).body.data).toMatchObject({ available: false, code: 'USERNAME_TAKEN' });
+    expect((await check('everyone')).body.data.code).toBe('USERNAME_RESERVED');
+  });
+
+  test('GET /users/by-username/:username should find the profile case-insensitively', async () => {
+    const res = await request(app)
+      .get('/users/by-username/@Bob_Builder')
+      .set('Authorization', `Bearer ${alice.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.id).toBe(bob.user._id.toString());
+    expect(res.body.data.user.username).toBe('bob_builder');
+
+    const missing = await request(app)
+      .get('/users/by-username/nobody_here')
+      .set('Authorization', `Bearer ${alice.token}`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('GET /users/search should suggest handles by prefix', async () => {
+    await User.create({ fullname: 'Bobby', email: 'bobby@example.com', password: 'password123', username: 'bobby' });
+
+    const res = await request(app)
+      .get('/users/search')
+      .query({ q: '@BOB' })
+      .set('Authorization', `Bearer ${alice.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.users.map(user => user.username)).toEqual(['bob_builder', 'bobby']);
+    expect(res.body.data.users[0]).not.toHaveProperty('email');
+  });
+
+  test('POST /friends/send should accept a username instead of an id', async () => {
+    const res = await request(app)
+      .post('/friends/send')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({ username: '@Bob_Builder' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.friendRequest.receiver).toBe(bob.user._id.toString());
+
+    const unknown = await request(app)
+      .post('/friends/send')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({ username: 'nobody_here' });
+    expect(unknown.statusCode).toBe(404);
+  });
+
+  test('extractMentions should find handles but not email addresses', () => {
+    expect(extractMentions('hey @Bob_Builder, ping @alice_w and mail me at carol@example.com @bob_builder'))
+      .toEqual(['bob_builder', 'alice_w']);
+  });
+});
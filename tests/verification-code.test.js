@@ -0,0 +1,77 @@
+const VerificationCode = require('../models/VerificationCode');
+const { email: emailSecurity } = require('../config/security');
+
+describe('VerificationCode', () => {
+  const email = 'codes@example.com';
+
+  test('should store only a hash of the code', async () => {
+    await VerificationCode.createCode(email, '123456', 'email_verification');
+
+    const stored = await VerificationCode.findOne({ email }).lean();
+    expect(stored.code).toBeUndefined();
+    expect(stored.codeHash).not.toContain('123456');
+    expect(await VerificationCode.verifyCode(email, '123456', 'email_verification')).toBe(true);
+  });
+
+  test('should generate six-digit codes', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(VerificationCode.generateCode()).toMatch(/^\d{6}$/);
+    }
+  });
+
+  test('should burn the code after maxCodeAttempts wrong guesses', async () => {
+    await VerificationCode.createCode(email, '123456', 'password_reset');
+
+    for (let i = 0; i < emailSecurity.maxCodeAttempts; i++) {
+      expect(await VerificationCode.verifyCode(email, '000000', 'password_reset', false)).toBe(false);
+    }
+
+    // Correct code no longer works once the attempts are exhausted
+    expect(await VerificationCode.verifyCode(email, '123456', 'password_reset', false)).toBe(false);
+    expect(await VerificationCode.countDocuments({ email })).toBe(0);
+  });
+
+  test('should not let parallel guesses get past maxCodeAttempts', async () => {
+    await VerificationCode.createCode(email, '123456', 'password_reset');
+
+    const guesses = Array.from({ length: emailSecurity.maxCodeAttempts * 3 }, (_, i) => String(100000 + i));
+    await Promise.all(guesses.map(guess => VerificationCode.verifyCode(email, guess, 'password_reset', false)));
+
+    expect(await VerificationCode.verifyCode(email, '123456', 'password_reset', false)).toBe(false);
+  });
+
+  test('parallel redemptions of the same code should only succeed once', async () => {
+    await VerificationCode.createCode(email, '123456', 'magic_link');
+
+    const results = await Promise.all([
+      VerificationCode.verifyCode(email, '123456', 'magic_link'),
+      VerificationCode.verifyCode(email, '123456', 'magic_link'),
+      VerificationCode.verifyCode(email, '123456', 'magic_link')
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('a correct code kept for later should not use up an attempt', async () => {
+    await VerificationCode.createCode(email, '123456', 'password_reset');
+
+    expect(await VerificationCode.verifyCode(email, '123456', 'password_reset', false)).toBe(true);
+    const stored = await VerificationCode.findOne({ email });
+    expect(stored.attempts).toBe(0);
+  });
+
+  test('should invalidate older codes when a new one is issued', async () => {
+    await VerificationCode.createCode(email, '111111', 'password_reset');
+    await VerificationCode.createCode(email, '222222', 'password_reset');
+
+    expect(await VerificationCode.verifyCode(email, '111111', 'password_reset', false)).toBe(false);
+    expect(await VerificationCode.verifyCode(email, '222222', 'password_reset', false)).toBe(true);
+  });
+
+  test('should enforce a resend cooldown per email and type', async () => {
+    await VerificationCode.createCode(email, '123456', 'password_reset');
+
+    expect(await VerificationCode.getResendWait(email, 'password_reset')).toBeGreaterThan(0);
+    expect(await VerificationCode.getResendWait(email, 'email_verification')).toBe(0);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Account Cleanup
+ * Removes a user and everything that belongs to them (messages, conversations,
+ * friend requests, blocks, uploaded files, data exports, codes and sessions)
+ */
+
+const User = require('../models/User');
+const Message = require('../models/Message');
+const PrivateMessage = require('../models/PrivateMessage');
+const Conversation = require('../models/Conversation');
+const FriendRequest = require('../models/FriendRequest');
+const VerificationCode = require('../models/VerificationCode');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const Block = require('../models/Block');
+const { deleteAvatarFiles } = require('../config/avatarStorage');
+const { deleteAudioFile } = require('../config/audioStorage');
+const { deleteExportFile } = require('../config/exportStorage');
+
+/**
+ * Delete private conversations and their messages (including audio files)
+ * @param {ObjectId[]} conversationIds - Conversations to delete
+ * @returns {Promise<void>}
+ */
+const deleteConversations = async (conversationIds) => {
+  if (!conversationIds.length) return;
+
+  const allPrivateMessages = await PrivateMessage.find({ conversation: { $in: conversationIds } });
+  for (const pm of allPrivateMessages) {
+    // Delete audio files if message has audio
+    if (pm.messageType === 'audio' && pm.audioFile?.filename) {
+      deleteAudioFile(pm.audioFile.filename);
+    }
+  }
+  await PrivateMessage.deleteMany({ conversation: { $in: conversationIds } });
+  await Conversation.deleteMany({ _id: { $in: conversationIds } });
+};
+
+/**
+ * Delete a user account and all associated data
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {boolean} [options.keepConversations] - Keep private conversations for the other
+ *   participant (the sender shows as "Deleted user"); conversations whose other
+ *   participant is gone as well are deleted
+ * @returns {Promise<string[]>} Ids of the sessions that were removed (to disconnect their sockets)
+ */
+const deleteUserData = async (user, { keepConversations = false } = {}) => {
+  const userId = user._id;
+
+  // Delete all messages sent by user
+  const userMessages = await Message.find({ sender: userId });
+  for (const message of userMessages) {
+    // Delete audio files if message has audio
+    if (message.messageType === 'audio' && message.audioFile?.filename) {
+      deleteAudioFile(message.audioFile.filename);
+    }
+  }
+  await Message.deleteMany({ sender: userId });
+
+  // Delete private conversations where user is a participant (both sides' messages)
+  const userConversations = await Conversation.find({ participants: userId }).select('participants');
+  let conversationIds = userConversations.map(c => c._id);
+  if (keepConversations) {
+    // Only those whose other participant is gone as well
+    const otherIds = userConversations.flatMap(c => c.participants).filter(id => !id.equals(userId));
+    const existing = (await User.find({ _id: { $in: otherIds } }).distinct('_id')).map(String);
+    conversationIds = userConversations
+      .filter(c => !c.participants.some(id => existing.includes(id.toString())))
+      .map(c => c._id);
+  }
+  await deleteConversations(conversationIds);
+
+  // Delete friend requests where user is sender or receiver
+  await FriendRequest.deleteMany({
+    $or: [
+      { sender: userId },
+      { receiver: userId }
+    ]
+  });
+
+  // Delete blocks made by or against the user
+  await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+
+  // Delete avatar files (every size) if any
+  if (user.avatar) {
+    deleteAvatarFiles(user.avatar);
+  }
+
+  // Delete data export archives
+  const dataExports = await DataExport.find({ user: userId }).select('filename');
+  for (const dataExport of dataExports) {
+    deleteExportFile(dataExport.filename);
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  // Delete verification codes for user's email
+  await VerificationCode.deleteMany({
+    email: user.email.toLowerCase()
+  });
+
+  // Sessions (refresh token families) are useless without the account
+  const sessionIds = (await Session.find({ user: userId }).select('_id')).map(session => session._id.toString());
+  await Session.deleteMany({ user: userId });
+
+  // Finally, delete the user account
+  await User.findByIdAndDelete(userId);
+
+  return sessionIds;
+};
+
+module.exports = { deleteUserData };
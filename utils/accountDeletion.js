@@ -0,0 +1,153 @@
+/**
+ * Account Deletion
+ * Self-service deletion with a grace period: the account is hidden and signed
+ * out when deletion is requested, can be restored until the scheduled date, and
+ * is purged by a background job afterwards
+ */
+
+const User = require('../models/User');
+const { generatePurposeToken } = require('./authUtils');
+const { revokeOtherSessions } = require('./sessionService');
+const { deleteUserData } = require('./accountCleanup');
+const { notifyInBackground } = require('./notifications');
+const { logSecurityEvent } = require('./auditLog');
+const { disconnectUser } = require('../socket/handlers');
+const { accountDeletion } = require('../config/security');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts loaded at a time while purging
+const PURGE_BATCH_SIZE = 50;
+
+let purgeTimer = null;
+
+/**
+ * Schedule an account for deletion, end all of its sessions and drop its live sockets
+ * @param {Object} user - User document
+ * @param {Object} [options] - { io }
+ * @returns {Promise<Date>} When the account will be purged
+ */
+const scheduleAccountDeletion = async (user, { io = null } = {}) => {
+  const now = new Date();
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + accountDeletion.gracePeriodDays * DAY_MS)
+  };
+  await user.save();
+
+  await revokeOtherSessions(user._id, null, 'deletion_scheduled');
+  disconnectUser(io, user._id.toString());
+  return user.deletion.scheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Saved user document
+ */
+const cancelAccountDeletion = async (user) => {
+  user.deletion = { requestedAt: null, scheduledFor: null };
+  return user.save();
+};
+
+/**
+ * Send the "account pending deletion" response, with a token to restore the account
+ * @param {Object} res - Express response
+ * @param {Object} user - User document scheduled for deletion
+ * @param {Object} [loginDetails] - How the user signed in, carried over to the restored login
+ * @returns {Object} Express response
+ */
+const sendPendingDeletionResponse = (res, user, loginDetails = { method: 'password' }) => {
+  const restoreToken = generatePurposeToken('account_restore', {
+    userId: user._id.toString(),
+    login: loginDetails
+  }, accountDeletion.restoreTokenExpiresIn);
+
+  return res.status(403).json({
+    success: false,
+    error: 'Account Pending Deletion',
+    code: 'ACCOUNT_PENDING_DELETION',
+    message: `Your account is scheduled for deletion on ${user.deletion.scheduledFor.toISOString()}. Restore it to sign in.`,
+    scheduledFor: user.deletion.scheduledFor,
+    restoreToken
+  });
+};
+
+/**
+ * Delete an account whose grace period is over
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const purgeAccount = async (user) => {
+  // Logged first so the entry keeps the account's email
+  await logSecurityEvent(null, 'auth.account_deleted', {
+    user,
+    actor: null,
+    metadata: { requestedAt: user.deletion.requestedAt }
+  });
+  await deleteUserData(user, { keepConversations: accountDeletion.keepConversations });
+
+  // Confirmation goes to the address the account had when it was deleted
+  notifyInBackground('sendAccountDeletedNotice', {
+    email: user.email,
+    fullname: user.fullname,
+    locale: user.locale
+  });
+};
+
+/**
+ * Purge every account whose scheduled deletion date has passed
+ * @returns {Promise<number>} Number of purged accounts
+ */
+const purgeDueAccounts = async () => {
+  let purged = 0;
+  let batchPurged;
+  do {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } }).limit(PURGE_BATCH_SIZE);
+    batchPurged = 0;
+    for (const user of due) {
+      try {
+        await purgeAccount(user);
+        batchPurged += 1;
+      } catch (error) {
+        console.error(`Failed to purge account ${user._id}:`, error.message);
+      }
+    }
+    purged += batchPurged;
+    // Stop when done, or when a full batch keeps failing (retried at the next run)
+  } while (batchPurged === PURGE_BATCH_SIZE);
+  return purged;
+};
+
+/**
+ * Run the purger now and then every `security.accountDeletion.purgeInterval`
+ */
+const startAccountPurger = () => {
+  if (purgeTimer) return;
+
+  const run = () => purgeDueAccounts()
+    .then(count => count && console.log(`Purged ${count} deleted account(s)`))
+    .catch(error => console.error('Account purge failed:', error.message));
+
+  run();
+  purgeTimer = setInterval(run, accountDeletion.purgeInterval);
+  // Never keep the process alive just for the purger
+  purgeTimer.unref();
+};
+
+/**
+ * Stop the background purger
+ */
+const stopAccountPurger = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  sendPendingDeletionResponse,
+  purgeDueAccounts,
+  startAccountPurger,
+  stopAccountPurger
+};
@@ -0,0 +1,77 @@
+/**
+ * Account Status
+ * Suspending and reactivating accounts, and the shared checks that keep
+ * suspended users out of login, the API, sockets and messaging
+ */
+
+const { revokeOtherSessions } = require('./sessionService');
+const { disconnectUser } = require('../socket/handlers');
+
+/**
+ * Check that an account may be used, lifting a timed suspension that has run out
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True if the account is active
+ */
+const ensureActiveAccount = async (user) => {
+  await user.liftExpiredSuspension();
+  return !user.isSuspended();
+};
+
+/**
+ * Send the standard "account suspended" response
+ * @param {Object} res - Express response
+ * @param {Object} user - Suspended user document
+ * @returns {Object} Express response
+ */
+const sendSuspendedResponse = (res, user) => {
+  const expiresAt = user.suspension?.expiresAt || null;
+  return res.status(403).json({
+    success: false,
+    error: 'Account Suspended',
+    code: 'ACCOUNT_SUSPENDED',
+    message: expiresAt
+      ? `Your account is suspended until ${expiresAt.toISOString()}.`
+      : 'Your account has been suspended. Please contact support.',
+    reason: user.suspension?.reason || null,
+    suspendedUntil: expiresAt
+  });
+};
+
+/**
+ * Suspend an account, end all of its sessions and drop its live sockets
+ * @param {Object} user - User document
+ * @param {Object} options - { reason, expiresAt, suspendedBy, io }
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const suspendAccount = async (user, { reason = null, expiresAt = null, suspendedBy = null, io = null } = {}) => {
+  user.isActive = false;
+  user.suspension = {
+    reason,
+    suspendedAt: new Date(),
+    expiresAt,
+    suspendedBy
+  };
+  await user.save();
+
+  const revokedIds = await revokeOtherSessions(user._id, null, 'account_suspended');
+  disconnectUser(io, user._id.toString());
+  return revokedIds.length;
+};
+
+/**
+ * Lift a suspension
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Saved user document
+ */
+const reactivateAccount = async (user) => {
+  user.isActive = true;
+  user.suspension = { reason: null, suspendedAt: null, expiresAt: null, suspendedBy: null };
+  return user.save();
+};
+
+module.exports = {
+  ensureActiveAccount,
+  sendSuspendedResponse,
+  suspendAccount,
+  reactivateAccount
+};
@@ -0,0 +1,24 @@
+/**
+ * Audit Log
+ * Records security events of user accounts. Writing the log must never break
+ * the request that triggered it, so failures are only reported to the console.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record a security event on a user's account
+ * @param {Object|null} req - Express request (source of IP and user agent)
+ * @param {string} action - Event type, e.g. "auth.login"
+ * @param {Object} [options] - { user: account concerned, actor: who acted (defaults to user), metadata }
+ * @returns {Promise<void>}
+ */
+const logSecurityEvent = async (req, action, { user = null, actor = user, metadata = {} } = {}) => {
+  try {
+    await AuditLog.record({ actor, target: user, action, req, metadata });
+  } catch (error) {
+    console.error(`Failed to write audit log entry "${action}":`, error.message);
+  }
+};
+
+module.exports = { logSecurityEvent };
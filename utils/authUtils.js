@@ -1,28 +1,83 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { DEFAULT_ROLE } = require('../config/roles');
+const { getPrivacySettings } = require('./profileVisibility');
+const { getAvatarUrls } = require('./avatarUrls');
 
 // JWT secret key (should be in environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'ccecf8308c32c0cf0680c6d741af1c651984ffc9ffd94672b45aa43e96349a95';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
-// Generate JWT token
-const generateJWTToken = (userId, userData) => {
+// Refresh tokens are opaque and persisted, so their lifetime is tracked in days
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Generate short-lived JWT access token (bound to a session when sessionId is given)
+const generateJWTToken = (userId, userData, sessionId = null) => {
   const payload = {
     userId: userId,
     email: userData.email,
-    fullname: userData.fullname
+    fullname: userData.fullname,
+    role: userData.role || DEFAULT_ROLE
   };
+
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
   
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
-// Verify JWT token
+// Generate opaque refresh token in the form "<sessionId>.<secret>"
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Split refresh token into its session id and secret parts
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId || '') || !secret) return null;
+  return { sessionId, secret };
+};
+
+// Hash token before persisting it (refresh tokens are never stored in plaintext)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Get refresh token expiry date from now
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Verify JWT access token (single-purpose tokens are never accepted as access tokens)
 const verifyJWTToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     throw new Error('Invalid token');
   }
+
+  if (decoded.purpose) {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+// Generate short-lived token that is only valid for one purpose (e.g. "mfa_pending")
+const generatePurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+};
+
+// Verify single-purpose token, returns null if invalid, expired or issued for another purpose
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
 };
 
 // Generate a random ID
@@ -53,6 +108,37 @@ const formatErrorResponse = (error, message = 'An error occurred') => {
   };
 };
 
+// Format user data for API response
+const formatUserResponse = (user) => {
+  return {
+    id: user._id.toString(),
+    fullname: user.fullname,
+    email: user.email,
+    pendingEmail: user.pendingEmail?.address || null,
+    phone: user.phone || null,
+    ...getAvatarUrls(user),
+    emailVerified: user.emailVerified || false,
+    phoneVerified: user.phoneVerified || false,
+    locale: user.locale,
+    displayName: user.displayName || null,
+    username: user.username || null,
+    bio: user.bio || null,
+    location: user.location || null,
+    statusText: user.statusText || null,
+    pronouns: user.pronouns || null,
+    timezone: user.timezone || null,
+    privacy: getPrivacySettings(user),
+    role: user.role || DEFAULT_ROLE,
+    hasPassword: !!user.password,
+    linkedAccounts: (user.linkedAccounts || []).map(account => ({
+      provider: account.provider,
+      email: account.email,
+      linkedAt: account.linkedAt
+    })),
+    isActive: user.isActive
+  };
+};
+
 // Format success response
 const formatSuccessResponse = (data, message = 'Success') => {
   return {
@@ -65,9 +151,16 @@ const formatSuccessResponse = (data, message = 'Success') => {
 module.exports = {
   generateJWTToken,
   verifyJWTToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
   generateId,
   isValidEmail,
   sanitizeInput,
   formatErrorResponse,
-  formatSuccessResponse
+  formatSuccessResponse,
+  formatUserResponse
 };
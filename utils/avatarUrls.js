@@ -0,0 +1,68 @@
+/**
+ * Avatar URLs
+ * Signed links to avatar files. Avatars are shown in <img> tags, which can't
+ * send a bearer token, so GET /auth/uploads/avatars/:filename checks an expiring
+ * HMAC signature instead. The expiry is rounded to `security.avatars.urlTtlDays`
+ * so the same file keeps the same URL for a while and browsers can cache it.
+ */
+
+const crypto = require('crypto');
+const { avatars } = require('../config/security');
+const { AVATAR_SIZES, getAvatarFilename } = require('../config/avatarStorage');
+const { getDefaultAvatar } = require('./defaultAvatars');
+
+const URL_TTL_SECONDS = avatars.urlTtlDays * 24 * 60 * 60;
+
+const sign = (filename, expires) => {
+  return crypto.createHmac('sha256', avatars.urlSecret).update(`${filename}:${expires}`).digest('base64url');
+};
+
+/**
+ * Signed URL of one avatar file
+ * @param {string} filename - File in uploads/avatars
+ * @param {number} [now] - Current time in ms
+ * @returns {string} Relative URL valid for one to two URL_TTL periods
+ */
+const signAvatarUrl = (filename, now = Date.now()) => {
+  const period = Math.floor(now / 1000 / URL_TTL_SECONDS);
+  const expires = (period + 2) * URL_TTL_SECONDS;
+  return `/auth/uploads/avatars/${encodeURIComponent(filename)}?expires=${expires}&sig=${sign(filename, expires)}`;
+};
+
+/**
+ * Check the signature of an avatar URL
+ * @param {string} filename - File from the URL
+ * @param {string} expires - expires query parameter (Unix seconds)
+ * @param {string} sig - sig query parameter
+ * @returns {number|null} Seconds the link stays valid, or null when invalid or expired
+ */
+const verifyAvatarUrl = (filename, expires, sig) => {
+  if (typeof expires !== 'string' || typeof sig !== 'string' || !/^\d+$/.test(expires)) return null;
+
+  const expected = Buffer.from(sign(filename, Number(expires)));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  const remaining = Number(expires) - Math.floor(Date.now() / 1000);
+  return remaining > 0 ? remaining : null;
+};
+
+/**
+ * URLs of a user's avatar for API responses; users without one get a generated avatar
+ * @param {Object} user - User with _id, avatar, fullname and displayName
+ * @returns {{avatar: string, avatarUrls: Object}} Largest size, and every size by width
+ */
+const getAvatarUrls = (user) => {
+  const avatar = user.avatar || getDefaultAvatar(user);
+  const avatarUrls = Object.fromEntries(AVATAR_SIZES.map(size => [
+    size,
+    signAvatarUrl(getAvatarFilename(avatar, size))
+  ]));
+  return { avatar: avatarUrls[AVATAR_SIZES[AVATAR_SIZES.length - 1]], avatarUrls };
+};
+
+module.exports = {
+  signAvatarUrl,
+  verifyAvatarUrl,
+  getAvatarUrls
+};
@@ -0,0 +1,151 @@
+/**
+ * Brute Force Protection
+ * Per-account and per-identifier failed-attempt tracking with exponential
+ * backoff, driven by `security.bruteForce` and `security.email.maxCodeAttempts`
+ */
+
+const FailedAttempt = require('../models/FailedAttempt');
+const { bruteForce, email: emailSecurity } = require('../config/security');
+const { notifyInBackground } = require('./notifications');
+const { logSecurityEvent } = require('./auditLog');
+
+// Number of failures tolerated before locking, per kind of secret being guessed
+const POLICIES = {
+  login: { freeRetries: bruteForce.freeRetries },
+  code: { freeRetries: emailSecurity.maxCodeAttempts }
+};
+
+/**
+ * Key tracking failures against one account
+ * @param {string} scope - What is being guessed, e.g. "login" or "code:password_reset"
+ * @param {string} userId - User id
+ * @returns {string} Attempt key
+ */
+const accountKey = (scope, userId) => `${scope}:account:${userId}`;
+
+/**
+ * Key tracking failures against one identifier (email/phone), even if no account exists
+ * @param {string} scope - What is being guessed
+ * @param {string} identifier - Normalized email or phone
+ * @returns {string} Attempt key
+ */
+const identifierKey = (scope, identifier) => `${scope}:identifier:${identifier}`;
+
+/**
+ * Compute lock duration after a number of failures
+ * @param {number} failures - Consecutive failures
+ * @param {number} freeRetries - Failures allowed without waiting
+ * @returns {number} Lock duration in ms (0 when not locked)
+ */
+const getLockDuration = (failures, freeRetries) => {
+  if (failures <= freeRetries) return 0;
+  const exponent = failures - freeRetries - 1;
+  return Math.min(bruteForce.minWait * 2 ** exponent, bruteForce.maxWait);
+};
+
+/**
+ * Build lock status from a lock expiry
+ * @param {Date|null} lockedUntil - Lock expiry
+ * @returns {{locked: boolean, lockedUntil: Date|null, retryAfter: number}}
+ */
+const toLockStatus = (lockedUntil) => {
+  if (!lockedUntil || lockedUntil.getTime() <= Date.now()) {
+    return { locked: false, lockedUntil: null, retryAfter: 0 };
+  }
+  return {
+    locked: true,
+    lockedUntil,
+    retryAfter: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+  };
+};
+
+/**
+ * Check whether any of the keys is currently locked
+ * @param {string[]} keys - Attempt keys
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null, retryAfter: number}>}
+ */
+const checkLock = async (keys) => {
+  const records = await FailedAttempt.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() }
+  }).select('lockedUntil');
+
+  if (!records.length) return toLockStatus(null);
+
+  const latest = Math.max(...records.map(record => record.lockedUntil.getTime()));
+  return toLockStatus(new Date(latest));
+};
+
+/**
+ * Record a failed attempt for every key and lock the ones over their limit.
+ * When `user` is given and its account key becomes locked for the first time
+ * in the tracking window, the owner is notified by email.
+ * @param {string[]} keys - Attempt keys
+ * @param {Object} [options] - { policy: 'login'|'code', user }
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null, retryAfter: number}>}
+ */
+const registerFailure = async (keys, { policy = 'login', user = null } = {}) => {
+  const { freeRetries } = POLICIES[policy];
+  const expiresAt = new Date(Date.now() + bruteForce.lifetime * 1000);
+  let lockedUntil = null;
+
+  for (const key of keys) {
+    const record = await FailedAttempt.increment(key, expiresAt);
+    const duration = getLockDuration(record.failures, freeRetries);
+    if (!duration) continue;
+
+    const keyLockedUntil = new Date(Date.now() + duration);
+    await FailedAttempt.updateOne({ _id: record._id }, { $set: { lockedUntil: keyLockedUntil } });
+
+    if (!lockedUntil || keyLockedUntil > lockedUntil) {
+      lockedUntil = keyLockedUntil;
+    }
+
+    // Only the first lock in a tracking window triggers a notice, not every retry
+    const isAccountKey = user && key.endsWith(`:account:${user._id}`);
+    if (isAccountKey && record.failures === freeRetries + 1) {
+      notifyInBackground('sendAccountLockedNotice', user.email, keyLockedUntil, user.locale);
+      await logSecurityEvent(null, 'auth.account_locked', { user, actor: null, metadata: { lockedUntil: keyLockedUntil } });
+    }
+  }
+
+  return toLockStatus(lockedUntil);
+};
+
+/**
+ * Forget failures after a successful attempt
+ * @param {string[]} keys - Attempt keys
+ * @returns {Promise<void>}
+ */
+const resetFailures = async (keys) => {
+  await FailedAttempt.deleteMany({ key: { $in: keys } });
+};
+
+/**
+ * Send the standard "temporarily locked" response
+ * @param {Object} res - Express response
+ * @param {{retryAfter: number, lockedUntil: Date}} lock - Lock status
+ * @returns {Object} Express response
+ */
+const sendLockedResponse = (res, lock) => {
+  const minutes = Math.ceil(lock.retryAfter / 60);
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Account Locked',
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: lock.retryAfter,
+    lockedUntil: lock.lockedUntil
+  });
+};
+
+module.exports = {
+  accountKey,
+  identifierKey,
+  getLockDuration,
+  checkLock,
+  registerFailure,
+  resetFailures,
+  sendLockedResponse
+};
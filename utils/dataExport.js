@@ -0,0 +1,471 @@
+/**
+ * Data Export
+ * Builds a downloadable archive of everything a user owns (profile, avatar,
+ * friends, friend requests, public messages, private conversations and audio
+ * attachments) as JSON files plus a human-readable HTML view. Archives are
+ * generated in the background, announced by email and socket event, and
+ * removed once their download link expires.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const PrivateMessage = require('../models/PrivateMessage');
+const Conversation = require('../models/Conversation');
+const FriendRequest = require('../models/FriendRequest');
+const { generatePurposeToken, verifyPurposeToken, formatUserResponse } = require('./authUtils');
+const { notifyInBackground } = require('./notifications');
+const { emitToUser } = require('../socket/handlers');
+const { escapeHtml } = require('../templates/email');
+const { getExportPath, deleteExportFile } = require('../config/exportStorage');
+const { uploadsDir: avatarsDir, getAvatarFilename } = require('../config/avatarStorage');
+const { uploadsDir: audioDir } = require('../config/audioStorage');
+const { dataExport } = require('../config/security');
+
+// Socket.IO event sent to the owner when their archive is ready or failed
+const DATA_EXPORT_EVENT = 'dataExport';
+
+// Shown instead of friends and participants whose account no longer exists
+const DELETED_USER_NAME = 'Deleted user';
+
+let cleanupTimer = null;
+
+/**
+ * Public summary of a user, or a placeholder if the account was deleted
+ * @param {Object|null} user - Populated user document
+ * @param {ObjectId} [fallbackId] - Id to show when the account is gone
+ * @returns {Object} { id, fullname }
+ */
+const formatContact = (user, fallbackId = null) => {
+  if (!user) return { id: fallbackId ? fallbackId.toString() : null, fullname: DELETED_USER_NAME };
+  return { id: user._id.toString(), fullname: user.fullname };
+};
+
+/**
+ * Path of an audio attachment inside the archive
+ * @param {Object} message - Message or PrivateMessage document
+ * @returns {string|null} Archive path, or null without attachment
+ */
+const audioEntry = (message) => {
+  if (message.messageType !== 'audio' || !message.audioFile?.filename) return null;
+  return `audio/${path.basename(message.audioFile.filename)}`;
+};
+
+/**
+ * Gather the user's data and the files to include in the archive
+ * @param {Object} user - User document
+ * @returns {Promise<{data: Object, files: Array<{source: string, name: string}>}>}
+ */
+const collectUserData = async (user) => {
+  const userId = user._id;
+  const files = [];
+  const addFile = (dir, filename, name) => {
+    const source = path.join(dir, path.basename(filename));
+    if (fs.existsSync(source) && !files.some(file => file.name === name)) {
+      files.push({ source, name });
+    }
+  };
+
+  const profile = {
+    ...formatUserResponse(user),
+    avatar: user.avatar ? `avatar/${path.basename(getAvatarFilename(user.avatar))}` : null,
+    avatarUrls: undefined, // signed links expire; the largest size is in the archive
+    createdAt: user.createdAt,
+    lastLogin: user.lastLogin,
+    twoFactorEnabled: user.hasTwoFactorEnabled(),
+    knownDevices: (user.knownDevices || []).map(device => ({
+      deviceName: device.deviceName,
+      ips: device.ips,
+      firstSeenAt: device.firstSeenAt,
+      lastSeenAt: device.lastSeenAt
+    }))
+  };
+  if (user.avatar) addFile(avatarsDir, getAvatarFilename(user.avatar), profile.avatar);
+
+  // Friends and friend requests (both directions)
+  const requests = await FriendRequest.find({ $or: [{ sender: userId }, { receiver: userId }] })
+    .populate('sender', 'fullname')
+    .populate('receiver', 'fullname')
+    .sort({ createdAt: -1 });
+
+  const friends = [];
+  const friendRequests = { sent: [], received: [] };
+  for (const friendRequest of requests) {
+    // populated() keeps the ids even when the other account is gone
+    const isSender = friendRequest.populated('sender').equals(userId);
+    const other = isSender
+      ? formatContact(friendRequest.receiver, friendRequest.populated('receiver'))
+      : formatContact(friendRequest.sender, friendRequest.populated('sender'));
+
+    if (friendRequest.status === 'accepted') {
+      friends.push({ ...other, since: friendRequest.updatedAt });
+    } else {
+      friendRequests[isSender ? 'sent' : 'received'].push({
+        user: other,
+        status: friendRequest.status,
+        createdAt: friendRequest.createdAt,
+        updatedAt: friendRequest.updatedAt
+      });
+    }
+  }
+
+  // Public messages sent by the user
+  const messages = (await Message.find({ sender: userId }).sort({ timestamp: 1 })).map(message => {
+    const audio = audioEntry(message);
+    if (audio) addFile(audioDir, message.audioFile.filename, audio);
+    return {
+      id: message._id.toString(),
+      messageType: message.messageType,
+      content: message.content || null,
+      audio,
+      sentAt: message.timestamp
+    };
+  });
+
+  // Private conversations, both participants' messages
+  const userConversations = await Conversation.find({ participants: userId })
+    .populate('participants', 'fullname')
+    .sort({ lastMessageAt: -1 });
+
+  const conversations = [];
+  for (const conversation of userConversations) {
+    const participantIds = conversation.populated('participants') || [];
+    const otherId = participantIds.find(id => !id.equals(userId));
+    const otherUser = conversation.participants.find(participant => participant._id.equals(otherId));
+    const names = new Map(conversation.participants.map(participant => [participant._id.toString(), participant.fullname]));
+
+    const conversationMessages = await PrivateMessage.find({ conversation: conversation._id }).sort({ timestamp: 1 });
+    conversations.push({
+      id: conversation._id.toString(),
+      with: formatContact(otherUser, otherId),
+      messages: conversationMessages.map(message => {
+        const audio = audioEntry(message);
+        if (audio) addFile(audioDir, message.audioFile.filename, audio);
+        return {
+          id: message._id.toString(),
+          sender: {
+            id: message.sender.toString(),
+            fullname: names.get(message.sender.toString()) || DELETED_USER_NAME
+          },
+          messageType: message.messageType,
+          content: message.content || null,
+          audio,
+          sentAt: message.timestamp
+        };
+      })
+    });
+  }
+
+  return {
+    data: {
+      exportedAt: new Date(),
+      profile,
+      friends,
+      friendRequests,
+      messages,
+      conversations
+    },
+    files
+  };
+};
+
+/**
+ * Render the collected data as a standalone HTML page (relative links to the
+ * avatar and audio files in the archive)
+ * @param {Object} data - Output of collectUserData
+ * @returns {string} HTML document
+ */
+const renderHtmlView = (data) => {
+  const { profile, friends, friendRequests, messages, conversations } = data;
+  const date = (value) => (value ? escapeHtml(new Date(value).toISOString()) : '');
+  const body = (message) => (message.audio
+    ? `<audio controls src="${escapeHtml(message.audio)}"></audio>`
+    : escapeHtml(message.content));
+  const table = (headers, rows) => (rows.length
+    ? `<table>
+      <tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+      ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n      ')}
+    </table>`
+    : '<p class="empty">None</p>');
+
+  const profileRows = [
+    ['Name', escapeHtml(profile.fullname)],
+    ['Email', escapeHtml(profile.email)],
+    ['Phone', escapeHtml(profile.phone)],
+    ['Language', escapeHtml(profile.locale)],
+    ['Member since', date(profile.createdAt)],
+    ['Last login', date(profile.lastLogin)],
+    ['Two-factor authentication', profile.twoFactorEnabled ? 'Enabled' : 'Disabled'],
+    ['Linked accounts', escapeHtml(profile.linkedAccounts.map(account => account.provider).join(', '))]
+  ];
+  const requestRows = (list) => list.map(item => [escapeHtml(item.user.fullname), escapeHtml(item.status), date(item.createdAt)]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Your data - ${escapeHtml(profile.fullname)}</title>
+    <style>
+      body { font-family: Arial, Tahoma, sans-serif; max-width: 900px; margin: 0 auto; padding: 16px; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+      th, td { border: 1px solid #E5E7EB; padding: 6px 10px; text-align: start; vertical-align: top; }
+      .empty { color: #6B7280; }
+    </style>
+  </head>
+  <body>
+    <h1>Your data</h1>
+    <p>Exported on ${date(data.exportedAt)}. The same data is available as JSON files in this archive.</p>
+
+    <h2>Profile</h2>
+    ${profile.avatar ? `<img src="${escapeHtml(profile.avatar)}" alt="Avatar" width="96">` : ''}
+    ${table(['Field', 'Value'], profileRows)}
+
+    <h2>Known devices</h2>
+    ${table(['Device', 'IP addresses', 'First seen', 'Last seen'], profile.knownDevices.map(device => [
+      escapeHtml(device.deviceName), escapeHtml(device.ips.join(', ')), date(device.firstSeenAt), date(device.lastSeenAt)
+    ]))}
+
+    <h2>Friends (${friends.length})</h2>
+    ${table(['Name', 'Friends since'], friends.map(friend => [escapeHtml(friend.fullname), date(friend.since)]))}
+
+    <h2>Friend requests sent</h2>
+    ${table(['To', 'Status', 'Sent'], requestRows(friendRequests.sent))}
+
+    <h2>Friend requests received</h2>
+    ${table(['From', 'Status', 'Received'], requestRows(friendRequests.received))}
+
+    <h2>Public messages (${messages.length})</h2>
+    ${table(['Sent', 'Message'], messages.map(message => [date(message.sentAt), body(message)]))}
+
+    <h2>Private conversations (${conversations.length})</h2>
+    ${conversations.map(conversation => `<h3>With ${escapeHtml(conversation.with.fullname)}</h3>
+    ${table(['Sent', 'From', 'Message'], conversation.messages.map(message => [
+      date(message.sentAt), escapeHtml(message.sender.fullname), body(message)
+    ]))}`).join('\n    ')}
+  </body>
+</html>`;
+};
+
+/**
+ * Write the archive to the exports directory
+ * @param {string} filename - Archive file name
+ * @param {Object} data - Output of collectUserData
+ * @param {Array<{source: string, name: string}>} files - Files to copy into the archive
+ * @returns {Promise<number>} Archive size in bytes
+ */
+const writeArchive = (filename, data, files) => new Promise((resolve, reject) => {
+  const filePath = getExportPath(filename);
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  output.on('close', () => resolve(archive.pointer()));
+  output.on('error', reject);
+  archive.on('error', reject);
+  archive.pipe(output);
+
+  const json = (value) => JSON.stringify(value, null, 2);
+  archive.append(renderHtmlView(data), { name: 'index.html' });
+  archive.append(json(data.profile), { name: 'profile.json' });
+  archive.append(json(data.friends), { name: 'friends.json' });
+  archive.append(json(data.friendRequests), { name: 'friend-requests.json' });
+  archive.append(json(data.messages), { name: 'messages.json' });
+  archive.append(json(data.conversations), { name: 'conversations.json' });
+  for (const file of files) {
+    archive.file(file.source, { name: file.name });
+  }
+
+  archive.finalize();
+});
+
+/**
+ * Build a download link for a ready export; the token expires with the archive
+ * @param {Object} exportDoc - DataExport document
+ * @returns {string} Absolute download URL
+ */
+const createDownloadLink = (exportDoc) => {
+  const expiresIn = Math.max(1, Math.floor((exportDoc.expiresAt.getTime() - Date.now()) / 1000));
+  const token = generatePurposeToken('data_export', {
+    exportId: exportDoc._id.toString(),
+    userId: exportDoc.user.toString()
+  }, expiresIn);
+  return `${dataExport.baseUrl}/auth/export/${exportDoc._id}/download?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Verify a download token against the export it was issued for
+ * @param {string} token - Token from the download link
+ * @param {string} exportId - Export id from the URL
+ * @returns {Promise<Object|null>} Downloadable DataExport document, or null
+ */
+const verifyDownloadToken = async (token, exportId) => {
+  const payload = verifyPurposeToken(token, 'data_export');
+  if (!payload || payload.exportId !== exportId) return null;
+
+  const exportDoc = await DataExport.findById(exportId);
+  if (!exportDoc || !exportDoc.user.equals(payload.userId) || !exportDoc.isDownloadable()) return null;
+  return exportDoc;
+};
+
+/**
+ * Build the archive of an export request and notify the owner
+ * @param {string|ObjectId} exportId - DataExport id
+ * @param {Object} [options] - { io }
+ * @returns {Promise<Object|null>} Updated DataExport document, or null when it was not ours to build or finish
+ */
+const generateDataExport = async (exportId, { io = null } = {}) => {
+  const exportDoc = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+  if (!exportDoc) return null;
+
+  // Touch the export while building so the cleaner doesn't take it for an interrupted one
+  const heartbeat = setInterval(() => {
+    DataExport.updateOne({ _id: exportDoc._id, status: 'processing' }, { $set: { updatedAt: new Date() } })
+      .catch(error => console.error(`Data export ${exportDoc._id} heartbeat failed:`, error.message));
+  }, dataExport.staleAfter / 3);
+  heartbeat.unref();
+
+  const expiresAt = () => new Date(Date.now() + dataExport.expiryHours * 60 * 60 * 1000);
+  // Only finish an export that is still ours; one marked failed in the meantime stays failed
+  const finish = (update) => DataExport.findOneAndUpdate(
+    { _id: exportDoc._id, status: 'processing' },
+    { $set: update },
+    { new: true }
+  );
+
+  const filename = `${exportDoc._id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+  let user = null;
+  let ready = null;
+  try {
+    user = await User.findById(exportDoc.user);
+    if (!user) throw new Error('Account no longer exists');
+
+    const { data, files } = await collectUserData(user);
+    const size = await writeArchive(filename, data, files);
+    ready = await finish({ status: 'ready', filename, size, readyAt: new Date(), expiresAt: expiresAt() });
+  } catch (error) {
+    console.error(`Data export ${exportDoc._id} failed:`, error.message);
+    deleteExportFile(filename);
+    const failed = await finish({ status: 'failed', error: error.message, filename: null, expiresAt: expiresAt() });
+    if (failed) {
+      emitToUser(io, exportDoc.user, DATA_EXPORT_EVENT, { id: exportDoc._id.toString(), status: 'failed' });
+    }
+    return failed;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  if (!ready) {
+    deleteExportFile(filename);
+    return null;
+  }
+
+  const downloadLink = createDownloadLink(ready);
+  notifyInBackground('sendDataExportReady', user, { downloadLink, expiresAt: ready.expiresAt });
+  emitToUser(io, user._id, DATA_EXPORT_EVENT, {
+    id: ready._id.toString(),
+    status: 'ready',
+    expiresAt: ready.expiresAt
+  });
+  return ready;
+};
+
+/**
+ * Queue an export for a user and build it without blocking the request
+ * @param {Object} user - User document
+ * @param {Object} [options] - { io }
+ * @returns {Promise<Object>} Pending DataExport document
+ */
+const requestDataExport = async (user, { io = null } = {}) => {
+  const exportDoc = await DataExport.create({ user: user._id });
+
+  setImmediate(() => {
+    generateDataExport(exportDoc._id, { io })
+      .catch(error => console.error(`Data export ${exportDoc._id} failed:`, error.message));
+  });
+
+  return exportDoc;
+};
+
+/**
+ * Mark exports stuck in pending or processing as failed, so a crash or restart
+ * during a build doesn't block their owner from requesting a new one. Running
+ * builds keep `updatedAt` fresh, so only abandoned exports are caught.
+ * @returns {Promise<number>} Number of failed exports
+ */
+const failStaleExports = async () => {
+  const result = await DataExport.updateMany(
+    {
+      status: { $in: ['pending', 'processing'] },
+      updatedAt: { $lte: new Date(Date.now() - dataExport.staleAfter) }
+    },
+    {
+      $set: {
+        status: 'failed',
+        error: 'Export was interrupted',
+        expiresAt: new Date(Date.now() + dataExport.expiryHours * 60 * 60 * 1000)
+      }
+    }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Remove every export whose download link has expired, with its archive
+ * @returns {Promise<number>} Number of removed exports
+ */
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+  for (const exportDoc of expired) {
+    deleteExportFile(exportDoc.filename);
+  }
+  await DataExport.deleteMany({ _id: { $in: expired.map(exportDoc => exportDoc._id) } });
+  return expired.length;
+};
+
+/**
+ * Run the cleanup now and then every `security.dataExport.cleanupInterval`,
+ * failing interrupted exports first so they expire like any other
+ */
+const startExportCleaner = () => {
+  if (cleanupTimer) return;
+
+  const run = () => failStaleExports()
+    .then(count => count && console.log(`Marked ${count} interrupted data export(s) as failed`))
+    .then(cleanupExpiredExports)
+    .then(count => count && console.log(`Removed ${count} expired data export(s)`))
+    .catch(error => console.error('Data export cleanup failed:', error.message));
+
+  run();
+  cleanupTimer = setInterval(run, dataExport.cleanupInterval);
+  // Never keep the process alive just for the cleanup
+  cleanupTimer.unref();
+};
+
+/**
+ * Stop the background cleanup
+ */
+const stopExportCleaner = () => {
+  clearInterval(cleanupTimer);
+  cleanupTimer = null;
+};
+
+module.exports = {
+  DATA_EXPORT_EVENT,
+  collectUserData,
+  renderHtmlView,
+  createDownloadLink,
+  verifyDownloadToken,
+  generateDataExport,
+  requestDataExport,
+  failStaleExports,
+  cleanupExpiredExports,
+  startExportCleaner,
+  stopExportCleaner
+};
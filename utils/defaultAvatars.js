@@ -0,0 +1,120 @@
+/**
+ * Default Avatars
+ * Images for users who haven't uploaded an avatar: their initials on a colored
+ * background, or an identicon. Both only depend on the user's id and name, so a
+ * user always gets the same image. The file name carries everything needed to
+ * draw it, so these avatars are rendered on request instead of being stored.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { AVATAR_SIZES, DEFAULT_AVATAR_STYLE } = require('../config/avatarStorage');
+
+// Backgrounds readable under white text
+const PALETTE = [
+  '#e53935', '#d81b60', '#8e24aa', '#5e35b1', '#3949ab',
+  '#1e88e5', '#00897b', '#43a047', '#f4511e', '#6d4c41'
+];
+
+// initials-<userId>-<initials as UTF-8 hex>-<size>.webp or identicon-<userId>-<size>.webp
+const FILENAME_PATTERN = /^(?:initials-([0-9a-f]{24})-((?:[0-9a-f]{2}){1,16})|identicon-([0-9a-f]{24}))-(\d+)\.webp$/;
+
+const IDENTICON_GRID = 5;
+
+const hashUserId = (userId) => crypto.createHash('sha256').update(String(userId)).digest();
+
+/**
+ * Initials shown for a name: first letter of the first and last words
+ * @param {string} name - Display name or full name
+ * @returns {string} Up to two uppercase characters, empty when the name has no letters or digits
+ */
+const getInitials = (name) => {
+  const firstCharacters = String(name || '')
+    .trim()
+    .split(/\s+/)
+    .map(word => [...word].find(character => /[\p{L}\p{N}]/u.test(character)))
+    .filter(Boolean);
+  if (firstCharacters.length === 0) return '';
+
+  const picked = firstCharacters.length > 1
+    ? [firstCharacters[0], firstCharacters[firstCharacters.length - 1]]
+    : [firstCharacters[0]];
+  return picked.join('').toLocaleUpperCase();
+};
+
+/**
+ * Avatar name (as stored in User.avatar, without size) of the generated avatar of a user
+ * @param {Object} user - User with _id, fullname and displayName
+ * @returns {string}
+ */
+const getDefaultAvatar = (user) => {
+  const userId = user._id.toString();
+  const initials = DEFAULT_AVATAR_STYLE === 'initials' ? getInitials(user.displayName || user.fullname) : '';
+  if (!initials) return `identicon-${userId}`;
+  return `initials-${userId}-${Buffer.from(initials).toString('hex')}`;
+};
+
+/**
+ * Read a generated avatar file name
+ * @param {string} filename - File name from the URL
+ * @returns {{userId: string, initials: string|null, size: number}|null} null when not a generated avatar
+ */
+const parseDefaultAvatarFilename = (filename) => {
+  const match = FILENAME_PATTERN.exec(filename);
+  if (!match) return null;
+
+  const size = Number(match[4]);
+  if (!AVATAR_SIZES.includes(size)) return null;
+
+  return match[1]
+    ? { userId: match[1], initials: Buffer.from(match[2], 'hex').toString('utf8'), size }
+    : { userId: match[3], initials: null, size };
+};
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, character => `&#${character.charCodeAt(0)};`);
+
+const initialsSvg = (hash, initials, size) => `
+<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">
+  <rect width="100" height="100" fill="${PALETTE[hash[0] % PALETTE.length]}"/>
+  <text x="50" y="50" dy="0.35em" text-anchor="middle" fill="#ffffff"
+    font-family="Helvetica, Arial, sans-serif" font-size="${initials.length > 1 ? 40 : 48}" font-weight="600">${escapeXml(initials)}</text>
+</svg>`;
+
+// Symmetric 5x5 grid: the left three columns come from the hash and are mirrored
+const identiconSvg = (hash, size) => {
+  const half = Math.ceil(IDENTICON_GRID / 2);
+  let rects = '';
+  for (let row = 0; row < IDENTICON_GRID; row++) {
+    for (let column = 0; column < half; column++) {
+      if (hash[1 + row * half + column] % 2 === 0) continue;
+      const mirror = IDENTICON_GRID - 1 - column;
+      for (const x of mirror === column ? [column] : [column, mirror]) {
+        rects += `<rect x="${x}" y="${row}" width="1" height="1"/>`;
+      }
+    }
+  }
+
+  return `
+<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="-0.5 -0.5 6 6" shape-rendering="crispEdges">
+  <rect x="-0.5" y="-0.5" width="6" height="6" fill="#f0f0f0"/>
+  <g fill="${PALETTE[hash[0] % PALETTE.length]}">${rects}</g>
+</svg>`;
+};
+
+/**
+ * Draw a generated avatar
+ * @param {Object} avatar - Result of parseDefaultAvatarFilename
+ * @returns {Promise<Buffer>} WebP image
+ */
+const renderDefaultAvatar = ({ userId, initials, size }) => {
+  const hash = hashUserId(userId);
+  const svg = initials ? initialsSvg(hash, initials, size) : identiconSvg(hash, size);
+  return sharp(Buffer.from(svg)).webp({ quality: 90 }).toBuffer();
+};
+
+module.exports = {
+  getInitials,
+  getDefaultAvatar,
+  parseDefaultAvatarFilename,
+  renderDefaultAvatar
+};
@@ -0,0 +1,118 @@
+/**
+ * Email Change
+ * Two-step change of the account email: a code is sent to the new address and
+ * the email is only swapped once it is verified. The previous address is then
+ * told about the change, with a link to undo it and lock the account down.
+ */
+
+const User = require('../models/User');
+const VerificationCode = require('../models/VerificationCode');
+const { isValidEmail, generatePurposeToken, verifyPurposeToken } = require('./authUtils');
+const { sendVerificationCode } = require('./emailService');
+const { notifyInBackground } = require('./notifications');
+const { emailChange } = require('../config/security');
+
+/**
+ * Check that an address can become the account's new email
+ * @param {Object} user - User document
+ * @param {string} address - Normalized new address
+ * @returns {Promise<string|null>} Why the address can't be used, or null
+ */
+const checkNewEmail = async (user, address) => {
+  if (!address || !isValidEmail(address)) {
+    return 'Please enter a valid email address';
+  }
+  if (address === user.email) {
+    return 'This is already your email address';
+  }
+  if (await User.exists({ email: address, _id: { $ne: user._id } })) {
+    return 'An account with this email already exists';
+  }
+  return null;
+};
+
+/**
+ * Send a code to the new address and remember it as pending (the current email stays in use)
+ * @param {Object} user - User document
+ * @param {string} address - Normalized new address, checked with checkNewEmail
+ * @returns {Promise<Object>} Saved user document
+ * @throws {Error} RESEND_COOLDOWN when a code was sent to this address moments ago
+ */
+const startEmailChange = async (user, address) => {
+  // A previous pending address must not be confirmed with an old code
+  if (user.pendingEmail?.address && user.pendingEmail.address !== address) {
+    await VerificationCode.invalidate(user.pendingEmail.address, 'email_change');
+  }
+
+  await sendVerificationCode(address, VerificationCode.generateCode(), 'email_change', user.locale);
+  user.pendingEmail = { address, requestedAt: new Date() };
+  return user.save();
+};
+
+/**
+ * Forget the pending address and its code
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Saved user document
+ */
+const cancelEmailChange = async (user) => {
+  if (user.pendingEmail?.address) {
+    await VerificationCode.invalidate(user.pendingEmail.address, 'email_change');
+  }
+  user.pendingEmail = { address: null, requestedAt: null };
+  return user.save();
+};
+
+/**
+ * Swap the email for the verified pending address and send the undo link to the previous one
+ * @param {Object} user - User document with a verified pending address
+ * @returns {Promise<string>} The previous email
+ */
+const completeEmailChange = async (user) => {
+  const previousEmail = user.email;
+  const newEmail = user.pendingEmail.address;
+
+  user.email = newEmail;
+  user.emailVerified = true;
+  user.pendingEmail = { address: null, requestedAt: null };
+  await user.save();
+
+  const undoToken = generatePurposeToken('email_change_undo', {
+    userId: user._id.toString(),
+    previousEmail,
+    newEmail
+  }, emailChange.undoLinkExpiresIn);
+
+  notifyInBackground('sendEmailChangedNotice', {
+    email: previousEmail,
+    fullname: user.fullname,
+    locale: user.locale
+  }, {
+    newEmail,
+    undoLink: `${emailChange.undoUrl}?token=${encodeURIComponent(undoToken)}`
+  });
+
+  return previousEmail;
+};
+
+/**
+ * Verify an undo token. It only works while the account still uses the email it was issued for.
+ * @param {string} token - Token from the undo link
+ * @returns {Promise<{user: Object, previousEmail: string}|null>} Account and address to restore, or null
+ */
+const verifyUndoToken = async (token) => {
+  const payload = verifyPurposeToken(token, 'email_change_undo');
+  if (!payload) return null;
+
+  const user = await User.findById(payload.userId);
+  if (!user || user.email !== payload.newEmail) return null;
+
+  return { user, previousEmail: payload.previousEmail };
+};
+
+module.exports = {
+  checkNewEmail,
+  startEmailChange,
+  cancelEmailChange,
+  completeEmailChange,
+  verifyUndoToken
+};
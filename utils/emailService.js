@@ -1,102 +1,41 @@
-const nodemailer = require('nodemailer');
 const VerificationCode = require('../models/VerificationCode');
+const { sendMail } = require('./mailTransport');
+const { renderEmail, formatDuration, formatDate } = require('../templates/email');
+const { email: emailSecurity } = require('../config/security');
 
-// Create email transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD
-  }
-});
-
-// Verify email configuration
-transporter.verify((error, success) => {
-  if (error) {
-    console.log('Email service error:', error);
-  } else {
-    console.log('Email service is ready to send messages');
-  }
-});
+// Code types with a dedicated template, anything else uses the generic one
+const CODE_TEMPLATES = {
+  password_reset: 'password_reset',
+  email_verification: 'email_verification',
+  email_change: 'email_change'
+};
+
+/**
+ * Render a template and send it with its plain-text alternative
+ */
+const sendTemplate = async (to, template, options) => {
+  const { subject, html, text } = renderEmail(template, options);
+  await sendMail({ to, subject, html, text });
+  return true;
+};
 
 /**
  * Send verification code to email
  */
-const sendVerificationCode = async (email, code, type = 'email_verification') => {
+const sendVerificationCode = async (email, code, type = 'email_verification', locale) => {
+  // Enforce resend cooldown before anything is sent
+  await VerificationCode.assertResendAllowed(email, type);
+
   try {
-    let subject;
-    if (type === 'password_reset') {
-      subject = 'Password Reset - ElProject';
-    } else if (type === 'email_verification') {
-      subject = 'Email Verification - ElProject';
-    } else {
-      subject = 'Your ElProject Verification Code';
-    }
-
-    let message;
-    if (type === 'password_reset') {
-      message = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4F46E5;">Password Reset - ElProject</h2>
-          <p>Hi there,</p>
-          <p>You've requested to reset your password. Please use the verification code below:</p>
-          <div style="background-color: #F3F4F6; padding: 20px; text-align: center; margin: 20px 0;">
-            <h1 style="color: #4F46E5; font-size: 32px; letter-spacing: 5px; margin: 0;">${code}</h1>
-          </div>
-          <p>This code will expire in 10 minutes.</p>
-          <p>If you didn't request a password reset, please ignore this email and your password will remain unchanged.</p>
-          <p>Best regards,<br/>ElProject Team</p>
-        </div>
-      `;
-    } else if (type === 'email_verification') {
-      message = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4F46E5;">Email Verification - ElProject</h2>
-          <p>Hi there,</p>
-          <p>Thank you for signing up! Please verify your email address using the code below:</p>
-          <div style="background-color: #F3F4F6; padding: 20px; text-align: center; margin: 20px 0;">
-            <h1 style="color: #4F46E5; font-size: 32px; letter-spacing: 5px; margin: 0;">${code}</h1>
-          </div>
-          <p>This code will expire in 10 minutes.</p>
-          <p>If you didn't create an account, please ignore this email.</p>
-          <p>Best regards,<br/>ElProject Team</p>
-        </div>
-      `;
-    } else {
-      message = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4F46E5;">ElProject - Verification Code</h2>
-          <p>Hi there,</p>
-          <p>Please use the verification code below:</p>
-          <div style="background-color: #F3F4F6; padding: 20px; text-align: center; margin: 20px 0;">
-            <h1 style="color: #4F46E5; font-size: 32px; letter-spacing: 5px; margin: 0;">${code}</h1>
-          </div>
-          <p>This code will expire in 10 minutes.</p>
-          <p>If you didn't request this code, please ignore this email.</p>
-          <p>Best regards,<br/>ElProject Team</p>
-        </div>
-      `;
-    }
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: subject,
-      html: message
-    };
-
-    await transporter.sendMail(mailOptions);
-    
-    // Save verification code to database
-    const verificationCode = new VerificationCode({
-      email: email.toLowerCase(),
+    await sendTemplate(email, CODE_TEMPLATES[type] || 'verification_code', {
+      locale,
       code,
-      type,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+      expiresIn: formatDuration(emailSecurity.verificationCodeExpiry, locale)
     });
 
-    await verificationCode.save();
-    
+    // Save hashed code to database (replaces any older code of this type)
+    await VerificationCode.createCode(email, code, type);
+
     return true;
   } catch (error) {
     console.error('Error sending verification email:', error);
@@ -104,6 +43,165 @@ const sendVerificationCode = async (email, code, type = 'email_verification') =>
   }
 };
 
+/**
+ * Send a passwordless sign-in link with its code as fallback
+ */
+const sendMagicLink = async (email, code, link, locale) => {
+  await VerificationCode.assertResendAllowed(email, 'magic_link');
+
+  try {
+    await sendTemplate(email, 'magic_link', {
+      locale,
+      code,
+      link,
+      expiresIn: formatDuration(emailSecurity.verificationCodeExpiry, locale)
+    });
+
+    // The link carries the same code, so storing it makes both single-use
+    await VerificationCode.createCode(email, code, 'magic_link');
+
+    return true;
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify account owner that sign-in was temporarily locked after failed attempts
+ */
+const sendAccountLockedNotice = async (email, lockedUntil, locale) => {
+  try {
+    return await sendTemplate(email, 'account_locked', {
+      locale,
+      lockedUntil: formatDate(lockedUntil, locale)
+    });
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Alert the account owner about a sign-in from a new device or IP
+ */
+const sendNewLoginAlert = async (user, { deviceName, ip, time = new Date(), reportLink } = {}) => {
+  try {
+    return await sendTemplate(user.email, 'new_login', {
+      locale: user.locale,
+      recipientName: user.fullname,
+      device: deviceName || '-',
+      ip: ip || '-',
+      time: formatDate(time, user.locale),
+      reportLink
+    });
+  } catch (error) {
+    console.error('Error sending new login email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell the account owner their password was changed or reset
+ */
+const sendPasswordChangedNotice = async (user, { deviceName, ip, time = new Date(), reportLink } = {}) => {
+  try {
+    return await sendTemplate(user.email, 'password_changed', {
+      locale: user.locale,
+      recipientName: user.fullname,
+      device: deviceName || '-',
+      ip: ip || '-',
+      time: formatDate(time, user.locale),
+      reportLink
+    });
+  } catch (error) {
+    console.error('Error sending password changed email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell the previous address of an account that its email was changed, with an undo link
+ */
+const sendEmailChangedNotice = async (user, { newEmail, time = new Date(), undoLink } = {}) => {
+  try {
+    return await sendTemplate(user.email, 'email_changed', {
+      locale: user.locale,
+      recipientName: user.fullname,
+      newEmail,
+      time: formatDate(time, user.locale),
+      undoLink
+    });
+  } catch (error) {
+    console.error('Error sending email changed notice:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell a user someone sent them a friend request
+ */
+const sendFriendRequestNotice = async (recipient, sender) => {
+  try {
+    return await sendTemplate(recipient.email, 'friend_request', {
+      locale: recipient.locale,
+      recipientName: recipient.fullname,
+      senderName: sender.fullname
+    });
+  } catch (error) {
+    console.error('Error sending friend request email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm to a user that their account was deleted
+ */
+const sendAccountDeletedNotice = async (user) => {
+  try {
+    return await sendTemplate(user.email, 'account_deleted', {
+      locale: user.locale,
+      recipientName: user.fullname
+    });
+  } catch (error) {
+    console.error('Error sending account deleted email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell a user their account will be deleted and until when it can be restored
+ */
+const sendAccountDeletionScheduledNotice = async (user, scheduledFor) => {
+  try {
+    return await sendTemplate(user.email, 'account_deletion_scheduled', {
+      locale: user.locale,
+      recipientName: user.fullname,
+      scheduledFor: formatDate(scheduledFor, user.locale)
+    });
+  } catch (error) {
+    console.error('Error sending account deletion scheduled email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send the link to download a personal data export
+ */
+const sendDataExportReady = async (user, { downloadLink, expiresAt }) => {
+  try {
+    return await sendTemplate(user.email, 'data_export_ready', {
+      locale: user.locale,
+      recipientName: user.fullname,
+      downloadLink,
+      expiresAt: formatDate(expiresAt, user.locale)
+    });
+  } catch (error) {
+    console.error('Error sending data export email:', error);
+    throw error;
+  }
+};
+
 /**
  * Verify code from database and delete it after successful verification
  */
@@ -113,6 +211,14 @@ const verifyCode = async (email, code, type, deleteAfterVerify = true) => {
 
 module.exports = {
   sendVerificationCode,
+  sendMagicLink,
+  sendAccountLockedNotice,
+  sendNewLoginAlert,
+  sendPasswordChangedNotice,
+  sendEmailChangedNotice,
+  sendFriendRequestNotice,
+  sendAccountDeletionScheduledNotice,
+  sendAccountDeletedNotice,
+  sendDataExportReady,
   verifyCode
 };
-
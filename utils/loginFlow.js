@@ -0,0 +1,88 @@
+/**
+ * Login Flow
+ * Shared last steps of every login (password, magic link, social login, second factor)
+ */
+
+const { formatUserResponse, generatePurposeToken } = require('./authUtils');
+const { issueSession } = require('./sessionService');
+const { resetFailures } = require('./bruteForce');
+const { logSecurityEvent } = require('./auditLog');
+const { rememberDevice, alertNewLogin } = require('./securityAlerts');
+const { sendPendingDeletionResponse } = require('./accountDeletion');
+
+// Lifetime of the token that bridges the first factor and the second factor
+const MFA_PENDING_TOKEN_EXPIRES_IN = '5m';
+
+/**
+ * Finish a login once the first factor succeeded: ask for the second factor
+ * if enabled, otherwise start a session and respond with the token pair
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user document
+ * @param {string[]} [attemptKeys] - Brute force keys to reset on success
+ * @param {Object} [loginDetails] - How the user signed in, for the audit log (e.g. { method: 'password' })
+ * @returns {Promise<Object>} Express response
+ */
+const completeLogin = async (req, res, user, attemptKeys = [], loginDetails = { method: 'password' }) => {
+  // Second login step: no session until the TOTP/recovery code is verified
+  if (user.hasTwoFactorEnabled()) {
+    const mfaToken = generatePurposeToken('mfa_pending', {
+      userId: user._id.toString(),
+      login: loginDetails
+    }, MFA_PENDING_TOKEN_EXPIRES_IN);
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        mfaToken
+      }
+    });
+  }
+
+  // Failures are only forgotten once the whole login succeeded
+  await resetFailures(attemptKeys);
+
+  return startSession(req, res, user, loginDetails);
+};
+
+/**
+ * Last step of a login once every factor succeeded: start a session and respond
+ * with the token pair, unless the account is waiting for its deletion
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user document
+ * @param {Object} loginDetails - How the user signed in, for the audit log
+ * @param {Object} [extraData] - Additional response data
+ * @returns {Promise<Object>} Express response
+ */
+const startSession = async (req, res, user, loginDetails, extraData = {}) => {
+  if (user.isPendingDeletion()) {
+    return sendPendingDeletionResponse(res, user, loginDetails);
+  }
+
+  // Update last login timestamp (also saves the remembered device)
+  const isNewDevice = rememberDevice(user, req);
+  await user.updateLastLogin();
+
+  // Start session (access + refresh token pair)
+  const { token, refreshToken, sessionId } = await issueSession(user, req);
+  if (isNewDevice) {
+    alertNewLogin(req, user, sessionId);
+  }
+  await logSecurityEvent(req, 'auth.login', { user, metadata: { ...loginDetails, sessionId, newDevice: isNewDevice } });
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: formatUserResponse(user),
+      token,
+      refreshToken,
+      ...extraData
+    }
+  });
+};
+
+module.exports = { completeLogin, startSession };
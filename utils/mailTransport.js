@@ -0,0 +1,191 @@
+/**
+ * Mail Transport
+ * Creates the nodemailer transport selected by EMAIL_TRANSPORT and keeps a
+ * local outbox for the development/test transports.
+ *
+ * Transports:
+ *   - smtp:   generic SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+ *   - gmail:  Gmail with an app password (EMAIL_USER, EMAIL_PASSWORD)
+ *   - file:   writes every message as JSON into EMAIL_OUTBOX_DIR
+ *   - memory: keeps messages in process memory (default under NODE_ENV=test)
+ */
+
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const TRANSPORTS = ['smtp', 'gmail', 'file', 'memory'];
+
+// Messages kept by the memory transport, oldest are dropped first
+const MAX_OUTBOX_SIZE = 200;
+
+const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'));
+const memoryOutbox = [];
+
+let transporter = null;
+
+/**
+ * Get the configured transport name
+ * @returns {string} One of TRANSPORTS
+ */
+const getTransportName = () => {
+  const name = (process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'gmail')).toLowerCase();
+  if (!TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+  return name;
+};
+
+/**
+ * Check whether messages are captured locally instead of being delivered
+ * @returns {boolean} True for the file and memory transports
+ */
+const isLocalTransport = () => ['file', 'memory'].includes(getTransportName());
+
+/**
+ * Build the nodemailer transport for a transport name
+ * @param {string} name - Transport name
+ * @returns {Object} Nodemailer transporter
+ */
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    case 'gmail':
+      return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASSWORD
+        }
+      });
+    default:
+      // Local transports only render the message, nothing leaves the machine
+      return nodemailer.createTransport({ jsonTransport: true });
+  }
+};
+
+/**
+ * Get (and lazily create) the transporter
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransport(getTransportName());
+  }
+  return transporter;
+};
+
+/**
+ * Store a captured message in the outbox of the current local transport
+ * @param {Object} entry - Outbox entry
+ */
+const recordMessage = (entry) => {
+  if (getTransportName() === 'file') {
+    fs.mkdirSync(outboxDir, { recursive: true });
+    const filename = `${entry.createdAt.replace(/[:.]/g, '-')}-${entry.id}.json`;
+    fs.writeFileSync(path.join(outboxDir, filename), JSON.stringify(entry, null, 2));
+    return;
+  }
+
+  memoryOutbox.push(entry);
+  if (memoryOutbox.length > MAX_OUTBOX_SIZE) {
+    memoryOutbox.shift();
+  }
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Nodemailer message options (to, subject, html, text)
+ * @returns {Promise<Object>} Nodemailer send info
+ */
+const sendMail = async (options) => {
+  const message = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'ElProject <no-reply@elproject.local>',
+    ...options
+  };
+
+  const info = await getTransporter().sendMail(message);
+
+  if (isLocalTransport()) {
+    recordMessage({
+      id: crypto.randomBytes(8).toString('hex'),
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html || null,
+      text: message.text || null,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  return info;
+};
+
+/**
+ * Verify connectivity of remote transports (no-op for local ones)
+ * @returns {Promise<boolean>} True if the transport is ready
+ */
+const verifyTransport = async () => {
+  const name = getTransportName();
+  if (isLocalTransport()) {
+    console.log(`Email service using local "${name}" transport (messages are not delivered)`);
+    return true;
+  }
+
+  try {
+    await getTransporter().verify();
+    console.log(`Email service is ready to send messages (${name})`);
+    return true;
+  } catch (error) {
+    console.log('Email service error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Get captured messages, newest first
+ * @returns {Object[]} Outbox entries
+ */
+const getOutbox = () => {
+  if (getTransportName() === 'file') {
+    if (!fs.existsSync(outboxDir)) return [];
+    return fs.readdirSync(outboxDir)
+      .filter(filename => filename.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(filename => JSON.parse(fs.readFileSync(path.join(outboxDir, filename), 'utf8')));
+  }
+  return [...memoryOutbox].reverse();
+};
+
+/**
+ * Remove all captured messages
+ */
+const clearOutbox = () => {
+  memoryOutbox.length = 0;
+  if (getTransportName() === 'file' && fs.existsSync(outboxDir)) {
+    for (const filename of fs.readdirSync(outboxDir)) {
+      if (filename.endsWith('.json')) {
+        fs.unlinkSync(path.join(outboxDir, filename));
+      }
+    }
+  }
+};
+
+module.exports = {
+  sendMail,
+  verifyTransport,
+  getTransportName,
+  isLocalTransport,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,61 @@
+/**
+ * Mentions
+ * Finds @username mentions in general chat messages. Mentioned users are told
+ * with a `mention` socket event (see notifyMentions in socket/handlers.js).
+ */
+
+const User = require('../models/User');
+const Block = require('../models/Block');
+
+// "@handle" not preceded by a word character or "@", so email addresses don't count
+const MENTION_PATTERN = /(?<![\w@])@([a-z][a-z0-9_]{2,29})/gi;
+
+// Mentions resolved per message; the rest of the text is left as is
+const MAX_MENTIONS = 10;
+
+/**
+ * Distinct handles mentioned in a text, in order of appearance
+ * @param {string} text - Message content
+ * @returns {string[]} Lowercase handles, at most MAX_MENTIONS
+ */
+const extractMentions = (text) => {
+  if (typeof text !== 'string') return [];
+  const handles = [...text.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+  return [...new Set(handles)].slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Users mentioned in a text: existing, available accounts other than the sender
+ * that neither blocked nor were blocked by the sender
+ * @param {string} text - Message content
+ * @param {string} senderId - Author of the message
+ * @returns {Promise<Array<Object>>} User documents with their username
+ */
+const resolveMentions = async (text, senderId) => {
+  const handles = extractMentions(text);
+  if (handles.length === 0) return [];
+
+  const hiddenIds = await Block.findHiddenIds(senderId);
+  return User.find({
+    username: { $in: handles },
+    _id: { $nin: [senderId, ...hiddenIds] },
+    ...User.activeFilter()
+  }).select('username');
+};
+
+/**
+ * Shape mentioned users for API responses and socket payloads
+ * @param {Array<Object>} users - Populated mentions (deleted accounts are null)
+ * @returns {Array<{id: string, username: string}>}
+ */
+const formatMentions = (users = []) => {
+  return users
+    .filter(user => user && user.username)
+    .map(user => ({ id: user._id.toString(), username: user.username }));
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+  formatMentions
+};
@@ -0,0 +1,20 @@
+/**
+ * Notifications
+ * Fire-and-forget delivery of transactional emails so a slow or failing
+ * mail server never delays or breaks the request that triggered it
+ */
+
+const emailService = require('./emailService');
+
+/**
+ * Send an email through emailService without awaiting it
+ * @param {string} method - emailService function name, e.g. "sendNewLoginAlert"
+ * @param {...*} args - Arguments for that function
+ */
+const notifyInBackground = (method, ...args) => {
+  Promise.resolve()
+    .then(() => emailService[method](...args))
+    .catch(error => console.error(`Error in background notification ${method}:`, error.message));
+};
+
+module.exports = { notifyInBackground };
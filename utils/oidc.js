@@ -0,0 +1,244 @@
+/**
+ * OpenID Connect Client
+ * Authorization code flow with PKCE: discovery, authorization URLs, code
+ * exchange, ID token verification against the issuer's JWKS and userinfo
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const HTTP_TIMEOUT_MS = 10000;
+
+// Accepted ID token signature algorithms (asymmetric only, never "none" or HS*)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Issuer metadata and keys rarely change; refetched on restart or unknown key id
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Build an error carrying an HTTP status and machine-readable code
+ * @param {string} message - Human-readable message
+ * @param {string} code - Error code for clients
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error instance
+ */
+const oidcError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.name = 'OAuth Error';
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Resolve the endpoints of a provider, using discovery when an issuer is set
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} { issuer, authorizationUrl, tokenUrl, userinfoUrl, jwksUri }
+ */
+const getEndpoints = async (provider) => {
+  let discovered = {};
+
+  if (provider.issuer) {
+    if (!discoveryCache.has(provider.issuer)) {
+      const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+      discoveryCache.set(provider.issuer, data);
+    }
+    discovered = discoveryCache.get(provider.issuer);
+  }
+
+  return {
+    issuer: discovered.issuer || provider.issuer,
+    authorizationUrl: provider.authorizationUrl || discovered.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovered.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovered.userinfo_endpoint || null,
+    jwksUri: discovered.jwks_uri || null
+  };
+};
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+const generatePkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the URL that sends the user to the provider's consent screen
+ * @param {Object} provider - Provider configuration
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} Authorization URL
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const { authorizationUrl } = await getEndpoints(provider);
+
+  const url = new URL(authorizationUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (provider.responseMode) {
+    url.searchParams.set('response_mode', provider.responseMode);
+  }
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} provider - Provider configuration
+ * @param {Object} endpoints - Resolved endpoints
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE verifier
+ * @returns {Promise<Object>} Token response (access_token, id_token, ...)
+ */
+const exchangeCode = async (provider, endpoints, code, codeVerifier) => {
+  try {
+    const { data } = await axios.post(endpoints.tokenUrl, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: codeVerifier
+    }), {
+      headers: { Accept: 'application/json' },
+      timeout: HTTP_TIMEOUT_MS
+    });
+
+    if (!data || data.error || !data.access_token) {
+      throw new Error(data?.error_description || data?.error || 'No access token in response');
+    }
+    return data;
+  } catch (error) {
+    console.error(`OAuth code exchange failed for ${provider.name}:`, error.message);
+    throw oidcError('Authorization code is invalid or expired', 'OAUTH_EXCHANGE_FAILED');
+  }
+};
+
+/**
+ * Find the public key that signed a token, refetching the JWKS once for unknown key ids
+ * @param {string} jwksUri - Issuer JWKS URL
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = () => (jwksCache.get(jwksUri) || []).find(key => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    jwksCache.set(jwksUri, data.keys || []);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw oidcError('ID token is signed with an unknown key', 'INVALID_ID_TOKEN', 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {Object} provider - Provider configuration
+ * @param {Object} endpoints - Resolved endpoints
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !endpoints.jwksUri) {
+    throw oidcError('ID token is malformed', 'INVALID_ID_TOKEN', 401);
+  }
+
+  const key = await getSigningKey(endpoints.jwksUri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: endpoints.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw oidcError(`ID token rejected: ${error.message}`, 'INVALID_ID_TOKEN', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce does not match', 'INVALID_ID_TOKEN', 401);
+  }
+  return claims;
+};
+
+/**
+ * Call the userinfo endpoint (and the e-mail list for providers that need it)
+ * @param {Object} provider - Provider configuration
+ * @param {Object} endpoints - Resolved endpoints
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Object>} OIDC-style claims
+ */
+const fetchUserinfo = async (provider, endpoints, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' };
+  const { data } = await axios.get(endpoints.userinfoUrl, { headers, timeout: HTTP_TIMEOUT_MS });
+
+  if (provider.mapProfile) {
+    const emails = provider.emailsUrl
+      ? (await axios.get(provider.emailsUrl, { headers, timeout: HTTP_TIMEOUT_MS })).data
+      : [];
+    return provider.mapProfile(data, emails);
+  }
+  return data;
+};
+
+/**
+ * Complete the authorization code flow and return the user's identity
+ * @param {Object} provider - Provider configuration
+ * @param {Object} params - { code, codeVerifier, nonce }
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>}
+ */
+const getIdentity = async (provider, { code, codeVerifier, nonce }) => {
+  const endpoints = await getEndpoints(provider);
+  const tokens = await exchangeCode(provider, endpoints, code, codeVerifier);
+
+  let claims = tokens.id_token
+    ? await verifyIdToken(provider, endpoints, tokens.id_token, nonce)
+    : null;
+
+  // Plain OAuth2 providers, or ID tokens without the e-mail claim
+  if ((!claims || !claims.email) && endpoints.userinfoUrl) {
+    const userinfo = await fetchUserinfo(provider, endpoints, tokens.access_token);
+    if (claims && String(userinfo.sub) !== String(claims.sub)) {
+      throw oidcError('Userinfo subject does not match the ID token', 'INVALID_ID_TOKEN', 401);
+    }
+    claims = claims
+      ? { ...claims, email: userinfo.email, email_verified: userinfo.email_verified }
+      : userinfo;
+  }
+
+  if (!claims || !claims.sub) {
+    throw oidcError('Provider did not return a user identity', 'OAUTH_NO_IDENTITY', 401);
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Some providers (e.g. Apple) send the flag as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+};
+
+module.exports = {
+  generatePkce,
+  buildAuthorizationUrl,
+  getIdentity
+};
@@ -0,0 +1,218 @@
+/**
+ * Password Policy
+ * Decides whether a new password is acceptable wherever one is set (signup,
+ * change password, reset password): the `security.password` rules, a strength
+ * score, a local list of common/breached passwords and the user's own name or email.
+ * Reuse of recent passwords is checked by User#isPasswordReused.
+ */
+
+const fs = require('fs');
+const { password: policy } = require('../config/security');
+
+// Labels for strength scores 0-4
+const STRENGTH_LABELS = ['very_weak', 'weak', 'fair', 'strong', 'very_strong'];
+
+// Entropy (bits) needed to reach scores 1, 2, 3 and 4
+const SCORE_THRESHOLDS = [28, 36, 60, 80];
+
+// Shortest name or email part that counts as personal information
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+// Common character substitutions undone before the blocklist and personal info checks
+const LEET_MAP = { '@': 'a', '4': 'a', '8': 'b', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+let blocklist = null;
+
+/**
+ * Load the common/breached password list once (lowercase, "#" starts a comment)
+ * @returns {Set<string>} Blocked passwords
+ */
+const getBlocklist = () => {
+  if (blocklist) return blocklist;
+
+  try {
+    blocklist = new Set(fs.readFileSync(policy.blocklistFile, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#')));
+  } catch (error) {
+    console.error(`Password blocklist ${policy.blocklistFile} could not be read:`, error.message);
+    blocklist = new Set();
+  }
+  return blocklist;
+};
+
+/**
+ * Variants of a password compared with the blocklist and personal info:
+ * lowercase, without trailing digits/symbols, and with leetspeak undone
+ * @param {string} password - Candidate password
+ * @returns {string[]} Unique variants
+ */
+const getVariants = (password) => {
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[\d\W_]+$/, '');
+  const unleet = (value) => value.replace(/[@48310!$57]/g, char => LEET_MAP[char]);
+  return [...new Set([lower, base, unleet(lower), unleet(base)])].filter(Boolean);
+};
+
+/**
+ * Whether the password is on the common/breached password list
+ * @param {string} password - Candidate password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const list = getBlocklist();
+  return getVariants(password).some(variant => list.has(variant));
+};
+
+/**
+ * Whether the password contains the user's name or email (or a part of them)
+ * @param {string} password - Candidate password
+ * @param {Object} [user] - { fullname, email }
+ * @returns {boolean}
+ */
+const containsPersonalInfo = (password, { fullname, email } = {}) => {
+  const localPart = typeof email === 'string' ? email.toLowerCase().split('@')[0] : '';
+  const tokens = [
+    ...(typeof fullname === 'string' ? fullname.toLowerCase().split(/\s+/) : []),
+    localPart,
+    ...localPart.split(/[._+-]+/)
+  ].filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+
+  const variants = getVariants(password);
+  return tokens.some(token => variants.some(variant => variant.includes(token)));
+};
+
+/**
+ * Estimate password strength from its length and character variety, with
+ * penalties for repeated characters and sequences like "abcd" or "1234"
+ * @param {string} password - Candidate password
+ * @returns {number} Score from 0 (very weak) to 4 (very strong)
+ */
+const scorePassword = (password) => {
+  if (!password || isCommonPassword(password)) return 0;
+
+  let pool = 0;
+  if (/[a-z]/.test(password)) pool += 26;
+  if (/[A-Z]/.test(password)) pool += 26;
+  if (/\d/.test(password)) pool += 10;
+  if (/[^A-Za-z0-9]/.test(password)) pool += 33;
+
+  // Characters that repeat or continue a sequence add almost nothing
+  let effectiveLength = 0;
+  for (let i = 0; i < password.length; i++) {
+    const previous = password.charCodeAt(i - 1);
+    const current = password.charCodeAt(i);
+    const predictable = i > 0 && Math.abs(current - previous) <= 1;
+    effectiveLength += predictable ? 0.25 : 1;
+  }
+
+  const bits = effectiveLength * Math.log2(pool);
+  return SCORE_THRESHOLDS.filter(threshold => bits >= threshold).length;
+};
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} [user] - { fullname, email } of the account the password is for
+ * @returns {{valid: boolean, score: number, strength: string, errors: Array<{code: string, message: string}>}}
+ */
+const evaluatePassword = (password, user = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return {
+      valid: false,
+      score: 0,
+      strength: STRENGTH_LABELS[0],
+      errors: [{ code: 'PASSWORD_REQUIRED', message: 'Password is required' }]
+    };
+  }
+
+  const errors = [];
+  const addError = (code, message) => errors.push({ code, message });
+
+  if (password.length < policy.minLength) {
+    addError('PASSWORD_TOO_SHORT', `Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    addError('PASSWORD_TOO_LONG', `Password cannot exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    addError('PASSWORD_NO_UPPERCASE', 'Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    addError('PASSWORD_NO_LOWERCASE', 'Password must contain a lowercase letter');
+  }
+  if (policy.requireNumbers && !/\d/.test(password)) {
+    addError('PASSWORD_NO_NUMBER', 'Password must contain a number');
+  }
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(password)) {
+    addError('PASSWORD_NO_SPECIAL_CHAR', 'Password must contain a special character');
+  }
+
+  const isCommon = isCommonPassword(password);
+  if (isCommon) {
+    addError('PASSWORD_COMMON', 'This password is too common or has appeared in a data breach');
+  }
+  if (policy.rejectPersonalInfo && containsPersonalInfo(password, user)) {
+    addError('PASSWORD_PERSONAL_INFO', 'Password must not contain your name or email');
+  }
+
+  const score = scorePassword(password);
+  // Only reported on its own: the other errors already explain a low score
+  if (errors.length === 0 && score < policy.minScore) {
+    addError('PASSWORD_TOO_WEAK', 'Password is too easy to guess. Use a longer password or mix in other characters');
+  }
+
+  return {
+    valid: errors.length === 0,
+    score,
+    strength: STRENGTH_LABELS[score],
+    errors
+  };
+};
+
+/**
+ * Send the response for a password refused by the policy
+ * @param {Object} res - Express response
+ * @param {Object} result - Output of evaluatePassword
+ * @param {string} [field] - Request field holding the password
+ * @returns {Object} Express response
+ */
+const sendPasswordPolicyError = (res, result, field = 'password') => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    code: 'WEAK_PASSWORD',
+    message: result.errors[0].message,
+    field,
+    errors: result.errors,
+    score: result.score,
+    strength: result.strength
+  });
+};
+
+/**
+ * Send the response for a password that was used recently
+ * @param {Object} res - Express response
+ * @param {string} [field] - Request field holding the password
+ * @returns {Object} Express response
+ */
+const sendPasswordReusedError = (res, field = 'newPassword') => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    code: 'PASSWORD_REUSED',
+    message: `New password must be different from your last ${policy.historySize} passwords`,
+    field
+  });
+};
+
+module.exports = {
+  STRENGTH_LABELS,
+  evaluatePassword,
+  scorePassword,
+  isCommonPassword,
+  containsPersonalInfo,
+  sendPasswordPolicyError,
+  sendPasswordReusedError
+};
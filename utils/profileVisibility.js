@@ -0,0 +1,81 @@
+/**
+ * Profile Visibility
+ * Shapes a user for someone else according to the owner's privacy settings
+ * (config/privacy.js). Responses that embed another user go through presentUser,
+ * with user references populated with PROFILE_SELECT.
+ */
+
+const FriendRequest = require('../models/FriendRequest');
+const { DEFAULT_VISIBILITY, PRIVATE_FIELDS } = require('../config/privacy');
+const { getAvatarUrls } = require('./avatarUrls');
+
+/**
+ * Whether a viewer may see a field with the given visibility
+ * @param {string} level - everyone, friends or only_me
+ * @param {string} relation - Viewer relative to the owner: self, friend or other
+ * @returns {boolean}
+ */
+const canSee = (level, relation) => {
+  if (relation === 'self' || level === 'everyone') return true;
+  return level === 'friends' && relation === 'friend';
+};
+
+/**
+ * Owner's visibility settings, with the defaults for fields never set
+ * @param {Object} user - User document
+ * @returns {Object} Field name -> everyone, friends or only_me
+ */
+const getPrivacySettings = (user) => {
+  return Object.fromEntries(PRIVATE_FIELDS.map(field => [
+    field,
+    user.privacy?.[field] || DEFAULT_VISIBILITY[field]
+  ]));
+};
+
+/**
+ * Show a user to a viewer: public fields always, private fields only when allowed
+ * (hidden fields are left out, empty ones are null)
+ * @param {Object} user - User document or plain object with PROFILE_SELECT fields
+ * @param {string} [relation] - self, friend or other
+ * @returns {Object} User data safe to send to the viewer
+ */
+const presentUser = (user, relation = 'other') => {
+  const data = {
+    id: user._id.toString(),
+    fullname: user.fullname,
+    displayName: user.displayName || null,
+    username: user.username || null,
+    ...getAvatarUrls(user)
+  };
+
+  const privacy = getPrivacySettings(user);
+  for (const field of PRIVATE_FIELDS) {
+    if (canSee(privacy[field], relation)) {
+      data[field] = user[field] || null;
+    }
+  }
+  return data;
+};
+
+/**
+ * Build a presentUser for one viewer, looking up their friends once (for lists)
+ * @param {string} viewerId - User the data is sent to
+ * @returns {Promise<Function>} (user) => presented user
+ */
+const createPresenter = async (viewerId) => {
+  const friendIds = new Set((await FriendRequest.findFriendIds(viewerId)).map(id => id.toString()));
+  const viewer = viewerId.toString();
+
+  return (user) => {
+    const userId = user._id.toString();
+    const relation = userId === viewer ? 'self' : friendIds.has(userId) ? 'friend' : 'other';
+    return presentUser(user, relation);
+  };
+};
+
+module.exports = {
+  canSee,
+  getPrivacySettings,
+  presentUser,
+  createPresenter
+};
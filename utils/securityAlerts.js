@@ -0,0 +1,140 @@
+/**
+ * Security Alerts
+ * Recognizes the devices an account signs in from and tells the owner (email and
+ * realtime socket event) about sign-ins from a new device or IP and about password
+ * changes. Every alert carries a "this wasn't me" link to lock the account down.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generatePurposeToken, verifyPurposeToken } = require('./authUtils');
+const { getRequestContext } = require('./sessionService');
+const { notifyInBackground } = require('./notifications');
+const { emitToUser } = require('../socket/handlers');
+const { loginAlerts } = require('../config/security');
+
+// Socket.IO event sent to the account owner's live sockets
+const SECURITY_ALERT_EVENT = 'securityAlert';
+
+/**
+ * Fingerprint of the requesting device: its user agent plus the optional
+ * X-Device-Id header that native clients can send
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+const getDeviceFingerprint = (req) => {
+  const userAgent = req?.get?.('user-agent') || '';
+  const deviceId = req?.get?.('x-device-id') || '';
+  return crypto.createHash('sha256').update(`${userAgent}\n${deviceId}`).digest('hex');
+};
+
+/**
+ * Remember the device and IP of a sign-in on the user document (saved by the caller)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {boolean} true when the device or IP was not seen before on an account
+ *                    that has signed in already
+ */
+const rememberDevice = (user, req) => {
+  const { deviceName, ip } = getRequestContext(req);
+  const fingerprint = getDeviceFingerprint(req);
+  const now = new Date();
+
+  // A brand-new account has nothing to compare with
+  const isFirstLogin = !user.lastLogin && user.knownDevices.length === 0;
+
+  let device = user.knownDevices.find(known => known.fingerprint === fingerprint);
+  const isNew = !device || (!!ip && !device.ips.includes(ip));
+
+  if (!device) {
+    user.knownDevices.push({ fingerprint, deviceName, ips: [], firstSeenAt: now, lastSeenAt: now });
+    device = user.knownDevices[user.knownDevices.length - 1];
+  }
+  if (ip && !device.ips.includes(ip)) {
+    device.ips = [...device.ips, ip].slice(-loginAlerts.maxIpsPerDevice);
+  }
+  device.lastSeenAt = now;
+
+  if (user.knownDevices.length > loginAlerts.maxKnownDevices) {
+    user.knownDevices = [...user.knownDevices]
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .slice(0, loginAlerts.maxKnownDevices);
+  }
+
+  return isNew && !isFirstLogin;
+};
+
+/**
+ * Build a "this wasn't me" link for the account owner
+ * @param {Object} user - User document
+ * @returns {string} Link to the client page that reports the activity
+ */
+const createReportLink = (user) => {
+  const token = generatePurposeToken('security_report', {
+    userId: user._id.toString()
+  }, loginAlerts.reportLinkExpiresIn);
+  return `${loginAlerts.reportUrl}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Verify a "this wasn't me" token. Links issued before the last password
+ * change are refused, so a report can't be replayed after the user recovered.
+ * @param {string} token - Token from the report link
+ * @returns {Promise<Object|null>} User document, or null if the link is invalid
+ */
+const verifyReportToken = async (token) => {
+  const payload = verifyPurposeToken(token, 'security_report');
+  if (!payload) return null;
+
+  const user = await User.findById(payload.userId);
+  if (!user) return null;
+
+  const changedAt = user.passwordChangedAt ? Math.floor(user.passwordChangedAt.getTime() / 1000) : 0;
+  return changedAt > payload.iat ? null : user;
+};
+
+/**
+ * Send an alert by email and to the user's live sockets
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @param {string} type - Alert type sent in the socket event
+ * @param {string} emailMethod - emailService function name
+ * @param {Object} [details] - Extra fields for the socket event
+ */
+const sendAlert = (req, user, type, emailMethod, details = {}) => {
+  const { deviceName, ip } = getRequestContext(req);
+  const time = new Date();
+
+  notifyInBackground(emailMethod, user, { deviceName, ip, time, reportLink: createReportLink(user) });
+  emitToUser(req?.app?.get('io'), user._id, SECURITY_ALERT_EVENT, { type, deviceName, ip, time, ...details });
+};
+
+/**
+ * Alert the owner about a sign-in from a new device or IP
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session started by the sign-in
+ */
+const alertNewLogin = (req, user, sessionId) => {
+  sendAlert(req, user, 'new_login', 'sendNewLoginAlert', { sessionId });
+};
+
+/**
+ * Alert the owner that their password was changed or reset
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @param {string} method - "change", "reset" or "expired"
+ */
+const alertPasswordChanged = (req, user, method) => {
+  sendAlert(req, user, 'password_changed', 'sendPasswordChangedNotice', { method });
+};
+
+module.exports = {
+  SECURITY_ALERT_EVENT,
+  getDeviceFingerprint,
+  rememberDevice,
+  createReportLink,
+  verifyReportToken,
+  alertNewLogin,
+  alertPasswordChanged
+};
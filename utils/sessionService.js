@@ -0,0 +1,243 @@
+/**
+ * Session Service
+ * Issues access/refresh token pairs and manages refresh token families
+ */
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  generateJWTToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry
+} = require('./authUtils');
+
+// Only persist "last seen" for a session once per interval to avoid a write per request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Build an error carrying an HTTP status and machine-readable code
+ * @param {string} message - Human-readable message
+ * @param {string} code - Error code for clients
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error instance
+ */
+const sessionError = (message, code, statusCode = 401) => {
+  const error = new Error(message);
+  error.name = 'Authentication Error';
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Derive a readable device name from a User-Agent header
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} Device name such as "Chrome on Windows"
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['Mobile app', /okhttp|Dart|CFNetwork|Expo/i],
+    ['API client', /curl|PostmanRuntime|axios|node-fetch/i]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser) return browser[0];
+  if (system) return system[0];
+  return 'Unknown device';
+};
+
+/**
+ * Extract device information for a new session from the request
+ * @param {Object} req - Express request
+ * @returns {{deviceName: string, userAgent: string|null, ip: string|null}}
+ */
+const getRequestContext = (req) => {
+  if (!req) {
+    return { deviceName: 'Unknown device', userAgent: null, ip: null };
+  }
+
+  const userAgent = req.get?.('user-agent') || null;
+  const requestedName = typeof req.body?.deviceName === 'string'
+    ? req.body.deviceName.trim().slice(0, 100)
+    : '';
+
+  return {
+    deviceName: requestedName || describeUserAgent(userAgent),
+    userAgent,
+    ip: req.ip || null
+  };
+};
+
+/**
+ * Create an access token for a user bound to a session
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session id
+ * @returns {string} Signed JWT access token
+ */
+const createAccessToken = (user, sessionId) => {
+  return generateJWTToken(user._id.toString(), {
+    email: user.email,
+    fullname: user.fullname,
+    role: user.role
+  }, sessionId);
+};
+
+/**
+ * Start a new session (refresh token family) for a user
+ * @param {Object} user - User document
+ * @param {Object} [req] - Express request, used to record device, user agent and IP
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+const issueSession = async (user, req = null) => {
+  const session = new Session({
+    user: user._id,
+    ...getRequestContext(req),
+    // Placeholder until the token (which embeds the session id) is generated
+    refreshTokenHash: 'pending',
+    expiresAt: getRefreshTokenExpiry()
+  });
+
+  const refreshToken = generateRefreshToken(session._id.toString());
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: createAccessToken(user, session._id.toString()),
+    refreshToken,
+    sessionId: session._id.toString()
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting an already rotated token revokes the whole family.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} [ip] - Client IP to record as the session's latest address
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string, user: Object}>}
+ */
+const rotateSession = async (refreshToken, ip = null) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const currentHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken(parsed.sessionId);
+  const session = await Session.rotate(parsed.sessionId, currentHash, hashToken(nextToken), ip);
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+
+    if (existing && !existing.revokedAt && existing.previousTokenHashes.includes(currentHash)) {
+      await existing.revoke('reuse_detected');
+      console.warn(`Refresh token reuse detected, session ${existing._id} revoked`);
+      throw sessionError('Refresh token reuse detected. Please log in again.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (existing && existing.revokedAt) {
+      throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.isSuspended()) {
+    await session.revoke('user_unavailable');
+    throw sessionError('Session is no longer valid', 'SESSION_REVOKED');
+  }
+
+  return {
+    token: createAccessToken(user, session._id.toString()),
+    refreshToken: nextToken,
+    sessionId: session._id.toString(),
+    user
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all sessions of a user except (optionally) one
+ * @param {string} userId - User id
+ * @param {string|null} exceptSessionId - Session to keep
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<string[]>} Ids of the revoked sessions
+ */
+const revokeOtherSessions = async (userId, exceptSessionId = null, reason = 'revoked_by_user') => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessionIds = (await Session.find(filter).select('_id')).map(session => session._id.toString());
+  if (sessionIds.length) {
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+  return sessionIds;
+};
+
+/**
+ * Check that the session behind an access token is still usable
+ * and record that it was seen
+ * @param {string} sessionId - Session id from the token's `sid` claim
+ * @param {string} userId - User id from the token
+ * @returns {Promise<boolean>} True if the session is active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId).select('user revokedAt expiresAt lastSeenAt');
+  if (!session || session.user.toString() !== userId || !session.isActive()) {
+    return false;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    Session.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date() } })
+      .catch(error => console.error('Error updating session last seen:', error.message));
+  }
+
+  return true;
+};
+
+module.exports = {
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  isSessionActive,
+  getRequestContext,
+  describeUserAgent
+};
@@ -0,0 +1,46 @@
+const VerificationCode = require('../models/VerificationCode');
+const { sendSms } = require('./smsTransport');
+const { renderSms } = require('../templates/sms');
+const { formatDuration } = require('../templates/email');
+const { email: emailSecurity } = require('../config/security');
+
+/**
+ * Send a verification code by SMS.
+ * Codes are stored against the account email like emailed codes, so the
+ * existing verification endpoints work whichever channel delivered them.
+ */
+const sendVerificationSms = async (user, code, type = 'phone_verification') => {
+  // Enforce resend cooldown before anything is sent
+  await VerificationCode.assertResendAllowed(user.email, type);
+
+  try {
+    await sendSms({
+      to: user.phone,
+      body: renderSms(type, {
+        locale: user.locale,
+        code,
+        expiresIn: formatDuration(emailSecurity.verificationCodeExpiry, user.locale)
+      })
+    });
+
+    // Save hashed code to database (replaces any older code of this type)
+    await VerificationCode.createCode(user.email, code, type);
+
+    return true;
+  } catch (error) {
+    console.error('Error sending verification SMS:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify a code sent by SMS and delete it after successful verification
+ */
+const verifySmsCode = async (user, code, type = 'phone_verification') => {
+  return VerificationCode.verifyCode(user.email, code, type);
+};
+
+module.exports = {
+  sendVerificationSms,
+  verifySmsCode
+};
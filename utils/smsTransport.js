@@ -0,0 +1,160 @@
+/**
+ * SMS Transport
+ * Sends text messages through the provider selected by SMS_PROVIDER and keeps
+ * a local outbox for the development/test providers.
+ *
+ * Providers:
+ *   - twilio:  Twilio REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+ *   - http:    POSTs { to, body } as JSON to SMS_HTTP_URL (optional SMS_HTTP_TOKEN bearer)
+ *   - console: prints messages to stdout (default outside production and tests)
+ *   - file:    writes every message as JSON into SMS_OUTBOX_DIR
+ *   - memory:  keeps messages in process memory (default under NODE_ENV=test)
+ */
+
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PROVIDERS = ['twilio', 'http', 'console', 'file', 'memory'];
+const LOCAL_PROVIDERS = ['console', 'file', 'memory'];
+
+// Messages kept by the memory provider, oldest are dropped first
+const MAX_OUTBOX_SIZE = 200;
+
+const SMS_REQUEST_TIMEOUT_MS = 10000;
+
+const outboxDir = path.resolve(process.env.SMS_OUTBOX_DIR || path.join(__dirname, '..', 'outbox', 'sms'));
+const memoryOutbox = [];
+
+/**
+ * Get the configured provider name
+ * @returns {string} One of PROVIDERS
+ */
+const getProviderName = () => {
+  const fallback = process.env.NODE_ENV === 'test' ? 'memory' : 'console';
+  const name = (process.env.SMS_PROVIDER || fallback).toLowerCase();
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Use one of: ${PROVIDERS.join(', ')}`);
+  }
+  return name;
+};
+
+/**
+ * Check whether messages are captured locally instead of being delivered
+ * @returns {boolean} True for the console, file and memory providers
+ */
+const isLocalProvider = () => LOCAL_PROVIDERS.includes(getProviderName());
+
+/**
+ * Deliver a message through Twilio
+ * @param {string} to - Recipient phone number (E.164)
+ * @param {string} body - Message text
+ */
+const sendWithTwilio = async (to, body) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+
+  await axios.post(url, new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: body }), {
+    auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+    timeout: SMS_REQUEST_TIMEOUT_MS
+  });
+};
+
+/**
+ * Deliver a message through a generic HTTP gateway
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ */
+const sendWithHttp = async (to, body) => {
+  await axios.post(process.env.SMS_HTTP_URL, { to, body }, {
+    headers: process.env.SMS_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` } : {},
+    timeout: SMS_REQUEST_TIMEOUT_MS
+  });
+};
+
+/**
+ * Store a captured message for the current local provider
+ * @param {Object} entry - Outbox entry
+ */
+const recordMessage = (entry) => {
+  const name = getProviderName();
+
+  if (name === 'console') {
+    console.log(`[SMS to ${entry.to}] ${entry.body}`);
+  }
+
+  if (name === 'file') {
+    fs.mkdirSync(outboxDir, { recursive: true });
+    const filename = `${entry.createdAt.replace(/[:.]/g, '-')}-${entry.id}.json`;
+    fs.writeFileSync(path.join(outboxDir, filename), JSON.stringify(entry, null, 2));
+    return;
+  }
+
+  memoryOutbox.push(entry);
+  if (memoryOutbox.length > MAX_OUTBOX_SIZE) {
+    memoryOutbox.shift();
+  }
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {Object} message - { to, body }
+ * @returns {Promise<boolean>} True once the provider accepted the message
+ */
+const sendSms = async ({ to, body }) => {
+  const name = getProviderName();
+
+  if (name === 'twilio') {
+    await sendWithTwilio(to, body);
+  } else if (name === 'http') {
+    await sendWithHttp(to, body);
+  } else {
+    recordMessage({
+      id: crypto.randomBytes(8).toString('hex'),
+      to,
+      body,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Get captured messages, newest first
+ * @returns {Object[]} Outbox entries
+ */
+const getSmsOutbox = () => {
+  if (getProviderName() === 'file') {
+    if (!fs.existsSync(outboxDir)) return [];
+    return fs.readdirSync(outboxDir)
+      .filter(filename => filename.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(filename => JSON.parse(fs.readFileSync(path.join(outboxDir, filename), 'utf8')));
+  }
+  return [...memoryOutbox].reverse();
+};
+
+/**
+ * Remove all captured messages
+ */
+const clearSmsOutbox = () => {
+  memoryOutbox.length = 0;
+  if (getProviderName() === 'file' && fs.existsSync(outboxDir)) {
+    for (const filename of fs.readdirSync(outboxDir)) {
+      if (filename.endsWith('.json')) {
+        fs.unlinkSync(path.join(outboxDir, filename));
+      }
+    }
+  }
+};
+
+module.exports = {
+  sendSms,
+  getProviderName,
+  isLocalProvider,
+  getSmsOutbox,
+  clearSmsOutbox
+};
@@ -0,0 +1,200 @@
+/**
+ * TOTP Utilities
+ * RFC 6238 time-based one-time passwords and RFC 4648 base32 helpers.
+ * Every function that depends on time accepts an explicit `time` (ms) so
+ * it can be exercised with a fixed clock.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  step: 30,        // Seconds per time step
+  digits: 6,       // Code length
+  window: 1,       // Accepted steps before/after the current one (clock drift)
+  algorithm: 'sha1'
+};
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+/**
+ * Generate a random base32 TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute an HOTP value (RFC 4226)
+ * @param {Buffer} key - Shared secret bytes
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @param {string} algorithm - HMAC algorithm
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter, digits, algorithm) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Get the time step counter for a moment in time
+ * @param {number} time - Unix time in milliseconds
+ * @param {number} step - Step size in seconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (time = Date.now(), step = DEFAULTS.step) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - { time, step, digits, algorithm }
+ * @returns {string} Code
+ */
+const generateTOTP = (secret, options = {}) => {
+  const { time = Date.now(), step, digits, algorithm } = { ...DEFAULTS, ...options };
+  return hotp(base32Decode(secret), getTimeStep(time, step), digits, algorithm);
+};
+
+/**
+ * Verify a TOTP code, tolerating clock drift of `window` steps
+ * @param {string} token - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - { time, step, digits, window, algorithm }
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+const verifyTOTP = (token, secret, options = {}) => {
+  const { time = Date.now(), step, digits, window, algorithm } = { ...DEFAULTS, ...options };
+  const normalized = String(token || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, currentStep + offset, digits, algorithm);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI understood by authenticator apps
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(DEFAULTS.digits),
+    period: String(DEFAULTS.step)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes in the form "xxxxx-xxxxx"
+ * @param {number} count - Number of codes
+ * @returns {string[]} Plaintext recovery codes
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Hash a recovery code for storage (input is normalized first)
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,114 @@
+/**
+ * User Directory
+ * Building blocks of GET /users: name/username search, friends-of-friends and
+ * online filters, and opaque cursors for keyset pagination by name.
+ */
+
+const mongoose = require('mongoose');
+const FriendRequest = require('../models/FriendRequest');
+
+// Names are compared case-insensitively, for sorting and for cursors alike
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Letters of a fuzzy search that are used; more hardly narrow the results
+const MAX_FUZZY_LETTERS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Query filter for a search over fullname, displayName and username.
+ * "prefix" matches the start of any word of the name or the start of the username;
+ * "fuzzy" matches the typed letters in order with anything in between ("jsmth" finds "John Smith").
+ * @param {string} query - Search text
+ * @param {string} mode - prefix or fuzzy
+ * @returns {Object} MongoDB filter
+ */
+const buildSearchFilter = (query, mode) => {
+  const text = query.trim().replace(/^@/, '');
+
+  if (mode === 'fuzzy') {
+    // Each gap stops at the next letter ("a[^b]*b" rather than "a.*b"), which matches
+    // the same names without the regex engine trying every split of the gaps
+    const letters = [...text.replace(/\s+/g, '')].slice(0, MAX_FUZZY_LETTERS).map(escapeRegex);
+    const pattern = new RegExp(letters.map((letter, index) => (index === 0 ? letter : `[^${letter}]*${letter}`)).join(''), 'i');
+    return { $or: [{ fullname: pattern }, { displayName: pattern }, { username: pattern }] };
+  }
+
+  const wordStart = new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i');
+  return {
+    $or: [
+      { fullname: wordStart },
+      { displayName: wordStart },
+      { username: new RegExp(`^${escapeRegex(text.toLowerCase())}`) }
+    ]
+  };
+};
+
+/**
+ * Friends of the user's friends, excluding the user and their friends
+ * @param {string} userId - User the suggestions are for
+ * @param {Array<string|ObjectId>} friendIds - The user's friends
+ * @returns {Promise<ObjectId[]>}
+ */
+const findFriendsOfFriends = async (userId, friendIds) => {
+  if (friendIds.length === 0) return [];
+
+  const friendships = await FriendRequest.find({
+    status: 'accepted',
+    $or: [{ sender: { $in: friendIds } }, { receiver: { $in: friendIds } }]
+  }).select('sender receiver').lean();
+
+  const excluded = new Set([userId.toString(), ...friendIds.map(id => id.toString())]);
+  const found = new Map();
+  for (const friendship of friendships) {
+    for (const id of [friendship.sender, friendship.receiver]) {
+      if (!excluded.has(id.toString())) found.set(id.toString(), id);
+    }
+  }
+  return [...found.values()];
+};
+
+/**
+ * Ids of users with at least one connected socket
+ * @param {Object} [io] - Socket.IO server
+ * @returns {Promise<Set<string>|null>} null when Socket.IO is not running
+ */
+const getOnlineUserIds = async (io) => {
+  if (!io) return null;
+  const sockets = await io.fetchSockets();
+  return new Set(sockets.map(socket => socket.userId).filter(Boolean));
+};
+
+/**
+ * Encode the position after a user for the next page
+ * @param {Object} user - Last user of the page
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (user) => {
+  return Buffer.from(JSON.stringify({ n: user.fullname, id: user._id.toString() })).toString('base64url');
+};
+
+/**
+ * Query filter for the users after a cursor (in NAME_COLLATION order)
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object|null} MongoDB filter, or null when the cursor is invalid
+ */
+const cursorFilter = (cursor) => {
+  try {
+    const { n, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof n !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+    const _id = new mongoose.Types.ObjectId(id);
+    return { $or: [{ fullname: { $gt: n } }, { fullname: n, _id: { $gt: _id } }] };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  NAME_COLLATION,
+  buildSearchFilter,
+  findFriendsOfFriends,
+  getOnlineUserIds,
+  encodeCursor,
+  cursorFilter
+};
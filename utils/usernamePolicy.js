@@ -0,0 +1,141 @@
+/**
+ * Username Policy
+ * Decides whether a user may take a handle: the format and reserved words from
+ * config/usernames.js, uniqueness, and the cooldown between two changes.
+ */
+
+const User = require('../models/User');
+const {
+  MIN_LENGTH,
+  MAX_LENGTH,
+  PATTERN,
+  CHANGE_COOLDOWN_DAYS,
+  RESERVED,
+  RESERVED_FRAGMENTS
+} = require('../config/usernames');
+
+const COOLDOWN_MS = CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize user input to a handle: trimmed, without a leading "@", lowercase
+ * @param {*} value - Raw input
+ * @returns {string} Handle, or '' when there is none
+ */
+const normalizeUsername = (value) => {
+  return typeof value === 'string' ? value.trim().replace(/^@/, '').toLowerCase() : '';
+};
+
+/**
+ * Whether a handle is reserved for staff, the system or mentions
+ * @param {string} handle - Normalized handle
+ * @returns {boolean}
+ */
+const isReservedUsername = (handle) => {
+  return RESERVED.includes(handle) ||
+    RESERVED_FRAGMENTS.some(fragment => handle.replace(/_/g, '').includes(fragment));
+};
+
+/**
+ * Check the format of a handle
+ * @param {string} handle - Normalized handle
+ * @returns {{status: number, code: string, message: string}|null} The problem, or null
+ */
+const checkUsernameFormat = (handle) => {
+  const invalid = (code, message) => ({ status: 400, code, message });
+
+  if (!handle) {
+    return invalid('USERNAME_REQUIRED', 'Username is required');
+  }
+  if (handle.length < MIN_LENGTH || handle.length > MAX_LENGTH) {
+    return invalid('USERNAME_INVALID', `Username must be ${MIN_LENGTH}-${MAX_LENGTH} characters long`);
+  }
+  if (!PATTERN.test(handle)) {
+    return invalid('USERNAME_INVALID', 'Username must start with a letter and contain only letters, numbers and single underscores');
+  }
+  if (isReservedUsername(handle)) {
+    return invalid('USERNAME_RESERVED', 'This username is reserved');
+  }
+  return null;
+};
+
+/**
+ * When the user may change their username again
+ * @param {Object} user - User document
+ * @returns {Date|null} Date the cooldown ends, or null when a change is allowed now
+ */
+const getUsernameCooldownEnd = (user) => {
+  if (!COOLDOWN_MS || !user.usernameChangedAt) return null;
+  const endsAt = new Date(user.usernameChangedAt.getTime() + COOLDOWN_MS);
+  return endsAt > new Date() ? endsAt : null;
+};
+
+/**
+ * Check whether a user may switch to a handle ('' removes the username)
+ * @param {Object} user - User document
+ * @param {string} handle - Normalized new handle
+ * @returns {Promise<Object|null>} { status, code, message, availableAt? }, or null when allowed
+ */
+const checkUsernameChange = async (user, handle) => {
+  if (handle) {
+    const formatProblem = checkUsernameFormat(handle);
+    if (formatProblem) return formatProblem;
+  }
+
+  const availableAt = getUsernameCooldownEnd(user);
+  if (availableAt) {
+    return {
+      status: 429,
+      code: 'USERNAME_CHANGE_COOLDOWN',
+      message: `You can change your username again after ${availableAt.toISOString()}`,
+      availableAt
+    };
+  }
+
+  if (handle && await User.exists({ username: handle, _id: { $ne: user._id } })) {
+    return { status: 400, code: 'USERNAME_TAKEN', message: 'This username is already taken' };
+  }
+  return null;
+};
+
+/**
+ * Give the user a handle (or remove it with ''); replacing or removing one starts the cooldown
+ * @param {Object} user - User document (not saved)
+ * @param {string} handle - Normalized handle, checked with checkUsernameChange
+ */
+const setUsername = (user, handle) => {
+  if (user.username) {
+    user.usernameChangedAt = new Date();
+  }
+  user.username = handle || undefined;
+};
+
+/**
+ * Send the response for a refused username
+ * @param {Object} res - Express response
+ * @param {Object} problem - Output of checkUsernameFormat or checkUsernameChange
+ * @param {string} [field] - Request field holding the username
+ * @returns {Object} Express response
+ */
+const sendUsernameError = (res, problem, field = 'username') => {
+  if (problem.availableAt) {
+    res.set('Retry-After', String(Math.ceil((problem.availableAt - Date.now()) / 1000)));
+  }
+  return res.status(problem.status).json({
+    success: false,
+    error: problem.status === 429 ? 'Too Many Requests' : 'Validation Error',
+    code: problem.code,
+    message: problem.message,
+    field,
+    ...(problem.availableAt && { availableAt: problem.availableAt })
+  });
+};
+
+module.exports = {
+  normalizeUsername,
+  isReservedUsername,
+  checkUsernameFormat,
+  getUsernameCooldownEnd,
+  checkUsernameChange,
+  setUsername,
+  sendUsernameError
+};
@@ -26,11 +26,27 @@ const validateEnv = () => {
   // Check optional but recommended variables
   const recommended = [
     'COOKIE_SECRET',
-    'EMAIL_USER',
-    'EMAIL_PASSWORD',
     'NODE_ENV'
   ];
 
+  // Credentials only matter for transports that actually deliver mail
+  const emailTransport = (process.env.EMAIL_TRANSPORT || 'gmail').toLowerCase();
+  if (emailTransport === 'gmail') {
+    recommended.push('EMAIL_USER', 'EMAIL_PASSWORD');
+  } else if (emailTransport === 'smtp') {
+    recommended.push('SMTP_HOST', 'EMAIL_FROM');
+  }
+
+  const smsProvider = (process.env.SMS_PROVIDER || '').toLowerCase();
+  if (smsProvider === 'twilio') {
+    recommended.push('TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM');
+  } else if (smsProvider === 'http') {
+    recommended.push('SMS_HTTP_URL');
+  } else if (process.env.NODE_ENV === 'production') {
+    // Local providers never deliver, so production needs a real one
+    recommended.push('SMS_PROVIDER');
+  }
+
   for (const varName of recommended) {
     if (!process.env[varName]) {
       warnings.push(varName);